@@ -0,0 +1,121 @@
+// api/admin/prompt-cache/index.js
+// Operator controls for the prompt cache (X-Internal-Key = INTERNAL_API_KEY)
+// - GET: cache snapshot with hit / miss counters (engine/promptLoader.js promptCacheStats)
+// - POST { paths?, prefix?, ref?, all?, warm? }: evicts matching entries (filters AND together, at least one
+//   required); a path also evicts its localized variants. warm: true reloads every prompt right after.
+// The cache is per instance: this clears the instance that serves the call, others expire by PROMPTS_CACHE_TTL_S.
+
+const { json, setCors, isJsonRequest, readJsonBody } = require("../../engine/http");
+const { isInternalCaller } = require("../../engine/experiments");
+const { promptCacheStats, invalidatePromptCache } = require("../../engine/promptLoader");
+const { preloadPrompts } = require("../../engine/promptPreload");
+const { startRequestLog } = require("../../engine/telemetry");
+
+function issue(path, code, message) {
+  return { path, code, message };
+}
+
+function validateInvalidation(body) {
+  const errors = [];
+  const clean = {};
+
+  if (body.path != null && body.paths != null) errors.push(issue("path", "conflict", "send path or paths, not both"));
+  const paths = body.paths ?? (body.path != null ? [body.path] : null);
+  if (paths != null) {
+    if (!Array.isArray(paths) || !paths.length || paths.some(p => typeof p !== "string" || !p.trim())) {
+      errors.push(issue("paths", "type", "must be a non-empty array of prompt paths"));
+    } else {
+      clean.paths = paths.map(p => p.trim());
+    }
+  }
+  for (const field of ["prefix", "ref"]) {
+    if (body[field] == null) continue;
+    if (typeof body[field] !== "string" || !body[field].trim()) errors.push(issue(field, "type", "must be a non-empty string"));
+    else clean[field] = body[field].trim();
+  }
+  for (const field of ["all", "warm"]) {
+    if (body[field] == null) continue;
+    if (typeof body[field] !== "boolean") errors.push(issue(field, "type", "must be true or false"));
+    else clean[field] = body[field];
+  }
+  if (!errors.length && !clean.all && !clean.paths && !clean.prefix && !clean.ref) {
+    errors.push(issue("paths", "required", "send paths, prefix or ref (or all: true)"));
+  }
+
+  return { ok: errors.length === 0, errors, clean };
+}
+
+async function handlePromptCache(req, res, { log }) {
+  setCors(req, res, { methods: "GET, POST, OPTIONS", allowHeaders: ["Content-Type", "X-Internal-Key"], exposeHeaders: ["X-Request-Id"] });
+
+  const err = (status, errBody) => {
+    log.error(errBody.error, errBody.message);
+    return json(res, status, errBody);
+  };
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return err(405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  // Also closed when INTERNAL_API_KEY is unset
+  if (!isInternalCaller(req)) {
+    return err(401, { ok: false, error: "INTERNAL_KEY_REQUIRED" });
+  }
+
+  if (req.method === "GET") {
+    return json(res, 200, { ok: true, prompt_cache: promptCacheStats() });
+  }
+
+  if (!isJsonRequest(req)) {
+    return err(415, { ok: false, error: "UNSUPPORTED_MEDIA_TYPE" });
+  }
+  const parsed = await readJsonBody(req);
+  if (parsed.error) return err(parsed.status, parsed.error);
+
+  const validation = validateInvalidation(parsed.body);
+  if (!validation.ok) {
+    return err(422, { ok: false, error: "INVALID_INPUT", errors: validation.errors });
+  }
+  const { warm = false, ...filter } = validation.clean;
+
+  let evicted;
+  try {
+    evicted = invalidatePromptCache(filter);
+  } catch (e) {
+    // assertSafePath / assertSafeRef
+    return err(422, { ok: false, error: "INVALID_INPUT", message: String(e?.message || e) });
+  }
+
+  const out = { ok: true, evicted };
+  if (warm) {
+    const endWarm = log.stage("warm");
+    const warmed = await preloadPrompts();
+    endWarm();
+    out.warmed = {
+      ok: warmed.ok,
+      files: warmed.files.length,
+      ...(warmed.error ? { error: warmed.error } : {}),
+      failed: warmed.files.filter(f => !f.ok).map(f => ({ path: f.path, ref: f.ref, locale: f.locale, error: f.error }))
+    };
+  }
+  out.prompt_cache = promptCacheStats();
+  return json(res, 200, out);
+}
+
+module.exports = async (req, res) => {
+  const log = startRequestLog({ req, route: "prompt_cache" });
+  res.setHeader("X-Request-Id", log.requestId);
+  try {
+    return await handlePromptCache(req, res, { log });
+  } catch (e) {
+    log.error("UNHANDLED", String(e?.message || e));
+    throw e;
+  } finally {
+    log.finish({ status: res.statusCode || 500 });
+  }
+};
@@ -0,0 +1,37 @@
+// api/config/index.js
+// GET /api/config — effective configuration for operators (X-Internal-Key = INTERNAL_API_KEY)
+// Models (pickModel tiers + fallbacks), prompt source / ref / experiment / cache, CORS allowlist, engine
+// ruleset version, feature switches. Secrets are reported as "set" / "missing", never their values.
+
+const { json, setCors } = require("../engine/http");
+const { isInternalCaller } = require("../engine/experiments");
+const { effectiveConfig } = require("../engine/readiness");
+const { startRequestLog } = require("../engine/telemetry");
+
+module.exports = async (req, res) => {
+  const log = startRequestLog({ req, route: "config" });
+  res.setHeader("X-Request-Id", log.requestId);
+  try {
+    setCors(req, res, { methods: "GET, OPTIONS", allowHeaders: ["X-Internal-Key"], exposeHeaders: ["X-Request-Id"] });
+
+    if (req.method === "OPTIONS") {
+      res.statusCode = 204;
+      return res.end();
+    }
+
+    if (req.method !== "GET") {
+      log.error("METHOD_NOT_ALLOWED");
+      return json(res, 405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+    }
+
+    // Also closed when INTERNAL_API_KEY is unset
+    if (!isInternalCaller(req)) {
+      log.error("INTERNAL_KEY_REQUIRED");
+      return json(res, 401, { ok: false, error: "INTERNAL_KEY_REQUIRED" });
+    }
+
+    return json(res, 200, { ok: true, config: effectiveConfig() });
+  } finally {
+    log.finish({ status: res.statusCode || 500 });
+  }
+};
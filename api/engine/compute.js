@@ -1,8 +1,11 @@
 // api/engine/compute.js
 // ClearBound Engine Logic v3.0 (LOCK-aligned, deterministic)
+// - Weights / thresholds / decision rules come from versioned rulesets (engine/ruleset.js)
 // - Backward-compatible with current V2 front shape
 // - Forward-compatible with V3-native fields (continuity / happened_before / exposure[])
 
+const { resolveRuleset, evaluateTable, DECISION_ORDER } = require("./ruleset");
+
 function clampStr(v) {
   return (typeof v === "string" && v.trim()) ? v.trim() : null;
 }
@@ -20,6 +23,19 @@ function normTokens(arr) {
   return asArray(arr).map(normToken).filter(Boolean);
 }
 
+// Explain support: every calc* takes an optional `trace` object and records why it decided.
+// When trace is null (the normal compute path) nothing is recorded and results are identical.
+function noteFlag(trace, flag, value, source, candidates) {
+  if (!trace) return;
+  trace.flags.push({ flag, value, source, ...(candidates ? { candidates } : {}) });
+}
+
+// First matching candidate "wins"; all matches are reported so support can see overlaps
+function firstSource(candidates) {
+  const hit = candidates.find(c => c.matched);
+  return hit ? hit.source : "default";
+}
+
 /**
  * Normalization Policy
  * Accept BOTH:
@@ -35,7 +51,7 @@ function normTokens(arr) {
  *  - exposure: ["emotional_fallout","reputation_impact","documentation_sensitivity","they_have_leverage"]
  *  - leverage_flag: boolean (optional)
  */
-function normalizeFlags(input) {
+function normalizeFlags(input, trace = null) {
   const risk_scan = input?.risk_scan || {};
   const impact = normToken(risk_scan.impact);         // high|low
   const contRaw = normToken(risk_scan.continuity);    // high|mid|low
@@ -63,6 +79,14 @@ function normalizeFlags(input) {
 
   const ongoing_flag = continuity_bucket === "ongoing";
 
+  noteFlag(trace, "continuity_bucket", continuity_bucket,
+    (continuityV3 === "ongoing" || continuityV3 === "short_term" || continuityV3 === "one_time") ? "v3.continuity" :
+    continuity_bucket ? "v2.risk_scan.continuity" : "default",
+    [
+      { source: "v3.continuity", raw: continuityV3 },
+      { source: "v2.risk_scan.continuity", raw: contRaw }
+    ]);
+
   // repeat_flag:
   // - Prefer happened_before boolean if present
   // - Else fall back to concerns
@@ -71,6 +95,14 @@ function normalizeFlags(input) {
     (happened_before === false) ? false :
     concerns.includes("repeat");
 
+  noteFlag(trace, "repeat_flag", repeat_flag,
+    happened_before !== null ? "v3.happened_before" :
+    concerns.includes("repeat") ? "v2.main_concerns:repeat" : "default",
+    [
+      { source: "v3.happened_before", raw: happened_before },
+      { source: "v2.main_concerns:repeat", raw: concerns.includes("repeat") }
+    ]);
+
   // leverage flag:
   // - Prefer explicit leverage_flag
   // - Else map from concerns (future UI may add)
@@ -79,6 +111,14 @@ function normalizeFlags(input) {
     (leverage_flag_v3 === false) ? false :
     concerns.includes("leverage") || concerns.includes("they_have_leverage");
 
+  noteFlag(trace, "leverage_flag", leverage_flag,
+    leverage_flag_v3 !== null ? "v3.leverage_flag" :
+    leverage_flag ? "v2.main_concerns:leverage" : "default",
+    [
+      { source: "v3.leverage_flag", raw: leverage_flag_v3 },
+      { source: "v2.main_concerns:leverage", raw: concerns.includes("leverage") || concerns.includes("they_have_leverage") }
+    ]);
+
   // exposure flags:
   // Prefer explicit V3 exposure[] if present; otherwise approximate from current UI.
   const exposureKeys = new Set(exposureV3);
@@ -110,6 +150,32 @@ function normalizeFlags(input) {
     they_have_leverage
   };
 
+  if (trace) {
+    const exposureCandidates = {
+      documentation_sensitivity: [
+        { source: "v3.exposure", matched: exposureKeys.has("documentation_sensitivity") },
+        { source: "v2.main_concerns:document", matched: concerns.includes("document") },
+        { source: "situation_type:official_documented", matched: situation_type === "official_documented" }
+      ],
+      reputation_impact: [
+        { source: "v3.exposure", matched: exposureKeys.has("reputation_impact") },
+        { source: "v2.main_concerns:reputation", matched: concerns.includes("reputation") },
+        { source: "v2_proxy.main_concerns:impact_work", matched: concerns.includes("impact_work") }
+      ],
+      emotional_fallout: [
+        { source: "v3.exposure", matched: exposureKeys.has("emotional_fallout") },
+        { source: "v2_proxy.risk_scan.impact:high", matched: impact === "high" }
+      ],
+      they_have_leverage: [
+        { source: "v3.exposure", matched: exposureKeys.has("they_have_leverage") },
+        { source: "leverage_flag", matched: leverage_flag }
+      ]
+    };
+    for (const [flag, candidates] of Object.entries(exposureCandidates)) {
+      noteFlag(trace, `exposure.${flag}`, exposure[flag], firstSource(candidates), candidates);
+    }
+  }
+
   return {
     continuity_bucket,
     ongoing_flag,
@@ -125,112 +191,104 @@ function normalizeFlags(input) {
   };
 }
 
-function calcRiskScore(flags) {
-  // Weights MUST match v3.0 spec
-  const weights = {
-    one_time: 0,
-    short_term: 1,
-    ongoing: 2,
-    repeat: 1,
-    emotional_fallout: 1,
-    reputation_impact: 2,
-    documentation_sensitivity: 2,
-    they_have_leverage: 3
-  };
+function calcRiskScore(flags, ruleset, trace = null) {
+  // Weights come from the ruleset (v3.0 spec values live in rulesets/v3.0.json)
+  const weights = ruleset.weights;
 
   const continuity_weight =
-    flags.continuity_bucket ? (weights[flags.continuity_bucket] || 0) : 0;
+    flags.continuity_bucket ? (weights.continuity[flags.continuity_bucket] || 0) : 0;
 
   const repeat_weight = flags.repeat_flag ? weights.repeat : 0;
 
-  const exposure_weight_sum =
-    (flags.exposure.emotional_fallout ? weights.emotional_fallout : 0) +
-    (flags.exposure.reputation_impact ? weights.reputation_impact : 0) +
-    (flags.exposure.documentation_sensitivity ? weights.documentation_sensitivity : 0) +
-    (flags.exposure.they_have_leverage ? weights.they_have_leverage : 0);
-
-  return continuity_weight + repeat_weight + exposure_weight_sum;
-}
-
-function mapRiskLevel(score) {
-  if (score >= 6) return "high";
-  if (score >= 3) return "moderate";
-  return "low";
+  const exposure_weights = Object.keys(weights.exposure).map(k => ({
+    factor: k,
+    weight: flags.exposure[k] ? weights.exposure[k] : 0
+  }));
+  const exposure_weight_sum = exposure_weights.reduce((a, x) => a + x.weight, 0);
+
+  const total = continuity_weight + repeat_weight + exposure_weight_sum;
+
+  if (trace) {
+    trace.risk_score = {
+      total,
+      contributions: [
+        { factor: `continuity:${flags.continuity_bucket || "unknown"}`, weight: continuity_weight },
+        { factor: "repeat", weight: repeat_weight },
+        ...exposure_weights
+      ]
+    };
+  }
+
+  return total;
 }
 
-function calcRecordSafeLevel(flags) {
-  // v3.0 spec
-  if (flags.documentation_sensitivity) return 2;
-  if (flags.reputation_impact) return 1;
-  return 0;
+// Rule helpers: record the rule that fired (explain only)
+function fired(trace, decision, value, rule, when = null) {
+  if (trace) trace.decisions[decision] = { value, rule, ...(when ? { when } : {}) };
+  return value;
 }
 
-function calcDirectionSuggestion({ risk_level, record_safe_level, flags }) {
-  // v3.0 spec baseline logic
-  if (
-    risk_level === "low" &&
-    flags.continuity_bucket === "one_time" &&
-    !flags.repeat_flag
-  ) return "maintain";
-
-  if (
-    record_safe_level === 2 &&
-    flags.leverage_flag &&
-    flags.ongoing_flag &&
-    flags.repeat_flag
-  ) return "disengage";
-
-  return "reset";
+function mapRiskLevel(score, ruleset, trace = null) {
+  for (const l of ruleset.risk_levels) {
+    if (l.min_score === undefined) return fired(trace, "risk_level", l.level, `risk_score ${score} below all thresholds`);
+    if (score >= l.min_score) return fired(trace, "risk_level", l.level, `risk_score ${score} >= ${l.min_score}`);
+  }
+  return null; // unreachable: validated rulesets end with a default level
 }
 
-function calcTone({ risk_level, record_safe_level }) {
-  // v3.0 spec
-  if (record_safe_level === 2) return "formal";
-  if (risk_level === "high") return "neutral";
-  if (risk_level === "moderate") return "neutral";
-  return "calm";
+function decide(name, table, facts, trace) {
+  const rule = evaluateTable(table, facts);
+  const when = rule.when || (rule.any ? { any: rule.any } : null);
+  return fired(trace, name, rule.value, rule.id, when);
 }
 
-function calcDetail({ risk_level, record_safe_level, flags }) {
-  // v3.0 spec
-  if (record_safe_level === 2) return "detailed";
-  if (risk_level === "moderate" || risk_level === "high" || flags.ongoing_flag) return "standard";
-  return "concise";
-}
-
-function calcCandor(risk_level) {
-  // v3.0 spec
-  if (risk_level === "high") return "high";
-  if (risk_level === "moderate") return "moderate";
-  return "low";
-}
-
-function buildConstraints(risk_level, record_safe_level) {
-  // v3.0 spec
-  return {
-    tone_soften_if_high_risk: risk_level === "high",
-    record_safe_mode: record_safe_level === 2,
-    forbidden_patterns_enabled: true
-  };
+function buildConstraints(ruleset, facts, trace = null) {
+  const out = {};
+  for (const [name, table] of Object.entries(ruleset.constraints)) {
+    out[name] = decide(`constraints.${name}`, table, facts, trace);
+  }
+  return out;
 }
 
 /**
  * Main compute() exported.
  * Signature is backward-compatible:
- * - computeEngineDecisions(input) works as before
- * - Optional opts can be used later without changing callers.
+ * - computeEngineDecisions(input) works as before (default ruleset, v3.0)
+ * - opts.ruleset: version string ("3.0") or an inline ruleset object
+ * - opts.include_direction_suggestion: false to omit the direction suggestion
  */
 function computeEngineDecisions(input, opts = {}) {
-  const flags = normalizeFlags(input);
-  const risk_score = calcRiskScore(flags);
-  const risk_level = mapRiskLevel(risk_score);
-  const record_safe_level = calcRecordSafeLevel(flags);
+  return runEngine(input, opts, null);
+}
 
-  const tone_recommendation = calcTone({ risk_level, record_safe_level });
-  const detail_recommendation = calcDetail({ risk_level, record_safe_level, flags });
-  const insight_candor_level = calcCandor(risk_level);
+/**
+ * Same decisions as computeEngineDecisions, plus a step-by-step trace:
+ * { decisions, trace: { ruleset_version, flags[], risk_score{total, contributions[]}, decisions{<name>: {value, rule, when?}} } }
+ */
+function explainEngineDecisions(input, opts = {}) {
+  const trace = { ruleset_version: null, flags: [], risk_score: null, decisions: {} };
+  const decisions = runEngine(input, opts, trace);
+  trace.ruleset_version = decisions.ruleset_version;
+  return { decisions, trace };
+}
 
-  const constraints = buildConstraints(risk_level, record_safe_level);
+function runEngine(input, opts, trace) {
+  const ruleset = resolveRuleset(opts.ruleset);
+
+  const flags = normalizeFlags(input, trace);
+  const risk_score = calcRiskScore(flags, ruleset, trace);
+  const risk_level = mapRiskLevel(risk_score, ruleset, trace);
+
+  // Facts visible to rule tables; each decision is added as it is computed (DECISION_ORDER)
+  const facts = {
+    continuity_bucket: flags.continuity_bucket,
+    ongoing_flag: flags.ongoing_flag,
+    repeat_flag: flags.repeat_flag,
+    leverage_flag: flags.leverage_flag,
+    ...flags.exposure,
+    risk_score,
+    risk_level
+  };
 
   // v3.0 doc says: only show when user selects "I'm not sure".
   // BUT current API uses it to stabilize prompt posture ("direction").
@@ -240,19 +298,26 @@ function computeEngineDecisions(input, opts = {}) {
       ? opts.include_direction_suggestion
       : true;
 
-  const direction_suggestion = includeDir
-    ? calcDirectionSuggestion({ risk_level, record_safe_level, flags })
-    : null;
+  for (const name of DECISION_ORDER) {
+    facts[name] = (name === "direction_suggestion" && !includeDir)
+      ? fired(trace, name, null, "opts.include_direction_suggestion=false")
+      : decide(name, ruleset.decisions[name], facts, trace);
+  }
+
+  const constraints = buildConstraints(ruleset, facts, trace);
 
   return {
     risk_level,
-    record_safe_level,
-    direction_suggestion,
-    tone_recommendation,
-    detail_recommendation,
-    insight_candor_level,
+    record_safe_level: facts.record_safe_level,
+    direction_suggestion: facts.direction_suggestion,
+    tone_recommendation: facts.tone_recommendation,
+    detail_recommendation: facts.detail_recommendation,
+    insight_candor_level: facts.insight_candor_level,
     constraints,
 
+    // which ruleset produced these decisions (compare rulesets side by side via /api/engine/explain)
+    ruleset_version: ruleset.version,
+
     // debug-friendly (still deterministic). If you later want to hide in prod response,
     // remove in api/generate output instead of here.
     _debug: {
@@ -265,4 +330,4 @@ function computeEngineDecisions(input, opts = {}) {
   };
 }
 
-module.exports = { computeEngineDecisions };
+module.exports = { computeEngineDecisions, explainEngineDecisions };
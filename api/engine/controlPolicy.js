@@ -0,0 +1,182 @@
+// api/engine/controlPolicy.js
+// User control overrides (tone / detail / direction) vs engine recommendations
+// - Each control sits on a ladder: calm < neutral < formal, concise < standard < detailed,
+//   maintain < reset < disengage; the gap is the number of steps between the user's pick and the engine's
+// - severity: none (no override / same value) | minor (one step) | major (policy.major_gap steps, any step
+//   below the engine pick in an "elevated" situation, or below a floor)
+// - control_warnings describe the gap and what the engine saw (localized, neutral wording, no advice)
+// - Floors: minimum values per situation (e.g. formal tone when documentation_sensitivity is set), checked
+//   for every control whether overridden or not; reported by default, applied when policy.enforce_floors is true.
+//   A floor under the user's own pick is part of the control warning; one under the engine pick is a correction
+// Situation clauses use the ruleset `when` / `any` syntax over the engine decisions + exposure flags.
+//
+// CONTROL_POLICY (JSON) overrides DEFAULT_POLICY keys, e.g. {"enforce_floors":true}
+
+const { ruleMatches } = require("./ruleset");
+const { DEFAULT_LOCALE, t } = require("./locale");
+
+const CONTROL_LADDERS = {
+  tone: ["calm", "neutral", "formal"],
+  detail: ["concise", "standard", "detailed"],
+  direction: ["maintain", "reset", "disengage"]
+};
+
+const SEVERITY_RANK = ["none", "minor", "major"];
+
+const DEFAULT_POLICY = {
+  enforce_floors: false,
+  major_gap: 2,
+  elevated: [
+    { id: "record_safe", when: { record_safe_level: 2 } },
+    { id: "high_risk", when: { risk_level: "high" } }
+  ],
+  floors: [
+    { id: "record_safe_tone", control: "tone", min: "formal", when: { documentation_sensitivity: true } },
+    { id: "record_safe_detail", control: "detail", min: "standard", when: { documentation_sensitivity: true } }
+  ]
+};
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function isClause(c) {
+  return !!c && typeof c === "object" && !Array.isArray(c);
+}
+
+function validateSituation(entry, where) {
+  if (!isClause(entry) || typeof entry.id !== "string" || !entry.id) throw new Error(`CONTROL_POLICY invalid: ${where}.id`);
+  if (entry.when != null && !isClause(entry.when)) throw new Error(`CONTROL_POLICY invalid: ${where}.when`);
+  if (entry.any != null && (!Array.isArray(entry.any) || !entry.any.every(isClause))) throw new Error(`CONTROL_POLICY invalid: ${where}.any`);
+  if (entry.when == null && entry.any == null) throw new Error(`CONTROL_POLICY invalid: ${where} needs when or any`);
+}
+
+function loadControlPolicy() {
+  const raw = env("CONTROL_POLICY");
+  if (!raw) return DEFAULT_POLICY;
+
+  let parsed = null;
+  try { parsed = JSON.parse(raw); } catch { parsed = null; }
+  if (!isClause(parsed)) throw new Error("CONTROL_POLICY invalid");
+
+  const policy = { ...DEFAULT_POLICY, ...parsed };
+  if (typeof policy.enforce_floors !== "boolean") throw new Error("CONTROL_POLICY invalid: enforce_floors");
+  if (![1, 2].includes(policy.major_gap)) throw new Error("CONTROL_POLICY invalid: major_gap");
+  if (!Array.isArray(policy.elevated)) throw new Error("CONTROL_POLICY invalid: elevated");
+  policy.elevated.forEach((e, i) => validateSituation(e, `elevated[${i}]`));
+  if (!Array.isArray(policy.floors)) throw new Error("CONTROL_POLICY invalid: floors");
+  policy.floors.forEach((f, i) => {
+    validateSituation(f, `floors[${i}]`);
+    const ladder = CONTROL_LADDERS[f.control];
+    if (!ladder) throw new Error(`CONTROL_POLICY invalid: floors[${i}].control`);
+    if (!ladder.includes(f.min)) throw new Error(`CONTROL_POLICY invalid: floors[${i}].min`);
+  });
+  return policy;
+}
+
+// Facts a policy clause can test: engine decisions + the exposure flags behind them
+function situationFacts(engine) {
+  return {
+    ...(engine?._debug?.exposure || {}),
+    continuity_bucket: engine?._debug?.continuity_bucket,
+    repeat_flag: engine?._debug?.repeat_flag,
+    leverage_flag: engine?._debug?.leverage_flag,
+    risk_level: engine?.risk_level,
+    record_safe_level: engine?.record_safe_level,
+    direction_suggestion: engine?.direction_suggestion,
+    tone_recommendation: engine?.tone_recommendation,
+    detail_recommendation: engine?.detail_recommendation
+  };
+}
+
+// gap "engine": a correction, the engine pick itself is under the floor
+function warningMessage(locale, { control, gap, elevated, floor }) {
+  const parts = [t(locale, `control.${control}.${gap}`)];
+  if (gap === "below") parts.push(...elevated.map(id => t(locale, `control.elevated.${id}`)));
+  if (floor && gap === "engine") {
+    if (floor.enforced) parts.push(t(locale, "control.floor.enforced"));
+  } else if (floor) {
+    parts.push(t(locale, floor.enforced ? "control.floor.enforced" : "control.floor.below"));
+  }
+  return parts.filter(Boolean).join(" ");
+}
+
+/**
+ * analyzeControls({ requested, recommended, engine, locale?, policy? })
+ *   requested:   user picks { tone, detail, direction } (null = no override)
+ *   recommended: engine picks for the same controls (direction may come from follow-up stickiness)
+ * -> { controls, severity, warnings, corrections, floors }
+ *   warnings:    user conflicts, an override that differs from the engine pick
+ *                [{ control, requested, recommended, applied, severity, gap, elevated?, floor?, message }]
+ *                gap = below | above the engine pick on the ladder; severity covers these only
+ *   corrections: floors the engine pick itself is under (no override, or an override equal to it)
+ *                [{ control, recommended, applied, floor, message }]
+ *   floors:      { [control]: min } for enforced floors only, so draft variants stay above them
+ */
+function analyzeControls({ requested, recommended, engine, locale = DEFAULT_LOCALE, policy = loadControlPolicy() }) {
+  const facts = situationFacts(engine);
+  const elevated = policy.elevated.filter(e => ruleMatches(e, facts)).map(e => e.id);
+
+  const controls = {};
+  const warnings = [];
+  const corrections = [];
+  const floors = {};
+  let severity = "none";
+
+  for (const [control, ladder] of Object.entries(CONTROL_LADDERS)) {
+    const rec = recommended[control];
+    const req = requested[control] || null;
+    const picked = req || rec;
+    controls[control] = picked;
+
+    // Highest floor that applies to this control in this situation, checked with or without an override
+    const floorRule = policy.floors
+      .filter(f => f.control === control && ruleMatches(f, facts))
+      .sort((a, b) => ladder.indexOf(b.min) - ladder.indexOf(a.min))[0];
+    const belowFloor = !!floorRule && ladder.indexOf(picked) < ladder.indexOf(floorRule.min);
+
+    let floor = null;
+    if (belowFloor) {
+      floor = { id: floorRule.id, min: floorRule.min, enforced: policy.enforce_floors };
+      if (policy.enforce_floors) {
+        controls[control] = floorRule.min;
+        floors[control] = floorRule.min;
+      }
+    }
+
+    const steps = req ? ladder.indexOf(req) - ladder.indexOf(rec) : 0;
+    if (!steps) {
+      // Same pick as the engine: a floor here corrects the engine, not the user
+      if (floor) {
+        corrections.push({
+          control, recommended: rec, applied: controls[control], floor,
+          message: warningMessage(locale, { control, gap: "engine", elevated: [], floor })
+        });
+      }
+      continue;
+    }
+
+    const gap = steps < 0 ? "below" : "above";
+    const level =
+      (belowFloor || Math.abs(steps) >= policy.major_gap || (gap === "below" && elevated.length)) ? "major" :
+      "minor";
+
+    const w = { control, requested: req, recommended: rec, applied: controls[control], severity: level, gap };
+    if (gap === "below" && elevated.length) w.elevated = elevated;
+    if (floor) w.floor = floor;
+    w.message = warningMessage(locale, { control, gap, elevated: w.elevated || [], floor });
+    warnings.push(w);
+
+    if (SEVERITY_RANK.indexOf(level) > SEVERITY_RANK.indexOf(severity)) severity = level;
+  }
+
+  return { controls, severity, warnings, corrections, floors };
+}
+
+module.exports = {
+  CONTROL_LADDERS,
+  DEFAULT_POLICY,
+  loadControlPolicy,
+  analyzeControls
+};
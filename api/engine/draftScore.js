@@ -0,0 +1,129 @@
+// api/engine/draftScore.js
+// Deterministic draft scoring against engine decisions (used to rank draft variants)
+// - length:      draft length vs the detail_recommendation band; words in English, characters (graphemes,
+//                whitespace excluded) in ja / ko, where the word bands are scaled by CHARS_PER_WORD
+// - forbidden:   forbidden-pattern hits (legal threats / predictions / loaded wording)
+// - record_safe: admission-of-fault hits when record_safe_mode is on
+// Each component is 0..1; total is the weighted sum (higher = better fit).
+
+const { checkForbiddenPatterns } = require("./forbiddenPatterns");
+const { DEFAULT_LOCALE } = require("./locale");
+
+// Word bands per detail level; emails run longer than chat messages
+const LENGTH_BANDS = {
+  message: {
+    concise: [25, 90],
+    standard: [60, 160],
+    detailed: [120, 280]
+  },
+  email: {
+    concise: [50, 150],
+    standard: [100, 260],
+    detailed: [180, 420]
+  }
+};
+
+// Rough characters per English word of the same message
+const CHARS_PER_WORD = { ja: 2.5, ko: 2 };
+
+const WEIGHTS = { forbidden: 0.4, record_safe: 0.3, length: 0.3 };
+const PENALTY_PER_HIT = 0.5;
+
+const RECORD_SAFE_CATEGORIES = ["admission_of_fault"];
+
+function wordCount(text) {
+  const s = String(text || "").trim();
+  return s ? s.split(/\s+/).length : 0;
+}
+
+function charCount(text, locale) {
+  let n = 0;
+  for (const { segment } of new Intl.Segmenter(locale, { granularity: "grapheme" }).segment(String(text || ""))) {
+    if (!/^\s+$/.test(segment)) n++;
+  }
+  return n;
+}
+
+function lengthUnit(locale) {
+  return CHARS_PER_WORD[locale] ? "characters" : "words";
+}
+
+function draftLength(text, locale) {
+  return CHARS_PER_WORD[locale] ? charCount(text, locale) : wordCount(text);
+}
+
+function lengthBand(kind, detail, locale) {
+  const band = LENGTH_BANDS[kind][detail] || LENGTH_BANDS[kind].standard;
+  const scale = CHARS_PER_WORD[locale];
+  return scale ? band.map(n => Math.round(n * scale)) : band;
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// 1 inside the band, linear falloff to 0 at one band-width away
+function lengthFit(len, [min, max]) {
+  if (len >= min && len <= max) return 1;
+  const width = max - min;
+  const off = len < min ? min - len : len - max;
+  return Math.max(0, 1 - off / width);
+}
+
+function hitScore(hits) {
+  return Math.max(0, 1 - hits * PENALTY_PER_HIT);
+}
+
+/**
+ * scoreDraft({ out, engine, pkg, locale? }) where out = normalized { message_text, email_text }
+ * -> { total, length, forbidden, record_safe, details: { unit, lengths, bands, hits } }
+ */
+function scoreDraft({ out, engine, pkg, locale = DEFAULT_LOCALE }) {
+  const detail = engine?.detail_recommendation || "standard";
+  const constraints = engine?.constraints || {};
+
+  const texts = [
+    ...((pkg === "message" || pkg === "bundle") ? [["message", out?.message_text]] : []),
+    ...((pkg === "email" || pkg === "bundle") ? [["email", out?.email_text]] : [])
+  ];
+
+  const lengths = {};
+  const bands = {};
+  const fits = texts.map(([kind, text]) => {
+    const band = lengthBand(kind, detail, locale);
+    lengths[kind] = draftLength(text, locale);
+    bands[kind] = band;
+    return lengthFit(lengths[kind], band);
+  });
+  const length = fits.length ? fits.reduce((a, x) => a + x, 0) / fits.length : 0;
+
+  const violations = checkForbiddenPatterns(out, constraints, { target: "draft", locale });
+  const recordSafeHits = violations.filter(v => RECORD_SAFE_CATEGORIES.includes(v.category)).length;
+  const forbiddenHits = violations.length - recordSafeHits;
+
+  const forbidden = hitScore(forbiddenHits);
+  const record_safe = constraints.record_safe_mode ? hitScore(recordSafeHits) : 1;
+
+  const total = WEIGHTS.forbidden * forbidden + WEIGHTS.record_safe * record_safe + WEIGHTS.length * length;
+
+  return {
+    total: round3(total),
+    length: round3(length),
+    forbidden: round3(forbidden),
+    record_safe: round3(record_safe),
+    details: { unit: lengthUnit(locale), lengths, bands, hits: { forbidden: forbiddenHits, record_safe: recordSafeHits } }
+  };
+}
+
+/**
+ * Highest total wins; ties go to the earlier variant (baseline is always first).
+ */
+function pickRecommended(scored) {
+  return scored.reduce((best, v) => (!best || v.score.total > best.score.total) ? v : best, null);
+}
+
+module.exports = {
+  LENGTH_BANDS,
+  scoreDraft,
+  pickRecommended
+};
@@ -0,0 +1,60 @@
+// api/engine/draftVariants.js
+// Draft variants: baseline / softer / firmer postures around the resolved controls
+// - Tone moves one step along calm < neutral < formal, candor along low < moderate < high
+//   (baseline = controls.tone, which defaults to engine.tone_recommendation, + engine.insight_candor_level)
+// - A posture that clamps to the baseline (e.g. "softer" of calm + low) is skipped, so fewer than N may come back
+
+const MAX_VARIANTS = 3;
+
+const TONE_LADDER = ["calm", "neutral", "formal"];
+const CANDOR_LADDER = ["low", "moderate", "high"];
+
+// Order matters: baseline first (wins score ties), then the closest alternatives
+const POSTURES = [
+  { name: "baseline", shift: 0 },
+  { name: "softer", shift: -1 },
+  { name: "firmer", shift: 1 }
+];
+
+function step(ladder, value, shift, min = null) {
+  const i = ladder.indexOf(value);
+  if (i < 0) return value;
+  const lo = Math.max(0, ladder.indexOf(min));
+  return ladder[Math.min(ladder.length - 1, Math.max(lo, i + shift))];
+}
+
+/**
+ * body.variants -> 1..MAX_VARIANTS, or null when invalid (absent = 1)
+ */
+function parseVariantCount(value) {
+  if (value === undefined || value === null) return 1;
+  const n = Number(value);
+  return (Number.isInteger(n) && n >= 1 && n <= MAX_VARIANTS) ? n : null;
+}
+
+/**
+ * planVariants({ count, controls, engine, floors? }) -> [{ name, tone, candor }]
+ * floors.tone (an enforced control policy floor) keeps "softer" from going under it
+ */
+function planVariants({ count, controls, engine, floors = {} }) {
+  const baseTone = controls.tone;
+  const baseCandor = engine.insight_candor_level;
+
+  const seen = new Set();
+  const plan = [];
+  for (const p of POSTURES) {
+    if (plan.length >= count) break;
+    const v = { name: p.name, tone: step(TONE_LADDER, baseTone, p.shift, floors.tone), candor: step(CANDOR_LADDER, baseCandor, p.shift) };
+    const key = `${v.tone}|${v.candor}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    plan.push(v);
+  }
+  return plan;
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  parseVariantCount,
+  planVariants
+};
@@ -0,0 +1,186 @@
+// api/engine/entitlement.js
+// Server-side paywall entitlement (do not trust client paywall state)
+// - Purchase token = HS256 JWT in `Authorization: Bearer <token>`, signed with ENTITLEMENT_SECRET
+// - Claims: { packages: ["message"|"email"|"bundle"], insight: boolean, exp, iat?, nbf?, jti?, sub? }
+//   (a "bundle" purchase also covers message / email)
+// - exp is mandatory; a jti makes the token single-use (reserve -> commit on success / release on failure)
+// - The default jti ledger (MemoryJtiStore) is per instance: single-use only holds across instances once
+//   setEntitlementStore() points every instance at a shared store (e.g. Redis). When full it drops expired
+//   entries only, and otherwise refuses new reservations (ENTITLEMENT_STORE_FULL) rather than forget a used jti
+// - ENTITLEMENT_MODE=off disables the check (local dev only)
+
+const crypto = require("crypto");
+
+const CLOCK_SKEW_S = 30;
+const RESERVE_TTL_MS = 2 * 60 * 1000; // a generation never takes this long
+const MAX_USED_JTIS = 50_000;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function b64urlDecode(s) {
+  return Buffer.from(String(s).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+function entitlementError(code, reason, jti = null) {
+  const e = new Error(`${code} ${reason}`);
+  e.code = code;     // ENTITLEMENT_REQUIRED | ENTITLEMENT_MISMATCH
+  e.reason = reason; // missing | malformed | invalid_signature | expired | not_yet_valid | already_used | package | insight
+  if (jti) e.jti = jti; // already_used only: lets the response cache replay this token's own response
+  return e;
+}
+
+// Single-use ledger. Same pluggable shape as the rate-limit store so it can move to Redis.
+class MemoryJtiStore {
+  constructor({ maxKeys = MAX_USED_JTIS } = {}) {
+    this.maxKeys = maxKeys;
+    this.items = new Map(); // jti -> { state: "pending"|"used", until }
+  }
+
+  async reserve(jti, { now = Date.now() } = {}) {
+    const cur = this.items.get(jti);
+    if (cur && cur.until > now) return false;
+    this.items.delete(jti);
+    if (this.items.size >= this.maxKeys && !this.evictExpired(now)) throw new Error("ENTITLEMENT_STORE_FULL");
+    this.items.set(jti, { state: "pending", until: now + RESERVE_TTL_MS });
+    return true;
+  }
+
+  // Fail closed: evicting a live "used" jti would make that token spendable again
+  evictExpired(now) {
+    const before = this.items.size;
+    for (const [jti, item] of this.items) {
+      if (item.until <= now) this.items.delete(jti);
+    }
+    return this.items.size < before;
+  }
+
+  async commit(jti, { until }) {
+    this.items.set(jti, { state: "used", until });
+  }
+
+  async release(jti) {
+    const cur = this.items.get(jti);
+    if (cur?.state === "pending") this.items.delete(jti);
+  }
+}
+
+let JTI_STORE = new MemoryJtiStore();
+
+function setEntitlementStore(store) {
+  if (!store || ["reserve", "commit", "release"].some(k => typeof store[k] !== "function")) {
+    throw new Error("ENTITLEMENT_STORE invalid");
+  }
+  JTI_STORE = store;
+}
+
+function signEntitlementToken(claims, secret = env("ENTITLEMENT_SECRET")) {
+  if (!secret) throw new Error("ENTITLEMENT_SECRET missing");
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify(claims));
+  return `${header}.${body}.${b64url(hmac(secret, `${header}.${body}`))}`;
+}
+
+function verifyToken(token, secret, nowS) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw entitlementError("ENTITLEMENT_REQUIRED", "malformed");
+
+  let header, claims;
+  try {
+    header = JSON.parse(b64urlDecode(parts[0]).toString("utf8"));
+    claims = JSON.parse(b64urlDecode(parts[1]).toString("utf8"));
+  } catch {
+    throw entitlementError("ENTITLEMENT_REQUIRED", "malformed");
+  }
+  // Pin the algorithm: never let the token choose (no "none", no RS/HS confusion)
+  if (header?.alg !== "HS256" || !claims || typeof claims !== "object") {
+    throw entitlementError("ENTITLEMENT_REQUIRED", "malformed");
+  }
+
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+  const got = b64urlDecode(parts[2]);
+  if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) {
+    throw entitlementError("ENTITLEMENT_REQUIRED", "invalid_signature");
+  }
+
+  if (!Number.isFinite(claims.exp)) throw entitlementError("ENTITLEMENT_REQUIRED", "malformed");
+  if (nowS > claims.exp + CLOCK_SKEW_S) throw entitlementError("ENTITLEMENT_REQUIRED", "expired");
+  if (Number.isFinite(claims.nbf) && nowS + CLOCK_SKEW_S < claims.nbf) {
+    throw entitlementError("ENTITLEMENT_REQUIRED", "not_yet_valid");
+  }
+
+  return claims;
+}
+
+function coveredPackages(claims) {
+  const list = Array.isArray(claims.packages) ? claims.packages : (claims.package ? [claims.package] : []);
+  const set = new Set(list.map(p => String(p).toLowerCase()));
+  if (set.has("bundle")) { set.add("message"); set.add("email"); }
+  return set;
+}
+
+function bearer(req) {
+  const h = String(req.headers?.authorization || "").trim();
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * verifyEntitlement({ req, pkg, include_analysis })
+ * -> null when ENTITLEMENT_MODE=off, else { claims, jti, settle(success) }
+ * Throws errors with e.code ENTITLEMENT_REQUIRED / ENTITLEMENT_MISMATCH (+ e.reason),
+ * Error("ENTITLEMENT_SECRET missing") when misconfigured, or Error("ENTITLEMENT_STORE_FULL") from the ledger.
+ * Callers MUST call settle(true|false) once the request finishes (single-use bookkeeping).
+ */
+async function verifyEntitlement({ req, pkg, include_analysis = false, now = Date.now() }) {
+  if (String(env("ENTITLEMENT_MODE", "enforce")).toLowerCase() === "off") return null;
+
+  const secret = env("ENTITLEMENT_SECRET");
+  if (!secret) throw new Error("ENTITLEMENT_SECRET missing");
+
+  const token = bearer(req);
+  if (!token) throw entitlementError("ENTITLEMENT_REQUIRED", "missing");
+
+  const claims = verifyToken(token, secret, Math.floor(now / 1000));
+
+  if (!coveredPackages(claims).has(String(pkg || "").toLowerCase())) {
+    throw entitlementError("ENTITLEMENT_MISMATCH", "package");
+  }
+  if (include_analysis && claims.insight !== true) {
+    throw entitlementError("ENTITLEMENT_MISMATCH", "insight");
+  }
+
+  const jti = (typeof claims.jti === "string" && claims.jti) ? claims.jti : null;
+  if (jti && !(await JTI_STORE.reserve(jti, { now }))) {
+    throw entitlementError("ENTITLEMENT_REQUIRED", "already_used", jti);
+  }
+
+  let settled = false;
+  return {
+    claims,
+    jti,
+    async settle(success) {
+      if (!jti || settled) return;
+      settled = true;
+      if (success) await JTI_STORE.commit(jti, { until: (claims.exp + CLOCK_SKEW_S) * 1000 });
+      else await JTI_STORE.release(jti);
+    }
+  };
+}
+
+module.exports = {
+  verifyEntitlement,
+  signEntitlementToken,
+  setEntitlementStore,
+  MemoryJtiStore
+};
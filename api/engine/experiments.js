@@ -0,0 +1,158 @@
+// api/engine/experiments.js
+// Prompt A/B experiments + explicit version pinning
+// - PROMPT_EXPERIMENT (JSON) declares variants: base path and/or ref + traffic weight
+//   e.g. {"id":"msg-2026-10","variants":[
+//          {"name":"control","base_path":"prompts/v1","weight":80},
+//          {"name":"v2","base_path":"prompts/v2","ref":"prompts-v2","weight":20}]}
+// - Assignment = sha256(experiment id + session id) -> bucket, so the same session always gets the same variant
+// - Internal callers may pin with X-Prompt-Pin (variant name or "<base_path>@<ref>") + X-Internal-Key
+
+const crypto = require("crypto");
+const { assertSafeRef, assertSafePath } = require("./promptLoader");
+
+const DEFAULT_BASE_PATH = "prompts/v1";
+const BUCKETS = 10_000;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function defaultRef() {
+  return env("PROMPTS_REF", "main");
+}
+
+function normalizeVariant(v, i) {
+  const name = String(v?.name || "").trim();
+  if (!name) throw new Error(`PROMPT_EXPERIMENT invalid: variant ${i} has no name`);
+  const weight = Number(v?.weight ?? 0);
+  if (!Number.isFinite(weight) || weight < 0) throw new Error(`PROMPT_EXPERIMENT invalid: bad weight for ${name}`);
+
+  return {
+    name,
+    base_path: assertSafePath(v?.base_path || DEFAULT_BASE_PATH).replace(/\/+$/, ""),
+    ref: assertSafeRef(v?.ref || defaultRef()),
+    weight
+  };
+}
+
+/**
+ * Reads PROMPT_EXPERIMENT. Without it there is a single "default" variant
+ * (prompts/v1 @ PROMPTS_REF), i.e. the pre-experiment behavior.
+ */
+function loadExperiment() {
+  const raw = env("PROMPT_EXPERIMENT");
+  if (!raw) {
+    return {
+      id: "none",
+      variants: [{ name: "default", base_path: DEFAULT_BASE_PATH, ref: assertSafeRef(defaultRef()), weight: 1 }]
+    };
+  }
+
+  let parsed = null;
+  try { parsed = JSON.parse(raw); } catch { parsed = null; }
+  if (!parsed || !Array.isArray(parsed.variants) || !parsed.variants.length) {
+    throw new Error("PROMPT_EXPERIMENT invalid");
+  }
+
+  const variants = parsed.variants.map(normalizeVariant);
+  if (new Set(variants.map(v => v.name)).size !== variants.length) {
+    throw new Error("PROMPT_EXPERIMENT invalid: duplicate variant names");
+  }
+  if (!variants.some(v => v.weight > 0)) throw new Error("PROMPT_EXPERIMENT invalid: all weights are 0");
+
+  return { id: String(parsed.id || "prompt-experiment"), variants };
+}
+
+function bucketOf(experimentId, sessionId) {
+  const h = crypto.createHash("sha256").update(`${experimentId}:${sessionId}`).digest();
+  return h.readUInt32BE(0) % BUCKETS;
+}
+
+function pickByWeight(variants, bucket) {
+  const total = variants.reduce((a, v) => a + v.weight, 0);
+  const point = (bucket / BUCKETS) * total;
+  let acc = 0;
+  for (const v of variants) {
+    acc += v.weight;
+    if (v.weight > 0 && point < acc) return v;
+  }
+  return variants.filter(v => v.weight > 0).pop();
+}
+
+function isInternalCaller(req) {
+  const expected = env("INTERNAL_API_KEY");
+  const got = String(req.headers?.["x-internal-key"] || "");
+  if (!expected || !got) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(got);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parsePin(pin, experiment) {
+  const byName = experiment.variants.find(v => v.name === pin);
+  if (byName) return byName;
+
+  // "<base_path>@<ref>" (either side optional: "prompts/v2", "@abc123")
+  const at = pin.lastIndexOf("@");
+  const basePart = at > -1 ? pin.slice(0, at) : pin;
+  const refPart = at > -1 ? pin.slice(at + 1) : "";
+  return {
+    name: "pinned",
+    base_path: basePart ? assertSafePath(basePart).replace(/\/+$/, "") : DEFAULT_BASE_PATH,
+    ref: assertSafeRef(refPart || defaultRef()),
+    weight: 0
+  };
+}
+
+/**
+ * assignPromptVariant({ req, sessionId })
+ * -> { experiment, variant, base_path, ref, assignment: "pinned" | "hashed" | "default" }
+ * Throws PROMPT_PIN_FORBIDDEN / PROMPT_PIN_INVALID / PROMPT_EXPERIMENT invalid.
+ */
+function assignPromptVariant({ req, sessionId }) {
+  const experiment = loadExperiment();
+  const pin = String(req.headers?.["x-prompt-pin"] || "").trim();
+
+  let variant;
+  let assignment;
+
+  if (pin) {
+    if (!isInternalCaller(req)) throw new Error("PROMPT_PIN_FORBIDDEN");
+    try {
+      variant = parsePin(pin, experiment);
+    } catch {
+      throw new Error("PROMPT_PIN_INVALID");
+    }
+    assignment = "pinned";
+  } else if (sessionId && experiment.variants.length > 1) {
+    variant = pickByWeight(experiment.variants, bucketOf(experiment.id, sessionId));
+    assignment = "hashed";
+  } else {
+    // No session id: stable control (first variant) so anonymous traffic never flips
+    variant = experiment.variants[0];
+    assignment = "default";
+  }
+
+  return {
+    experiment: experiment.id,
+    variant: variant.name,
+    base_path: variant.base_path,
+    ref: variant.ref,
+    assignment
+  };
+}
+
+function readSessionId(req, body) {
+  const raw = req.headers?.["x-session-id"] ?? body?.session_id ?? body?.state?.session_id ?? null;
+  const s = (typeof raw === "string") ? raw.trim() : "";
+  // Opaque client id; bounded so it cannot be used to bloat hashing / logs
+  return (s && s.length <= 128) ? s : null;
+}
+
+module.exports = {
+  loadExperiment,
+  assignPromptVariant,
+  readSessionId,
+  isInternalCaller
+};
@@ -0,0 +1,134 @@
+// api/engine/explain.js
+// POST /api/engine/explain — deterministic engine only (no prompt load, no LLM call)
+// Returns the decisions plus a step-by-step trace for support ("why formal / disengage?"):
+// - which raw input won for each flag (V3-native vs V2 / V2 proxy)
+// - each weight's contribution to risk_score
+// - which threshold / rule fired for every decision
+//
+// Body: the same body /api/generate accepts ({ state } or the bare state),
+// or { engine_input: {...} } to explain a raw computeEngineDecisions() input.
+// Optional: ruleset: "3.1" (default ENGINE_RULESET / 3.0), compare_rulesets: ["3.0", "3.1"]
+// - Public callers may name the rulesets already loaded on this instance, ENGINE_RULESET and
+//   EXPLAIN_RULESETS (comma-separated); only an internal caller (X-Internal-Key) can fetch any other version
+// - Rate limited ("explain" bucket), one token per ruleset evaluated
+
+const { json, setCors, rejectDisallowedOrigin, isJsonRequest, readJsonBody } = require("./http");
+const { explainEngineDecisions } = require("./compute");
+const { pickRawPayload, coercePayload, toEngineInput } = require("./payload");
+const { validateInput } = require("./inputSchema");
+const { migrateInputToV3 } = require("./migrateInput");
+const { loadRuleset, listRulesetVersions, DEFAULT_RULESET_VERSION } = require("./ruleset");
+const { readSessionId, isInternalCaller } = require("./experiments");
+const { checkRateLimit } = require("./rateLimit");
+
+const MAX_COMPARE = 4;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+// Versions a public caller may ask for: nothing here triggers a fetch the deploy did not opt into
+function publicRulesetVersions() {
+  return new Set([
+    ...listRulesetVersions(),
+    env("ENGINE_RULESET", DEFAULT_RULESET_VERSION),
+    ...String(env("EXPLAIN_RULESETS", "")).split(",").map(s => s.trim()).filter(Boolean)
+  ]);
+}
+
+module.exports = async (req, res) => {
+  setCors(req, res, {
+    allowHeaders: ["Content-Type", "Authorization", "X-Session-Id", "X-Internal-Key"],
+    exposeHeaders: ["Retry-After"]
+  });
+  if (rejectDisallowedOrigin(req, res)) return;
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    return json(res, 405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  if (!isJsonRequest(req)) {
+    return json(res, 415, { ok: false, error: "UNSUPPORTED_MEDIA_TYPE" });
+  }
+
+  const parsed = await readJsonBody(req);
+  if (parsed.error) return json(res, parsed.status, parsed.error);
+  const body = parsed.body;
+
+  // Lenient validation: explain what the engine saw, and flag inputs it silently dropped
+  let warnings = [];
+  let engineInput;
+  if (body.engine_input && typeof body.engine_input === "object") {
+    engineInput = body.engine_input;
+  } else {
+    const validation = validateInput(pickRawPayload(body.state || body), { mode: "lenient" });
+    warnings = validation.warnings.filter(w => w.path !== "input.key_facts");
+    engineInput = toEngineInput(coercePayload(validation.clean));
+  }
+
+  const compare = Array.isArray(body.compare_rulesets) ? body.compare_rulesets.slice(0, MAX_COMPARE) : [];
+
+  if (!isInternalCaller(req)) {
+    const allowed = publicRulesetVersions();
+    const refused = [body.ruleset, ...compare].filter(v => v != null && !allowed.has(String(v).trim()));
+    if (refused.length) {
+      return json(res, 403, {
+        ok: false,
+        error: "RULESET_NOT_ALLOWED",
+        message: `not available here: ${refused.map(String).join(", ")}`,
+        allowed: [...allowed]
+      });
+    }
+  }
+
+  let limited;
+  try {
+    limited = await checkRateLimit({ req, sessionId: readSessionId(req, body), pkg: "explain", cost: 1 + compare.length });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: "RATE_LIMIT_CONFIG_INVALID", message: String(e?.message || e) });
+  }
+  if (!limited.allowed) {
+    res.setHeader("Retry-After", String(limited.retryAfterS));
+    return json(res, 429, { ok: false, error: "RATE_LIMITED", limit: limited.limit, retry_after_s: limited.retryAfterS });
+  }
+
+  let ruleset;
+  let compareRulesets;
+  try {
+    ruleset = await loadRuleset(body.ruleset || undefined);
+    compareRulesets = await Promise.all(compare.map(v => loadRuleset(v)));
+  } catch (e) {
+    return json(res, 400, { ok: false, error: "RULESET_LOAD_FAILED", message: String(e?.message || e) });
+  }
+
+  const { decisions, trace } = explainEngineDecisions(engineInput, { ruleset });
+
+  const response = {
+    ok: true,
+    engine_input: engineInput,
+    decisions,
+    trace,
+    warnings,
+    // Trace keeps the V2 sources visible; deprecations show how /api/generate migrates them
+    deprecations: migrateInputToV3(engineInput).deprecations
+  };
+
+  // Side-by-side: same input through other rulesets, with the decisions that moved
+  if (compareRulesets.length) {
+    response.comparison = compareRulesets.map(rs => {
+      const other = explainEngineDecisions(engineInput, { ruleset: rs });
+      const changed = Object.keys(other.trace.decisions).filter(k =>
+        JSON.stringify(other.trace.decisions[k]?.value) !== JSON.stringify(trace.decisions[k]?.value)
+      );
+      return { ruleset_version: rs.version, decisions: other.decisions, trace: other.trace, changed };
+    });
+  }
+
+  return json(res, 200, response);
+};
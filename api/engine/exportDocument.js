@@ -0,0 +1,292 @@
+// api/engine/exportDocument.js
+// Server-side document export for generated drafts (POST /api/export)
+// - buildExportDocument() turns a generated `out` (+ optional engine metadata) into one neutral layout:
+//   title, generation timestamp, optional record header, details, message / email / insight sections, disclaimer
+// - Every format renders that same layout: Markdown and plain text here, DOCX (exportDocx.js), PDF (exportPdf.js)
+// - The dated RECORD COPY header (record date + content reference) is printed only for a server-signed
+//   record_receipt from /api/generate (engine/recordReceipt.js) that matches the exported drafts; the client's
+//   engine block only fills the details table. Timestamps are the server's, never the client's.
+// - Labels follow the locale (en|ko|ja); dates are formatted in the requested IANA time zone (default UTC)
+
+const crypto = require("crypto");
+const { validateOutput } = require("./outputSchema");
+const { DEFAULT_LOCALE, normalizeLocale, t } = require("./locale");
+const { verifyRecordReceipt } = require("./recordReceipt");
+
+const EXPORT_FORMATS = ["md", "txt", "docx", "pdf"];
+const MAX_TEXT_CHARS = 12_000; // same cap as model drafts (outputSchema.js)
+
+const CONTENT_TYPES = {
+  md: "text/markdown; charset=utf-8",
+  txt: "text/plain; charset=utf-8",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pdf: "application/pdf"
+};
+
+function issue(path, code, message) {
+  return { path, code, message };
+}
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const RECEIPT_ERRORS = {
+  not_configured: "record receipts are not enabled on this server",
+  malformed: "is not a record receipt",
+  invalid_signature: "was not issued by this server",
+  mismatch: "does not match out.message_text / out.email_text (edited drafts export without it)"
+};
+
+/**
+ * validateExportRequest(body) -> { ok, errors, clean: { format, out, engine, locale, generatedAt, timeZone, record } }
+ * `out` is the generated data object ({ message_text, email_text, insight }); at least one part is required.
+ * generatedAt is the receipt's generation time, else now; a client `generated_at` is ignored.
+ */
+function validateExportRequest(body) {
+  const errors = [];
+  const b = body || {};
+
+  const format = String(b.format || "").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push(issue("format", "unknown_value", `must be one of ${EXPORT_FORMATS.join(" | ")}`));
+  }
+
+  const out = b.out;
+  const clean = {};
+  if (!out || typeof out !== "object" || Array.isArray(out)) {
+    errors.push(issue("out", "type", "must be the generated `data` object"));
+  } else {
+    for (const key of ["message_text", "email_text"]) {
+      const v = out[key];
+      if (v === undefined || v === null || v === "") continue;
+      if (typeof v !== "string") errors.push(issue(`out.${key}`, "type", "must be a string"));
+      else if (v.length > MAX_TEXT_CHARS) errors.push(issue(`out.${key}`, "too_long", `must be at most ${MAX_TEXT_CHARS} characters`));
+      else clean[key] = v;
+    }
+    if (out.insight !== undefined && out.insight !== null) {
+      const v = validateOutput("insight", out.insight);
+      if (v.ok) clean.insight = out.insight;
+      else errors.push(...v.errors.map(e => ({ ...e, path: e.path.replace(/^\$/, "out.insight") })));
+    }
+    if (!clean.message_text && !clean.email_text && !clean.insight && !errors.some(e => e.path.startsWith("out."))) {
+      errors.push(issue("out", "required", "needs message_text, email_text or insight"));
+    }
+  }
+
+  let engine = null;
+  if (b.engine !== undefined && b.engine !== null) {
+    if (typeof b.engine !== "object" || Array.isArray(b.engine)) errors.push(issue("engine", "type", "must be an object"));
+    else engine = b.engine;
+  }
+
+  const locale = normalizeLocale(b.locale) || DEFAULT_LOCALE;
+
+  let generatedAt = new Date();
+  let record = null;
+  if (b.record_receipt !== undefined && b.record_receipt !== null && !errors.some(e => e.path.startsWith("out"))) {
+    const receipt = verifyRecordReceipt(b.record_receipt, clean);
+    if (receipt.ok) {
+      generatedAt = receipt.issuedAt;
+      record = { issuedAt: receipt.issuedAt };
+    } else {
+      errors.push(issue("record_receipt", receipt.reason, RECEIPT_ERRORS[receipt.reason]));
+    }
+  }
+
+  const timeZone = b.time_zone === undefined || b.time_zone === null ? "UTC" : String(b.time_zone);
+  if (!isValidTimeZone(timeZone)) errors.push(issue("time_zone", "unknown_value", "must be an IANA time zone, e.g. Europe/Berlin"));
+
+  return { ok: errors.length === 0, errors, clean: { format, out: clean, engine, locale, generatedAt, timeZone, record } };
+}
+
+// YYYY-MM-DD in the given time zone
+function isoDate(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+    .formatToParts(date).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function formatTimestamp(date, locale, timeZone) {
+  const text = new Intl.DateTimeFormat(locale, { dateStyle: "long", timeStyle: "short", timeZone }).format(date);
+  return `${text} (${timeZone})`;
+}
+
+// Short fingerprint of the receipted drafts printed on record copies ("A1B2-C3D4-E5F6")
+function contentReference(out, generatedAt) {
+  const hex = crypto.createHash("sha256")
+    .update(JSON.stringify([out.message_text || null, out.email_text || null, generatedAt.toISOString()]))
+    .digest("hex").slice(0, 12).toUpperCase();
+  return hex.match(/.{4}/g).join("-");
+}
+
+function textBlocks(text) {
+  return [{ type: "text", text: String(text).replace(/\r\n?/g, "\n").trim() }];
+}
+
+/**
+ * buildExportDocument({ out, engine, locale, generatedAt, timeZone, record }) -> layout shared by every renderer:
+ * `record` ({ issuedAt } from a verified record_receipt) is the only way to get the record header.
+ * { locale, title, generated_at, generated_label, record: { date, reference } | null,
+ *   details: [[label, value]], sections: [{ id, heading, blocks }], disclaimer }
+ * blocks: { type: "text", text } | { type: "subheading", text } | { type: "bullets", items }
+ */
+function buildExportDocument({ out, engine = null, locale = DEFAULT_LOCALE, generatedAt = new Date(), timeZone = "UTC", record: receipted = null }) {
+  const sections = [];
+  if (out.message_text) sections.push({ id: "message", heading: t(locale, "export.message"), blocks: textBlocks(out.message_text) });
+  if (out.email_text) sections.push({ id: "email", heading: t(locale, "export.email"), blocks: textBlocks(out.email_text) });
+
+  if (out.insight) {
+    const blocks = [];
+    for (const s of out.insight.insight_sections || []) {
+      if (s.heading) blocks.push({ type: "subheading", text: String(s.heading).trim() });
+      if (s.body) blocks.push(...textBlocks(s.body));
+      const items = (s.bullets || []).map(x => String(x).trim()).filter(Boolean);
+      if (items.length) blocks.push({ type: "bullets", items });
+    }
+    sections.push({ id: "insight", heading: String(out.insight.insight_title).trim(), blocks });
+  }
+
+  const details = [];
+  if (engine?.risk_level) details.push([t(locale, "export.risk_level"), String(engine.risk_level)]);
+  if (engine?.tone_recommendation) details.push([t(locale, "export.tone"), String(engine.tone_recommendation)]);
+  if (engine?.ruleset_version) details.push([t(locale, "export.ruleset"), String(engine.ruleset_version)]);
+
+  const record = receipted
+    ? { date: isoDate(receipted.issuedAt, timeZone), reference: contentReference(out, receipted.issuedAt) }
+    : null;
+
+  return {
+    locale,
+    title: `ClearBound — ${t(locale, "export.title")}`,
+    generated_at: generatedAt.toISOString(),
+    generated_label: formatTimestamp(generatedAt, locale, timeZone),
+    record,
+    details,
+    sections,
+    disclaimer: String(out.insight?.disclaimer_line || t(locale, "export.disclaimer_default")).trim()
+  };
+}
+
+// Shared label lines ("Generated: ...", record header) so every format says the same thing
+function headerLines(doc) {
+  const L = (key) => t(doc.locale, key);
+  return {
+    generated: `${L("export.generated")}: ${doc.generated_label}`,
+    record: doc.record ? {
+      title: L("export.record_copy"),
+      lines: [
+        `${L("export.record_date")}: ${doc.record.date}`,
+        `${L("export.reference")}: ${doc.record.reference}`,
+        L("export.record_note")
+      ]
+    } : null
+  };
+}
+
+// ---------- Markdown ----------
+
+// Escapes only what would turn plain draft text into markup
+function mdEscapeLine(line) {
+  return line
+    .replace(/([\\`*_[\]<>|])/g, "\\$1")
+    .replace(/^(\s*)([#+-]|\d+\.)(\s)/, "$1\\$2$3");
+}
+
+// Single newlines become hard breaks; blank lines stay paragraph breaks
+function mdParagraphs(text) {
+  return text.split(/\n{2,}/).map(p => p.split("\n").map(mdEscapeLine).join("  \n")).join("\n\n");
+}
+
+function renderMarkdown(doc) {
+  const h = headerLines(doc);
+  const lines = [`# ${mdEscapeLine(doc.title)}`, "", `_${mdEscapeLine(h.generated)}_`, ""];
+
+  if (h.record) {
+    lines.push(`> **${h.record.title}**  `);
+    h.record.lines.forEach((l, i) => lines.push(`> ${mdEscapeLine(l)}${i < h.record.lines.length - 1 ? "  " : ""}`));
+    lines.push("");
+  }
+
+  if (doc.details.length) {
+    lines.push(...doc.details.map(([k, v]) => `- **${mdEscapeLine(k)}:** ${mdEscapeLine(v)}`), "");
+  }
+
+  for (const s of doc.sections) {
+    lines.push(`## ${mdEscapeLine(s.heading)}`, "");
+    for (const b of s.blocks) {
+      if (b.type === "subheading") lines.push(`### ${mdEscapeLine(b.text)}`, "");
+      else if (b.type === "bullets") lines.push(...b.items.map(i => `- ${mdEscapeLine(i)}`), "");
+      else lines.push(mdParagraphs(b.text), "");
+    }
+  }
+
+  lines.push("---", "", `_${mdEscapeLine(doc.disclaimer)}_`, "");
+  return lines.join("\n");
+}
+
+// ---------- Plain text ----------
+
+function underline(text, ch) {
+  return `${text}\n${ch.repeat(Math.max(3, [...text].length))}`;
+}
+
+function renderText(doc) {
+  const h = headerLines(doc);
+  const lines = [underline(doc.title, "="), h.generated, ""];
+
+  if (h.record) {
+    lines.push(`[ ${h.record.title} ]`, ...h.record.lines, "");
+  }
+
+  if (doc.details.length) {
+    lines.push(...doc.details.map(([k, v]) => `${k}: ${v}`), "");
+  }
+
+  for (const s of doc.sections) {
+    lines.push(underline(s.heading, "-"), "");
+    for (const b of s.blocks) {
+      if (b.type === "subheading") lines.push(b.text, "");
+      else if (b.type === "bullets") lines.push(...b.items.map(i => `  * ${i}`), "");
+      else lines.push(b.text, "");
+    }
+  }
+
+  lines.push("--", doc.disclaimer, "");
+  return lines.join("\n");
+}
+
+/**
+ * renderExport(doc, format) -> { body: Buffer, contentType, filename }
+ */
+function renderExport(doc, format) {
+  // Lazy: DOCX / PDF writers are only loaded for those formats
+  const body =
+    format === "md" ? Buffer.from(renderMarkdown(doc), "utf8") :
+    format === "txt" ? Buffer.from(renderText(doc), "utf8") :
+    format === "docx" ? require("./exportDocx").renderDocx(doc, headerLines(doc)) :
+    format === "pdf" ? require("./exportPdf").renderPdf(doc, headerLines(doc)) :
+    null;
+  if (!body) throw new Error(`EXPORT_FORMAT_UNKNOWN ${format}`);
+
+  const stamp = doc.generated_at.slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `clearbound-${doc.record ? "record-" : ""}${stamp}.${format}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  validateExportRequest,
+  buildExportDocument,
+  renderMarkdown,
+  renderText,
+  renderExport
+};
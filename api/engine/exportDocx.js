@@ -0,0 +1,238 @@
+// api/engine/exportDocx.js
+// Minimal DOCX writer for exportDocument.js layouts (no deps)
+// - WordprocessingML with a small style sheet (Title / Heading1 / Heading2 / Normal); bullets are
+//   indented "•" paragraphs so no numbering part is needed
+// - The package is a plain ZIP (deflate via zlib, CRC-32 computed here)
+// - East Asian text gets an eastAsia font + language so Word picks a CJK face
+
+const zlib = require("zlib");
+
+const EAST_ASIAN = {
+  ko: { font: "Malgun Gothic", lang: "ko-KR" },
+  ja: { font: "Yu Gothic", lang: "ja-JP" }
+};
+
+// ---------- zip ----------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time/date fields
+function dosDateTime(d) {
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+    date: ((d.getUTCFullYear() - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+  };
+}
+
+/**
+ * zip([{ name, data: Buffer }], date) -> Buffer (deflated entries, UTF-8 names)
+ */
+function zip(entries, date = new Date()) {
+  const { time, date: day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const e of entries) {
+    const name = Buffer.from(e.name, "utf8");
+    const data = zlib.deflateRawSync(e.data);
+    const crc = crc32(e.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);        // version needed
+    local.writeUInt16LE(0x0800, 6);    // UTF-8 names
+    local.writeUInt16LE(8, 8);         // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(e.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);      // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(e.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((a, b) => a + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// ---------- WordprocessingML ----------
+
+function xmlEscape(s) {
+  return String(s)
+    // characters XML 1.0 cannot carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// One run per line, joined with <w:br/> (line breaks inside a draft paragraph are meaningful)
+function runs(text, { bold = false, italic = false, size = null } = {}) {
+  const rPr = [bold ? "<w:b/>" : "", italic ? "<w:i/>" : "", size ? `<w:sz w:val="${size}"/>` : ""].join("");
+  const props = rPr ? `<w:rPr>${rPr}</w:rPr>` : "";
+  return String(text).split("\n")
+    .map((line, i) => `<w:r>${props}${i ? "<w:br/>" : ""}<w:t xml:space="preserve">${xmlEscape(line)}</w:t></w:r>`)
+    .join("");
+}
+
+function para(content, { style = null, pPr = "" } = {}) {
+  const props = (style ? `<w:pStyle w:val="${style}"/>` : "") + pPr;
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ""}${content}</w:p>`;
+}
+
+const BOX = '<w:pBdr><w:top w:val="single" w:sz="8" w:space="4" w:color="888888"/><w:left w:val="single" w:sz="8" w:space="4" w:color="888888"/><w:bottom w:val="single" w:sz="8" w:space="4" w:color="888888"/><w:right w:val="single" w:sz="8" w:space="4" w:color="888888"/></w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>';
+const RULE_ABOVE = '<w:pBdr><w:top w:val="single" w:sz="6" w:space="6" w:color="AAAAAA"/></w:pBdr>';
+const BULLET_INDENT = '<w:ind w:left="720" w:hanging="360"/>';
+
+function documentXml(doc, header) {
+  const body = [
+    para(runs(doc.title), { style: "Title" }),
+    para(runs(header.generated, { italic: true, size: 20 }))
+  ];
+
+  if (header.record) {
+    const lines = [header.record.title, ...header.record.lines];
+    body.push(para(
+      runs(lines[0], { bold: true }) + lines.slice(1).map(l => `<w:r><w:br/></w:r>${runs(l, { size: 20 })}`).join(""),
+      { pPr: BOX }
+    ));
+  }
+
+  for (const [k, v] of doc.details) {
+    body.push(para(runs(`${k}: `, { bold: true, size: 20 }) + runs(v, { size: 20 })));
+  }
+
+  for (const s of doc.sections) {
+    body.push(para(runs(s.heading), { style: "Heading1" }));
+    for (const b of s.blocks) {
+      if (b.type === "subheading") body.push(para(runs(b.text), { style: "Heading2" }));
+      else if (b.type === "bullets") body.push(...b.items.map(i => para(`<w:r><w:t>•</w:t><w:tab/></w:r>${runs(i)}`, { pPr: BULLET_INDENT })));
+      else body.push(...b.text.split(/\n{2,}/).map(p => para(runs(p))));
+    }
+  }
+
+  body.push(para(runs(doc.disclaimer, { italic: true, size: 18 }), { pPr: RULE_ABOVE }));
+
+  // Record copies repeat the dated reference in the page header
+  const sectPr = `<w:sectPr>${header.record ? '<w:headerReference w:type="default" r:id="rIdHeader1"/>' : ""}<w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<w:body>${body.join("")}${sectPr}</w:body></w:document>`;
+}
+
+function headerXml(doc, header) {
+  const text = `${header.record.title} · ${header.record.lines[0]} · ${header.record.lines[1]}`;
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `${para(runs(text, { size: 16 }), { pPr: '<w:jc w:val="right"/>' })}</w:hdr>`;
+}
+
+function stylesXml(locale) {
+  const ea = EAST_ASIAN[locale];
+  const fonts = `<w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"${ea ? ` w:eastAsia="${ea.font}"` : ""}/>`;
+  const lang = `<w:lang w:val="en-US"${ea ? ` w:eastAsia="${ea.lang}"` : ""}/>`;
+  const heading = (id, name, size, space) =>
+    `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+    `<w:pPr><w:keepNext/><w:spacing w:before="${space}" w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:docDefaults><w:rPrDefault><w:rPr>${fonts}<w:sz w:val="22"/>${lang}</w:rPr></w:rPrDefault>` +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>' +
+    heading("Heading1", "heading 1", 28, 360) +
+    heading("Heading2", "heading 2", 24, 200) +
+    "</w:styles>";
+}
+
+function coreXml(doc) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${xmlEscape(doc.title)}</dc:title><dc:creator>ClearBound</dc:creator><dc:language>${doc.locale}</dc:language>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${doc.generated_at.replace(/\.\d{3}Z$/, "Z")}</dcterms:created>` +
+    "</cp:coreProperties>";
+}
+
+/**
+ * renderDocx(doc, header) -> Buffer (doc from buildExportDocument, header from headerLines)
+ */
+function renderDocx(doc, header) {
+  const hasHeader = !!header.record;
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    (hasHeader ? '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>' : "") +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    "</Types>";
+  const rels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    "</Relationships>";
+  const docRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    (hasHeader ? '<Relationship Id="rIdHeader1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>' : "") +
+    "</Relationships>";
+
+  const files = [
+    ["[Content_Types].xml", contentTypes],
+    ["_rels/.rels", rels],
+    ["docProps/core.xml", coreXml(doc)],
+    ["word/document.xml", documentXml(doc, header)],
+    ["word/styles.xml", stylesXml(doc.locale)],
+    ["word/_rels/document.xml.rels", docRels],
+    ...(hasHeader ? [["word/header1.xml", headerXml(doc, header)]] : [])
+  ];
+  return zip(files.map(([name, xml]) => ({ name, data: Buffer.from(xml, "utf8") })), new Date(doc.generated_at));
+}
+
+module.exports = {
+  renderDocx,
+  zip,
+  crc32
+};
@@ -0,0 +1,353 @@
+// api/engine/exportPdf.js
+// Minimal PDF writer for exportDocument.js layouts (no deps)
+// - A4, word-wrapped text, automatic page breaks, "Page n / N" footer with the generation timestamp
+// - Latin text uses the standard Helvetica faces (WinAnsiEncoding, nothing embedded)
+// - Korean / Japanese text uses Adobe's standard CJK fonts through the UCS-2 CMaps (not embedded;
+//   every mainstream viewer ships them or substitutes); bold is drawn as fill + stroke
+// - Record copies repeat the dated RECORD COPY line at the top of every page
+
+const zlib = require("zlib");
+const { t } = require("./locale");
+
+const PAGE = { width: 595.28, height: 841.89, margin: 56 };
+const HEADER_SPACE = 18;
+const FOOTER_SPACE = 24;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126, from the standard AFM
+const HELVETICA_ASCII = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_FACTOR = 1.08; // Helvetica-Bold runs ~8% wider; close enough for line breaking
+
+// Unicode -> WinAnsi (cp1252) for the 0x80..0x9F block; Latin-1 maps 1:1
+const WIN_ANSI = {
+  0x20ac: [0x80, 556], 0x201a: [0x82, 222], 0x0192: [0x83, 556], 0x201e: [0x84, 333], 0x2026: [0x85, 1000],
+  0x2020: [0x86, 556], 0x2021: [0x87, 556], 0x02c6: [0x88, 333], 0x2030: [0x89, 1000], 0x0160: [0x8a, 667],
+  0x2039: [0x8b, 333], 0x0152: [0x8c, 1000], 0x017d: [0x8e, 611], 0x2018: [0x91, 222], 0x2019: [0x92, 222],
+  0x201c: [0x93, 333], 0x201d: [0x94, 333], 0x2022: [0x95, 350], 0x2013: [0x96, 556], 0x2014: [0x97, 1000],
+  0x02dc: [0x98, 333], 0x2122: [0x99, 1000], 0x0161: [0x9a, 500], 0x203a: [0x9b, 333], 0x0153: [0x9c, 944],
+  0x017e: [0x9e, 500], 0x0178: [0x9f, 667]
+};
+
+const CJK_FONTS = {
+  ko: { base: "HYGoThic-Medium", ordering: "Korea1", supplement: 1, cmap: "UniKS-UCS2-H" },
+  ja: { base: "HeiseiKakuGo-W5", ordering: "Japan1", supplement: 2, cmap: "UniJIS-UCS2-H" }
+};
+
+const HANGUL = /[ᄀ-ᇿ㄰-㆏가-힯]/;
+const KANA = /[぀-ヿㇰ-ㇿｦ-ﾟ]/;
+const CJK = /[ᄀ-ᇿ⺀-鿿가-힯豈-﫿＀-￯]/;
+// Characters a line may break after / before without a space (CJK scripts)
+const BREAKABLE = /[⺀-鿿가-힯豈-﫿＀-￯]/;
+
+function isWideChar(ch) {
+  return CJK.test(ch) && !/[｡-ﾟ]/.test(ch); // half-width katakana stays narrow
+}
+
+/**
+ * Latin documents use Helvetica; any Hangul / kana / Han switches the whole document to a CJK font
+ * (Hangul -> Korean, kana -> Japanese, Han only -> by locale).
+ */
+function pickScript(doc, allText) {
+  if (HANGUL.test(allText)) return "ko";
+  if (KANA.test(allText)) return "ja";
+  if (CJK.test(allText)) return doc.locale === "ko" ? "ko" : "ja";
+  return "latin";
+}
+
+// ---------- text encoding / measuring ----------
+
+function winAnsi(ch) {
+  const c = ch.codePointAt(0);
+  if (c >= 0x20 && c <= 0x7e) return [c, HELVETICA_ASCII[c - 32]];
+  if (c >= 0xa0 && c <= 0xff) return [c, 556];
+  return WIN_ANSI[c] || [0x3f, 556]; // "?"
+}
+
+function makeFontKit(script) {
+  if (script === "latin") {
+    return {
+      width(text, size, bold = false) {
+        let w = 0;
+        for (const ch of text) w += winAnsi(ch)[1];
+        return (w * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+      },
+      encode(text) {
+        let out = "";
+        for (const ch of text) {
+          const b = winAnsi(ch)[0];
+          out += (b === 0x28 || b === 0x29 || b === 0x5c) ? `\\${String.fromCharCode(b)}`
+            : b > 0x7e ? `\\${b.toString(8).padStart(3, "0")}`
+            : String.fromCharCode(b);
+        }
+        return `(${out})`;
+      },
+      face(style) {
+        return style === "bold" ? "/F2" : style === "italic" ? "/F3" : "/F1";
+      }
+    };
+  }
+  return {
+    width(text, size) {
+      let w = 0;
+      for (const ch of text) w += isWideChar(ch) ? 1000 : 500;
+      return (w * size) / 1000;
+    },
+    // UCS-2 big-endian hex; astral characters cannot be addressed through a UCS-2 CMap
+    encode(text) {
+      let hex = "";
+      for (const ch of text) {
+        const c = ch.codePointAt(0);
+        hex += (c > 0xffff ? 0x3f : c).toString(16).padStart(4, "0");
+      }
+      return `<${hex}>`;
+    },
+    face() {
+      return "/F1";
+    }
+  };
+}
+
+// Splits text into lines no wider than maxWidth (spaces, or between CJK characters)
+function wrap(text, maxWidth, size, kit, bold) {
+  const lines = [];
+  for (const raw of String(text).replace(/\t/g, "    ").split("\n")) {
+    const tokens = raw.match(new RegExp(`${BREAKABLE.source}|\\s+|[^\\s${BREAKABLE.source.slice(1, -1)}]+`, "g")) || [""];
+    let line = "";
+    for (const tok of tokens) {
+      const candidate = line + tok;
+      if (kit.width(candidate.trimEnd(), size, bold) <= maxWidth || !line.trim()) {
+        // A single token wider than the line is cut character by character
+        if (kit.width(candidate.trimEnd(), size, bold) > maxWidth) {
+          for (const ch of tok) {
+            if (kit.width((line + ch).trimEnd(), size, bold) > maxWidth && line.trim()) {
+              lines.push(line.trimEnd());
+              line = "";
+            }
+            line += ch;
+          }
+        } else {
+          line = candidate;
+        }
+        continue;
+      }
+      lines.push(line.trimEnd());
+      line = /^\s+$/.test(tok) ? "" : tok;
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+// ---------- layout ----------
+
+function layoutPages(doc, header, kit, script) {
+  const pages = [];
+  const contentWidth = PAGE.width - 2 * PAGE.margin;
+  const top = PAGE.height - PAGE.margin - (header.record ? HEADER_SPACE : 0);
+  const bottom = PAGE.margin + FOOTER_SPACE;
+  let ops;
+  let y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = top;
+  };
+  newPage();
+
+  const textOp = (str, x, baseline, size, style) => {
+    const fauxBold = style === "bold" && script !== "latin";
+    ops.push(`BT ${kit.face(style)} ${num(size)} Tf ${fauxBold ? `2 Tr ${num(size / 30)} w ` : ""}${num(x)} ${num(baseline)} Td ${kit.encode(str)} Tj${fauxBold ? " 0 Tr" : ""} ET`);
+  };
+
+  // Wrapped paragraph; lines flow onto new pages as needed
+  const paragraph = (text, { size = 10.5, style = "regular", indent = 0, gapAfter = 8, keepWithNext = 0, color = null } = {}) => {
+    const lineHeight = size * 1.4;
+    const lines = wrap(text, contentWidth - indent, size, kit, style === "bold");
+    if (y - lineHeight * Math.min(lines.length, 1 + keepWithNext) < bottom) newPage();
+    if (color) ops.push(`${color} rg`);
+    for (const line of lines) {
+      if (y - lineHeight < bottom) newPage();
+      y -= lineHeight;
+      if (line) textOp(line, PAGE.margin + indent, y + size * 0.3, size, style);
+    }
+    if (color) ops.push("0 g");
+    y -= gapAfter;
+  };
+
+  paragraph(doc.title, { size: 18, style: "bold", gapAfter: 4 });
+  paragraph(header.generated, { size: 9.5, style: "italic", gapAfter: 12, color: "0.35 0.35 0.35" });
+
+  if (header.record) {
+    const size = 9.5;
+    const lineHeight = size * 1.4;
+    const lines = [
+      ...wrap(header.record.title, contentWidth - 16, 11, kit, true).map(l => [l, 11, "bold"]),
+      ...header.record.lines.flatMap(l => wrap(l, contentWidth - 16, size, kit, false).map(w => [w, size, "regular"]))
+    ];
+    const height = lines.length * lineHeight + 12;
+    if (y - height < bottom) newPage();
+    ops.push(`0.95 0.95 0.95 rg 0.55 0.55 0.55 RG 0.8 w ${num(PAGE.margin)} ${num(y - height)} ${num(contentWidth)} ${num(height)} re B 0 g 0 G`);
+    let ly = y - 6;
+    for (const [line, s, style] of lines) {
+      ly -= lineHeight;
+      textOp(line, PAGE.margin + 8, ly + s * 0.3, s, style);
+    }
+    y -= height + 12;
+  }
+
+  for (const [k, v] of doc.details) paragraph(`${k}: ${v}`, { size: 9.5, gapAfter: 2 });
+  if (doc.details.length) y -= 8;
+
+  for (const s of doc.sections) {
+    paragraph(s.heading, { size: 14, style: "bold", gapAfter: 6, keepWithNext: 2 });
+    for (const b of s.blocks) {
+      if (b.type === "subheading") {
+        paragraph(b.text, { size: 11.5, style: "bold", gapAfter: 4, keepWithNext: 2 });
+      } else if (b.type === "bullets") {
+        for (const item of b.items) {
+          const size = 10.5;
+          if (y - size * 1.4 < bottom) newPage();
+          // Drawn, not typeset: no bullet glyph is common to every font in play
+          ops.push(`${num(PAGE.margin + 7)} ${num(y - size * 1.4 + size * 0.55)} 3 3 re f`);
+          paragraph(item, { size, indent: 20, gapAfter: 3 });
+        }
+        y -= 5;
+      } else {
+        for (const p of b.text.split(/\n{2,}/)) paragraph(p);
+      }
+    }
+    y -= 6;
+  }
+
+  if (y - 40 < bottom) newPage();
+  ops.push(`0.7 0.7 0.7 RG 0.6 w ${num(PAGE.margin)} ${num(y)} m ${num(PAGE.margin + contentWidth)} ${num(y)} l S 0 G`);
+  y -= 6;
+  paragraph(doc.disclaimer, { size: 9, style: "italic", color: "0.3 0.3 0.3" });
+
+  // Running header (record copies) + footer, now that the page count is known
+  pages.forEach((pageOps, i) => {
+    ops = pageOps;
+    const size = 8;
+    ops.push("0.4 0.4 0.4 rg");
+    if (header.record) {
+      const line = `${header.record.title} · ${header.record.lines[0]} · ${header.record.lines[1]}`;
+      textOp(line, PAGE.width - PAGE.margin - kit.width(line, size), PAGE.height - PAGE.margin + 4, size, "regular");
+    }
+    const footer = `${header.generated} · ${t(doc.locale, "export.page")} ${i + 1} / ${pages.length}`;
+    textOp(footer, PAGE.margin, PAGE.margin - 4, size, "regular");
+    ops.push("0 g");
+  });
+
+  return pages;
+}
+
+// ---------- file assembly ----------
+
+// PDF text string: plain ASCII literal, or UTF-16BE with BOM
+function pdfString(s) {
+  if (/^[\x20-\x7e]*$/.test(s)) return `(${s.replace(/[\\()]/g, "\\$&")})`;
+  let hex = "feff";
+  for (let i = 0; i < s.length; i++) hex += s.charCodeAt(i).toString(16).padStart(4, "0");
+  return `<${hex}>`;
+}
+
+function pdfDate(iso) {
+  return `D:${iso.replace(/[-:T]/g, "").slice(0, 14)}Z`;
+}
+
+function fontObjects(script) {
+  if (script === "latin") {
+    const std = (base) => `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`;
+    return { F1: [std("Helvetica")], F2: [std("Helvetica-Bold")], F3: [std("Helvetica-Oblique")] };
+  }
+  const f = CJK_FONTS[script];
+  // Objects are numbered in order; "#n" refers to the n-th object of this font (resolved later)
+  return {
+    F1: [
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${f.base} /Encoding /${f.cmap} /DescendantFonts [#1] >>`,
+      `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${f.base} /CIDSystemInfo << /Registry (Adobe) /Ordering (${f.ordering}) /Supplement ${f.supplement} >> /FontDescriptor #2 /DW 1000 /W [1 95 500] >>`,
+      `<< /Type /FontDescriptor /FontName /${f.base} /Flags 4 /FontBBox [-250 -250 1100 900] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 700 /StemV 80 >>`
+    ]
+  };
+}
+
+/**
+ * renderPdf(doc, header) -> Buffer (doc from buildExportDocument, header from headerLines)
+ */
+function renderPdf(doc, header) {
+  const allText = [
+    doc.title, header.generated, ...(header.record ? [header.record.title, ...header.record.lines] : []),
+    ...doc.details.flat(), doc.disclaimer,
+    ...doc.sections.flatMap(s => [s.heading, ...s.blocks.flatMap(b => b.items || [b.text])])
+  ].join("\n");
+  const script = pickScript(doc, allText);
+  const kit = makeFontKit(script);
+  const pages = layoutPages(doc, header, kit, script);
+
+  // 1 catalog, 2 page tree, 3 info, then fonts, then page + content pairs
+  const objects = [null, null, null];
+  const add = (body) => objects.push(body) && objects.length;
+
+  const fontRefs = [];
+  for (const [name, bodies] of Object.entries(fontObjects(script))) {
+    const first = objects.length + 1;
+    bodies.forEach(b => add(b.replace(/#(\d)/g, (_, n) => `${first + Number(n)} 0 R`)));
+    fontRefs.push(`/${name} ${first} 0 R`);
+  }
+  const resources = `<< /Font << ${fontRefs.join(" ")} >> >>`;
+
+  const pageIds = [];
+  for (const ops of pages) {
+    const content = zlib.deflateSync(Buffer.from(ops.join("\n"), "latin1"));
+    const contentId = add({ dict: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+    pageIds.push(add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(PAGE.width)} ${num(PAGE.height)}] /Resources ${resources} /Contents ${contentId} 0 R >>`));
+  }
+
+  objects[0] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  objects[2] = `<< /Title ${pdfString(doc.title)} /Producer (ClearBound) /CreationDate (${pdfDate(doc.generated_at)}) >>`;
+
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((o, i) => {
+    offsets.push(offset);
+    const parts = typeof o === "string"
+      ? [Buffer.from(`${i + 1} 0 obj\n${o}\nendobj\n`, "latin1")]
+      : [Buffer.from(`${i + 1} 0 obj\n${o.dict}\nstream\n`, "latin1"), o.stream, Buffer.from("\nendstream\nendobj\n", "latin1")];
+    for (const p of parts) {
+      chunks.push(p);
+      offset += p.length;
+    }
+  });
+
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map(o => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>`,
+    "startxref",
+    String(offset),
+    "%%EOF",
+    ""
+  ].join("\n");
+  chunks.push(Buffer.from(xref, "latin1"));
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,135 @@
+// api/engine/followUp.js
+// Multi-turn follow-up: the user already sent a draft and is answering the counterpart's reply
+// - Reply signals are deterministic pattern matches (no LLM): escalation / leverage / documentation / reputation
+//   plus de_escalation (reported only; it never lowers risk)
+// - Signals are folded into the canonical V3 engine input, so the normal engine re-scores risk
+// - Direction is sticky: the previous direction is kept unless re-scored risk rose above the previous level
+//
+// conversation (request) shape:
+//   { previous_draft, counterpart_reply, previous_engine?: { risk_level, direction_suggestion, ... }, previous_direction? }
+
+const { DEFAULT_LOCALE } = require("./locale");
+
+// English patterns run on every reply (English terms show up in any language); the locale's own run on top.
+// ko / ja patterns have no word boundaries (`\b` never matches around Hangul or kana).
+// A locale entry is one pattern or a list of them (any match counts).
+const REPLY_SIGNALS = [
+  { id: "threat", signals: ["escalation"], patterns: {
+    en: /\b(or else|last warning|final warning|you('ll| will) regret|this is not over|consequences)\b/i,
+    ko: /(후회하게 될|마지막 경고|가만두지 않|두고 보자|각오해)/,
+    ja: /(後悔する(ぞ|ことになる)|最後の警告|覚悟し(て|ろ)|ただでは済まな|このままでは済まな)/ } },
+  { id: "hostile", signals: ["escalation"], patterns: {
+    en: /\b(unacceptable|ridiculous|how dare you|pathetic|disgusting|shut up)\b/i,
+    ko: /(말도 안 되|어이없|한심|역겹|닥쳐|용납할 수 없)/,
+    ja: /(ふざけ(るな|ないで)|ありえない|情けない|気持ち悪い|黙れ|容認できない)/ } },
+  { id: "formal_complaint", signals: ["escalation", "documentation"], patterns: {
+    // "HR" only in capitals: "2 hr" / "an hr" is a unit of time
+    en: [/\bHR\b/, /\b(human resources|lawyer|attorney|legal action|formal complaint|grievance)\b/i],
+    ko: /(인사팀|인사부|변호사|법적 조치|소송|고소|정식(으로)? (민원|항의)|진정서)/,
+    ja: /(人事部|人事課|弁護士|法的措置|訴訟|訴え|正式な(苦情|抗議)|苦情を申し立て)/ } },
+  { id: "in_writing", signals: ["documentation"], patterns: {
+    en: /\b(in writing|for the record|put (this|that|it) in an? email|cc('d|ing)?|paper trail)\b/i,
+    ko: /(서면으로|기록으로 남|기록을 위해|이메일로 (보내|남겨)|참조로 넣)/,
+    ja: /(書面で|記録に残|記録のため|メールで(送って|残して)|CCに入れ)/ } },
+  { id: "job_leverage", signals: ["leverage"], patterns: {
+    en: /\b(your (job|position|contract|promotion|review|reference|bonus|deposit|lease)|i can (fire|evict|replace) you)\b/i,
+    ko: /(해고(하겠|할 수 있|시키)|계약(을|이) (해지|끝)|보증금(을|은) (못|안) 돌려|승진(은|을) (없|못)|쫓아낼)/,
+    ja: /(クビにする|解雇する(ぞ|こともできる)|契約を(打ち切|解除)|敷金は返さな|昇進は(ない|無理)|追い出す)/ } },
+  { id: "evidence_claim", signals: ["leverage"], patterns: {
+    en: /\bi (have|kept|saved|('ve)? got) (the )?(screenshots|recordings|evidence|receipts|proof)\b/i,
+    ko: /(스크린샷|캡처|녹음|증거|영수증)(을|를|은|는|도)? ?(다 )?(가지고|갖고|저장|모아|남겨)/,
+    ja: /(スクショ|スクリーンショット|録音|証拠|領収書)(は|を|も)?(全部)?(持って|保存|取って|残して)/ } },
+  { id: "exposure_threat", signals: ["reputation"], patterns: {
+    en: /\b((tell|let) (everyone|the (whole )?team|your (boss|manager|family))|post (this|about (this|you))|social media|everyone will know)\b/i,
+    ko: /(모두에게 (말|알리)|팀 전체에 (말|알리)|(상사|가족)(에게|한테) (말|알리)|SNS에|소셜 ?미디어|다들 알게)/i,
+    ja: /(みんなに(言う|話す|知らせ)|(上司|家族)に(言う|話す|知らせ)|SNSに|ネットに(書|晒|さら)|皆に知られ)/i } },
+  { id: "conciliatory", signals: ["de_escalation"], patterns: {
+    en: /\b(sorry|apologi[sz]e|understood|fair enough|you('re| are) right|agreed|thanks for)\b/i,
+    ko: /(미안|죄송|알겠습니다|이해합니다|맞는 말|동의합니다|고맙|감사합니다)/,
+    ja: /(すみません|ごめん|申し訳|わかりました|分かりました|了解|おっしゃる通り|同意します|ありがとう)/ } }
+];
+
+// Mostly-uppercase replies read as shouting
+const SHOUTING_MIN_LETTERS = 12;
+const SHOUTING_RATIO = 0.7;
+
+const RISK_RANK = { low: 0, moderate: 1, high: 2 };
+
+function normToken(v) {
+  return (typeof v === "string" && v.trim()) ? v.trim().toLowerCase() : null;
+}
+
+function matchesAny(patterns, text) {
+  return [].concat(patterns || []).some(re => re.test(text));
+}
+
+function isShouting(text) {
+  const letters = text.replace(/[^A-Za-z]/g, "");
+  if (letters.length < SHOUTING_MIN_LETTERS) return false;
+  return letters.replace(/[^A-Z]/g, "").length / letters.length >= SHOUTING_RATIO;
+}
+
+/**
+ * detectReplySignals(reply, locale?) -> { signals: string[], matches: [{ id, signals }] }
+ * locale: the conversation language (request locale); English patterns always run
+ */
+function detectReplySignals(reply, locale = DEFAULT_LOCALE) {
+  const text = String(reply || "");
+  const matches = REPLY_SIGNALS
+    .filter(r => matchesAny(r.patterns.en, text) || (locale !== DEFAULT_LOCALE && matchesAny(r.patterns[locale], text)))
+    .map(r => ({ id: r.id, signals: r.signals }));
+  if (isShouting(text)) matches.push({ id: "shouting", signals: ["escalation"] });
+
+  return { signals: [...new Set(matches.flatMap(m => m.signals))], matches };
+}
+
+/**
+ * Folds reply signals into a canonical V3 engine input (migrateInputToV3().input).
+ * New information from the reply overrides earlier answers (e.g. leverage_flag false -> true).
+ */
+function applyReplySignals(input, signals) {
+  const exposure = new Set(input?.exposure || []);
+  const has = (s) => signals.includes(s);
+
+  if (has("escalation")) exposure.add("emotional_fallout");
+  if (has("documentation")) exposure.add("documentation_sensitivity");
+  if (has("reputation")) exposure.add("reputation_impact");
+
+  return {
+    ...input,
+    leverage_flag: has("leverage") ? true : input?.leverage_flag ?? null,
+    exposure: (exposure.size || Array.isArray(input?.exposure)) ? [...exposure] : null
+  };
+}
+
+/**
+ * Sticky direction for the follow-up draft.
+ * conversation.previous_engine: decisions from the earlier turn (client-supplied); missing values fall back
+ * to `baseline`, i.e. the engine run on the same input without reply signals.
+ * -> { direction, previous_direction, previous_risk_level, risk_level, changed, reason }
+ */
+function resolveFollowUpDirection({ conversation, baseline, engine }) {
+  const prev = conversation?.previous_engine || {};
+  const prevRisk = normToken(prev.risk_level);
+  const previousRisk = RISK_RANK[prevRisk] !== undefined ? prevRisk : baseline.risk_level;
+  const previousDirection =
+    normToken(conversation?.previous_direction) || normToken(prev.direction_suggestion) || baseline.direction_suggestion;
+
+  const rose = RISK_RANK[engine.risk_level] > RISK_RANK[previousRisk];
+  const changed = rose && !!engine.direction_suggestion && engine.direction_suggestion !== previousDirection;
+
+  return {
+    direction: changed ? engine.direction_suggestion : previousDirection,
+    previous_direction: previousDirection,
+    previous_risk_level: previousRisk,
+    risk_level: engine.risk_level,
+    changed,
+    reason: changed ? "risk_increased" : (rose ? "risk_increased_same_direction" : "risk_not_increased")
+  };
+}
+
+module.exports = {
+  detectReplySignals,
+  applyReplySignals,
+  resolveFollowUpDirection
+};
@@ -0,0 +1,171 @@
+// api/engine/forbiddenPatterns.js
+// Deterministic post-generation checker for engine constraints (buildConstraints in compute.js)
+// - forbidden_patterns_enabled -> legal threats / outcome predictions / advice language
+// - record_safe_mode           -> + admissions of fault
+// - tone_soften_if_high_risk   -> + emotionally loaded wording
+// Catalog is data, not code: extend/override via FORBIDDEN_PATTERNS_JSON, disable ids via FORBIDDEN_PATTERNS_DISABLE.
+// Rules are per locale (`locales`, default ["en"]): the default catalog is English only (`\b` never matches
+// around Hangul or kana), so ko / ja drafts are not covered until locale rules are added through the JSON.
+
+const { DEFAULT_LOCALE } = require("./locale");
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+// when: which constraint flag activates the rule
+// targets: "draft" (message/email text the user sends) and/or "insight" (text shown to the user)
+// locales: draft languages the pattern is written for (default ["en"])
+const DEFAULT_CATALOG = [
+  // legal threats / legal framing
+  // Threat phrasing only: "my lawyer will...", "contact my attorney", "I have hired a solicitor" (a neutral
+  // "a lawyer" / "the attorney" is not a threat)
+  { id: "legal.lawyer", category: "legal_threat", when: "forbidden_patterns_enabled", targets: ["draft", "insight"],
+    pattern: "\\b((my|our) (lawyer|attorney|solicitor|legal counsel|legal team)s?( will|'ll| is going to| are going to| shall| has been instructed| have been instructed)" +
+      "|(contact|call|hear from|involve|instruct|bring in) (my|our) (lawyer|attorney|solicitor|legal counsel|legal team)s?" +
+      "|(i|we)('ll| will|'m going to| am going to|'re going to| are going to|'ve| have)( already)? (contact(ed)?|call(ed)?|consult(ed)?|hire(d)?|retain(ed)?|instruct(ed)?|involve(d)?|get|got|spoken (to|with)|speak (to|with)) (a|an|my|our) (lawyer|attorney|solicitor|legal counsel)s?)\\b" },
+  { id: "legal.action", category: "legal_threat", when: "forbidden_patterns_enabled", targets: ["draft", "insight"],
+    pattern: "\\b(legal action|lawsuit|sue you|take (you|this|them) to court|cease and desist|small claims)\\b" },
+  { id: "legal.liability", category: "legal_threat", when: "forbidden_patterns_enabled", targets: ["draft", "insight"],
+    pattern: "\\b(breach of contract|held liable|legally (liable|responsible|obligated)|grounds for (a )?(claim|lawsuit))\\b" },
+
+  // outcome predictions
+  { id: "outcome.certainty", category: "outcome_prediction", when: "forbidden_patterns_enabled", targets: ["draft", "insight"],
+    pattern: "\\b(this|it|they|he|she) will (definitely|certainly|surely|absolutely)\\b" },
+  { id: "outcome.guarantee", category: "outcome_prediction", when: "forbidden_patterns_enabled", targets: ["draft", "insight"],
+    pattern: "\\b(i guarantee|guaranteed to|there is no way (they|he|she|this)|you will (win|lose|get what you want))\\b" },
+  { id: "outcome.likely", category: "outcome_prediction", when: "forbidden_patterns_enabled", targets: ["insight"],
+    pattern: "\\b(they|he|she) (will|are going to|is going to) (likely |probably )?(back down|agree|comply|retaliate|respect)\\b" },
+
+  // advice language (insight must describe, not advise)
+  { id: "advice.should", category: "advice", when: "forbidden_patterns_enabled", targets: ["insight"],
+    pattern: "\\b(you should|you must|you need to|you ought to)\\b" },
+  { id: "advice.recommend", category: "advice", when: "forbidden_patterns_enabled", targets: ["insight"],
+    pattern: "\\b(i|we) (recommend|advise|suggest)\\b|\\bmy advice\\b" },
+
+  // admissions of fault (record-safe only)
+  { id: "fault.admission", category: "admission_of_fault", when: "record_safe_mode", targets: ["draft"],
+    pattern: "\\b(it was (all )?my fault|i (take|accept) full (responsibility|blame)|i admit (that )?i|i was (wrong|negligent)|my (mistake|negligence) caused)\\b" },
+  { id: "fault.apology", category: "admission_of_fault", when: "record_safe_mode", targets: ["draft"],
+    pattern: "\\bi apologi[sz]e for (my|our) (error|mistake|failure|negligence)\\b" },
+
+  // emotionally loaded wording (high-risk softening)
+  { id: "tone.loaded", category: "emotionally_loaded", when: "tone_soften_if_high_risk", targets: ["draft"],
+    pattern: "\\b(ridiculous|outrageous|unacceptable|disgusting|pathetic|absurd|incompetent|insane|disgraceful)\\b" },
+  { id: "tone.accusatory", category: "emotionally_loaded", when: "tone_soften_if_high_risk", targets: ["draft"],
+    pattern: "\\b(how dare you|i('m| am) sick of|i('m| am) fed up|you always|you never|shame on you)\\b" }
+];
+
+// Compiled once per env value (FORBIDDEN_PATTERNS_JSON + FORBIDDEN_PATTERNS_DISABLE), not per check
+let COMPILED = { key: null, rules: null };
+
+function loadCatalog() {
+  const key = JSON.stringify([env("FORBIDDEN_PATTERNS_JSON"), env("FORBIDDEN_PATTERNS_DISABLE")]);
+  if (COMPILED.key === key) return COMPILED.rules;
+
+  let catalog = DEFAULT_CATALOG;
+
+  // Extra / overriding rules (same id replaces the default)
+  const extra = env("FORBIDDEN_PATTERNS_JSON");
+  if (extra) {
+    let parsed = null;
+    try { parsed = JSON.parse(extra); } catch { parsed = null; }
+    if (!Array.isArray(parsed)) throw new Error("FORBIDDEN_PATTERNS_JSON invalid");
+    const byId = new Map(catalog.map(r => [r.id, r]));
+    for (const r of parsed) {
+      if (!r?.id || !r?.pattern || !r?.category) throw new Error("FORBIDDEN_PATTERNS_JSON invalid");
+      if (r.locales != null && (!Array.isArray(r.locales) || !r.locales.length)) throw new Error("FORBIDDEN_PATTERNS_JSON invalid");
+      byId.set(r.id, { when: "forbidden_patterns_enabled", targets: ["draft", "insight"], ...r });
+    }
+    catalog = [...byId.values()];
+  }
+
+  const disabled = new Set(String(env("FORBIDDEN_PATTERNS_DISABLE", "")).split(",").map(s => s.trim()).filter(Boolean));
+  const rules = catalog
+    .filter(r => !disabled.has(r.id))
+    .map(r => ({ ...r, re: new RegExp(r.pattern, r.flags || "gi") }));
+  COMPILED = { key, rules };
+  return rules;
+}
+
+// Flattens every string in an object into [{ path, text }]
+function collectStrings(value, path, acc) {
+  if (typeof value === "string") acc.push({ path, text: value });
+  else if (Array.isArray(value)) value.forEach((v, i) => collectStrings(v, `${path}[${i}]`, acc));
+  else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) collectStrings(v, `${path}.${k}`, acc);
+  }
+  return acc;
+}
+
+function asTargets(t) {
+  return Array.isArray(t) ? t : [t];
+}
+
+function ruleLocales(r) {
+  return r.locales || [DEFAULT_LOCALE];
+}
+
+function activeRules(catalog, constraints, target, locale) {
+  return catalog.filter(r =>
+    constraints[r.when] === true && asTargets(r.targets).includes(target) && ruleLocales(r).includes(locale)
+  );
+}
+
+/**
+ * patternCoverage(constraints, { target, locale }) -> { covered, locale }
+ * covered = false when checks are on but no rule is written for the draft locale: the check did not run,
+ * so an empty violation list proves nothing
+ */
+function patternCoverage(constraints, { target = "draft", locale = DEFAULT_LOCALE, catalog = null } = {}) {
+  const c = constraints || {};
+  if (!c.forbidden_patterns_enabled) return { covered: true, locale };
+  const all = catalog || loadCatalog();
+  const wanted = all.filter(r => c[r.when] === true && asTargets(r.targets).includes(target));
+  return { covered: !wanted.length || activeRules(all, c, target, locale).length > 0, locale };
+}
+
+/**
+ * checkForbiddenPatterns(obj, constraints, { target: "draft" | "insight", locale? })
+ * -> [{ path, rule, category, match, index }]
+ * Returns [] when constraints.forbidden_patterns_enabled is false, and only runs the rules for `locale`.
+ */
+function checkForbiddenPatterns(obj, constraints, { target = "draft", locale = DEFAULT_LOCALE, catalog = null } = {}) {
+  const c = constraints || {};
+  if (!c.forbidden_patterns_enabled) return [];
+
+  const rules = activeRules(catalog || loadCatalog(), c, target, locale);
+  if (!rules.length) return [];
+
+  const violations = [];
+  for (const { path, text } of collectStrings(obj, "$", [])) {
+    for (const r of rules) {
+      r.re.lastIndex = 0;
+      let m;
+      while ((m = r.re.exec(text)) !== null) {
+        violations.push({ path, rule: r.id, category: r.category, match: m[0], index: m.index });
+        if (!r.re.global) break;
+        if (m[0] === "") r.re.lastIndex++;
+      }
+    }
+  }
+  return violations;
+}
+
+// Same { path, code, message } shape as outputSchema errors, so one repair prompt handles both
+function violationsAsErrors(violations) {
+  return violations.map(v => ({
+    path: v.path,
+    code: "forbidden_pattern",
+    message: `remove or rephrase "${v.match}" (${v.category.replace(/_/g, " ")})`
+  }));
+}
+
+module.exports = {
+  DEFAULT_CATALOG,
+  loadCatalog,
+  patternCoverage,
+  checkForbiddenPatterns,
+  violationsAsErrors
+};
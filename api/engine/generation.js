@@ -0,0 +1,281 @@
+// api/engine/generation.js
+// LLM stage helpers shared by /api/generate and /api/generate/insight
+// - generateValidated: one call + schema validation, exactly one repair round-trip
+// - enforceConstraints: forbidden-pattern check with an optional single regeneration
+// - stageSpec: model / timeout / temperature / max tokens from the prompt front-matter
+// - runInsightStage: the whole optional insight step; never throws, so a failed insight cannot sink the draft
+
+const { safeParseJson } = require("./http");
+const { chatWithFailover, parseModelRef, formatModelRef } = require("./llm");
+const { validateOutput, notJsonError, formatErrorsForRepair } = require("./outputSchema");
+const { checkForbiddenPatterns, patternCoverage, violationsAsErrors } = require("./forbiddenPatterns");
+const { loadPromptTemplate } = require("./promptTemplate");
+const { restorePii } = require("./pii");
+const { DEFAULT_LOCALE, LANGUAGE_NAMES, t } = require("./locale");
+
+function modelForTier(tier) {
+  // Env values may be "provider:model" (e.g. "anthropic:claude-sonnet-4-5") or a bare model name
+  const pick =
+    tier === "analysis" ? (process.env.MODEL_ANALYSIS || "gpt-4.1") :
+    tier === "high_risk" ? (process.env.MODEL_HIGH_RISK || "gpt-4.1") :
+    (process.env.MODEL_DEFAULT || "gpt-4.1-mini");
+
+  // Always a "provider:model" pair
+  return formatModelRef(parseModelRef(pick));
+}
+
+// Main-draft model for a request (also listed by /api/config)
+function pickModel(engine, include_analysis) {
+  if (include_analysis) return modelForTier("analysis");
+  if (engine?.risk_level === "high") return modelForTier("high_risk");
+  return modelForTier("default");
+}
+
+// Prompt front-matter model_tier wins; "auto" keeps the engine-driven pick
+function resolveModel(meta, fallbackModel) {
+  const tier = meta?.model_tier || "auto";
+  return tier === "auto" ? fallbackModel : modelForTier(tier);
+}
+
+function isTimeoutError(e) {
+  const msg = String(e?.message || e);
+  return e?.code === "LLM_TIMEOUT" || msg.includes("aborted") || msg.includes("AbortError");
+}
+
+const REPAIR_TIMEOUT_MS = 12_000;
+
+function checkOutput(kind, text) {
+  const obj = safeParseJson(text);
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { ok: false, obj: null, errors: [notJsonError()] };
+  }
+  const v = validateOutput(kind, obj);
+  return { ok: v.ok, obj, errors: v.errors };
+}
+
+function buildRepairUser(originalUser, badText, errors) {
+  return [
+    originalUser,
+    "",
+    "---",
+    "",
+    "YOUR_PREVIOUS_OUTPUT:",
+    String(badText || "").slice(0, 6000),
+    "",
+    "VALIDATION_ERRORS:",
+    formatErrorsForRepair(errors),
+    "",
+    "Return the corrected JSON object only. Keep valid fields unchanged; fix only the fields listed above."
+  ].join("\n");
+}
+
+/**
+ * Generate + validate against the package/insight schema.
+ * On failure, exactly one repair round-trip (validation errors are sent back to the model).
+ * Pass `revise: { text, errors }` to start from a previous output (constraint regeneration).
+ * Resolves to { ok, obj, text, errors, repaired }. LLM transport errors propagate.
+ */
+async function generateValidated({ kind, prompt, llmInput, model, timeoutMs, temperature, maxTokens, requestId, traceparent = null, system = systemPreamble(), onDelta = null, onRepair = null, revise = null }) {
+  const baseUser = `${prompt}\n\n---\n\nPAYLOAD_JSON:\n${JSON.stringify(llmInput)}`;
+  const user = revise ? buildRepairUser(baseUser, revise.text, revise.errors) : baseUser;
+
+  const first = await chatWithFailover({ model, system, user, timeoutMs, temperature, maxTokens, requestId, traceparent, onDelta });
+  const firstCheck = checkOutput(kind, first.text);
+  if (firstCheck.ok) return { ...firstCheck, text: first.text, repaired: false };
+
+  if (onRepair) onRepair(firstCheck.errors);
+
+  // Repair is never streamed: the final text arrives with the closing event
+  const second = await chatWithFailover({
+    model,
+    system,
+    user: buildRepairUser(baseUser, first.text, firstCheck.errors),
+    timeoutMs: Math.min(timeoutMs, REPAIR_TIMEOUT_MS),
+    temperature,
+    maxTokens,
+    requestId: `${requestId}-repair`,
+    traceparent
+  });
+  const secondCheck = checkOutput(kind, second.text);
+  return { ...secondCheck, text: second.text, repaired: true };
+}
+
+function forbiddenMode() {
+  // regenerate: one constraint-feedback round, leftovers reported | report: never regenerate
+  const m = String(process.env.FORBIDDEN_PATTERNS_MODE || "regenerate").trim().toLowerCase();
+  return m === "report" ? "report" : "regenerate";
+}
+
+/**
+ * Post-generation constraint check (engine.constraints) with optional single regeneration.
+ * Resolves to { result, violations, regenerated, skipped } where result is the (possibly regenerated) validated
+ * output. skipped = { reason: "locale", locale } when no pattern is written for the draft locale (not checked).
+ * A regeneration that breaks the schema is discarded in favor of the original output.
+ */
+async function enforceConstraints({ result, target, constraints, locale = DEFAULT_LOCALE, onRegenerate = null, ...genArgs }) {
+  if (!patternCoverage(constraints, { target, locale }).covered) {
+    return { result, violations: [], regenerated: false, skipped: { reason: "locale", locale } };
+  }
+
+  const violations = checkForbiddenPatterns(result.obj, constraints, { target, locale });
+  if (!violations.length || forbiddenMode() !== "regenerate") {
+    return { result, violations, regenerated: false, skipped: null };
+  }
+
+  if (onRegenerate) onRegenerate(violations);
+
+  const next = await generateValidated({
+    ...genArgs,
+    requestId: `${genArgs.requestId}-constraints`,
+    revise: { text: result.text, errors: violationsAsErrors(violations) }
+  });
+  if (!next.ok) return { result, violations, regenerated: false, skipped: null };
+
+  return {
+    result: next,
+    violations: checkForbiddenPatterns(next.obj, constraints, { target, locale }),
+    regenerated: true,
+    skipped: null
+  };
+}
+
+// Everything generateValidated needs for one stage, derived from the prompt template meta
+function stageSpec({ template, fallbackKind, fallbackModel, defaultTimeoutMs, llmInput, requestId, traceparent = null, locale = DEFAULT_LOCALE }) {
+  const { meta, text } = template;
+  return {
+    system: systemPreamble(locale),
+    kind: meta.output_schema || fallbackKind,
+    prompt: text,
+    llmInput,
+    model: resolveModel(meta, fallbackModel),
+    timeoutMs: meta.timeout_ms || defaultTimeoutMs,
+    temperature: meta.temperature,
+    maxTokens: meta.max_tokens,
+    requestId,
+    traceparent
+  };
+}
+
+function schemaViolation(stage, result) {
+  return {
+    ok: false,
+    error: "OUTPUT_SCHEMA_VIOLATION",
+    message: "Model output did not match the expected schema",
+    stage,
+    fields: result.errors,
+    raw: String(result.text || "").slice(0, 1200)
+  };
+}
+
+function piiInstructions() {
+  return [
+    "",
+    "---",
+    "",
+    "PRIVACY_PLACEHOLDERS:",
+    "Some details in PAYLOAD_JSON were replaced with placeholders such as [PERSON_1], [ORG_1] or [EMAIL_1].",
+    "Use a placeholder exactly as written, brackets included, wherever that detail belongs.",
+    "A placeholder ending in _FIRST, such as [PERSON_1_FIRST], is the first name of [PERSON_1]: use it where a first name fits.",
+    "Never invent a real value for it and never mention that details were replaced."
+  ].join("\n");
+}
+
+function systemPreamble(locale = DEFAULT_LOCALE) {
+  return [
+    "You are ClearBound.",
+    "You generate structured communication drafts.",
+    "You do not provide advice, do not predict outcomes, do not use legal framing.",
+    "Return ONE JSON object only. No markdown. No extra text.",
+    // JSON keys stay English; only the text values change language
+    ...(locale !== DEFAULT_LOCALE
+      ? [`Write every text value in ${LANGUAGE_NAMES[locale]}, following PAYLOAD_JSON.locale.formality. Keep JSON keys in English.`]
+      : [])
+  ].join("\n");
+}
+
+/**
+ * Optional insight step: load the insight prompt, generate + validate, constraint check, restore PII.
+ * Resolves to
+ *   { ok: true, insight, analysis_text, violations, regenerated, skipped, template }
+ *   { ok: false, status: "timeout" | "failed", error, template }   (error = API error body)
+ * template = { version, locale, cache } once the prompt loaded (null before). Never throws.
+ */
+async function runInsightStage({ promptPath, promptOpts, llmInput, constraints, fallbackModel, requestId, traceparent = null, locale = DEFAULT_LOCALE, vault = null, onRepair = null, onRegenerate = null }) {
+  const failed = (status, error, template = null) => ({ ok: false, status, error, template });
+
+  let insightTemplate;
+  try {
+    insightTemplate = await loadPromptTemplate(promptPath, promptOpts);
+  } catch (e) {
+    return failed("failed", { ok: false, error: "INSIGHT_PROMPT_LOAD_FAILED", message: String(e?.message || e) });
+  }
+  const template = { version: insightTemplate.meta.version, locale: insightTemplate.locale || DEFAULT_LOCALE, cache: insightTemplate.cache };
+
+  const insightSpec = stageSpec({
+    template: insightTemplate,
+    fallbackKind: "insight",
+    fallbackModel,
+    defaultTimeoutMs: 16_000,
+    llmInput,
+    requestId,
+    traceparent,
+    locale
+  });
+  if (vault && vault.size) insightSpec.prompt += piiInstructions();
+
+  const llmFailure = (e) => isTimeoutError(e)
+    ? failed("timeout", { ok: false, error: "INSIGHT_TIMEOUT", message: String(e?.message || e) }, template)
+    : failed("failed", { ok: false, error: "INSIGHT_FAILED", message: String(e?.message || e) }, template);
+
+  let insight;
+  try {
+    insight = await generateValidated({ ...insightSpec, onRepair });
+  } catch (e) {
+    return llmFailure(e);
+  }
+
+  let violations = [];
+  let regenerated = false;
+  let skipped = null;
+  if (insight.ok) {
+    let insightCheck;
+    try {
+      insightCheck = await enforceConstraints({ result: insight, target: "insight", constraints, locale, ...insightSpec, onRegenerate });
+    } catch (e) {
+      return llmFailure(e);
+    }
+    insight = insightCheck.result;
+    violations = insightCheck.violations;
+    regenerated = insightCheck.regenerated;
+    skipped = insightCheck.skipped;
+  }
+
+  // ✅ Prefer object for UI
+  if (insight.ok) {
+    const obj = restorePii(insight.obj, vault);
+    return { ok: true, insight: obj, analysis_text: JSON.stringify(obj, null, 2), violations, regenerated, skipped, template };
+  }
+  if (!insight.obj) {
+    // Plain-text insight: wrap it, but the wrapper must satisfy the same schema
+    const text = restorePii(String(insight.text || ""), vault);
+    const fallback = { insight_title: t(locale, "insight.fallback_title"), insight_sections: [], disclaimer_line: text };
+    const v = validateOutput("insight", fallback);
+    if (v.ok) return { ok: true, insight: fallback, analysis_text: text, violations, regenerated, skipped, template };
+    return failed("failed", schemaViolation("insight", { ...insight, errors: v.errors }), template);
+  }
+  return failed("failed", schemaViolation("insight", insight), template);
+}
+
+module.exports = {
+  modelForTier,
+  pickModel,
+  resolveModel,
+  isTimeoutError,
+  generateValidated,
+  enforceConstraints,
+  stageSpec,
+  schemaViolation,
+  piiInstructions,
+  systemPreamble,
+  runInsightStage
+};
@@ -0,0 +1,132 @@
+// api/engine/http.js
+// Shared HTTP plumbing for api/* routes: JSON responses, CORS gate, bounded body parsing
+
+const DEFAULT_ALLOW_HEADERS = ["Content-Type", "Authorization"];
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Referrer-Policy", "no-referrer");
+  res.end(JSON.stringify(body));
+}
+
+function getAllowedOrigin() {
+  // e.g. "https://useclearbound.com,https://clearbound.app"
+  return String(process.env.ALLOW_ORIGIN || "*").trim();
+}
+
+function isOriginAllowed(reqOrigin, allow) {
+  if (!reqOrigin) return true; // allow server-to-server
+  if (allow === "*") return true;
+  const allowed = allow.split(",").map(s => s.trim()).filter(Boolean);
+  return allowed.includes(reqOrigin);
+}
+
+function setCors(req, res, { methods = "POST, OPTIONS", allowHeaders = DEFAULT_ALLOW_HEADERS, exposeHeaders = [] } = {}) {
+  const allow = getAllowedOrigin();
+  const origin = req.headers?.origin;
+
+  if (allow === "*") {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  } else if (origin && isOriginAllowed(origin, allow)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", allowHeaders.join(", "));
+  if (exposeHeaders.length) res.setHeader("Access-Control-Expose-Headers", exposeHeaders.join(", "));
+  res.setHeader("Access-Control-Max-Age", "86400");
+}
+
+// Returns true when the request was rejected (403 already sent)
+function rejectDisallowedOrigin(req, res) {
+  const allow = getAllowedOrigin();
+  const origin = req.headers?.origin;
+  if (allow !== "*" && origin && !isOriginAllowed(origin, allow)) {
+    json(res, 403, { ok: false, error: "ORIGIN_NOT_ALLOWED" });
+    return true;
+  }
+  return false;
+}
+
+function safeParseJson(str) {
+  try { return JSON.parse(str); } catch { return null; }
+}
+
+async function readRawBody(req, maxBytes = 200_000) {
+  return await new Promise((resolve, reject) => {
+    let size = 0;
+    let buf = "";
+    req.on("data", (chunk) => {
+      const s = chunk.toString("utf8");
+      size += Buffer.byteLength(s, "utf8");
+      if (size > maxBytes) return reject(new Error("BODY_TOO_LARGE"));
+      buf += s;
+    });
+    req.on("end", () => resolve(buf));
+    req.on("error", (e) => reject(e));
+  });
+}
+
+// Exact request bytes as a Buffer (signature checks must not re-encode the body)
+async function readRawBytes(req, maxBytes = 200_000) {
+  return await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      size += buf.length;
+      if (size > maxBytes) return reject(new Error("BODY_TOO_LARGE"));
+      chunks.push(buf);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", (e) => reject(e));
+  });
+}
+
+function isJsonRequest(req) {
+  const ct = String(req.headers?.["content-type"] || "").toLowerCase();
+  return ct.includes("application/json");
+}
+
+/**
+ * Reads a JSON object body (Vercel may pre-parse req.body).
+ * -> { body } on success, or { status, error } ready to pass to json(res, status, error)
+ */
+async function readJsonBody(req, maxBytes = 200_000) {
+  let body = req.body;
+
+  if (!body) {
+    try {
+      const raw = await readRawBody(req, maxBytes);
+      body = safeParseJson(raw);
+    } catch (e) {
+      const msg = String(e?.message || e);
+      if (msg.includes("BODY_TOO_LARGE")) return { status: 413, error: { ok: false, error: "BODY_TOO_LARGE" } };
+      return { status: 400, error: { ok: false, error: "BAD_REQUEST", message: "Invalid body" } };
+    }
+  } else if (typeof body === "string") {
+    body = safeParseJson(body);
+  }
+
+  if (!body || typeof body !== "object") {
+    return { status: 400, error: { ok: false, error: "BAD_REQUEST", message: "Invalid JSON body" } };
+  }
+  return { body };
+}
+
+module.exports = {
+  json,
+  getAllowedOrigin,
+  isOriginAllowed,
+  setCors,
+  rejectDisallowedOrigin,
+  safeParseJson,
+  readRawBody,
+  readRawBytes,
+  isJsonRequest,
+  readJsonBody
+};
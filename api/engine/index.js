@@ -1,10 +1,21 @@
 // api/engine/index.js
 // Unified exports (fixes compute/export mismatch)
 
-const { computeEngineDecisions } = require("./compute");
+const { computeEngineDecisions, explainEngineDecisions } = require("./compute");
+const { loadRuleset, listRulesetVersions } = require("./ruleset");
+const { migrateInputToV3 } = require("./migrateInput");
 const { loadPrompt } = require("./promptLoader");
+const { loadPromptTemplate } = require("./promptTemplate");
+const { chat, chatWithFailover } = require("./llm");
 
 module.exports = {
   computeEngineDecisions,
-  loadPrompt
+  explainEngineDecisions,
+  loadRuleset,
+  listRulesetVersions,
+  migrateInputToV3,
+  loadPrompt,
+  loadPromptTemplate,
+  chat,
+  chatWithFailover
 };
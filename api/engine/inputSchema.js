@@ -0,0 +1,223 @@
+// api/engine/inputSchema.js
+// Schema-driven validation of the generate payload (raw picks from payload.pickRawPayload)
+// - V2 shape: risk_scan.impact / risk_scan.continuity / main_concerns / situation_type
+// - V3-native: continuity / happened_before / exposure[] / leverage_flag
+// - Controls: tone / detail / direction overrides
+// - Follow-up mode: conversation { previous_draft, counterpart_reply, previous_engine?, previous_direction? }
+// - locale: normalized to a supported language; anything else is a warning and falls back to English
+// Issues are { path, code, message } (same shape as engine/outputSchema.js errors).
+//
+// Modes:
+// - strict  (default): any error -> caller answers 422 INVALID_INPUT, except missing / too-short key_facts
+//                      (isMissingFacts), which keeps its original 400 MISSING_FACTS answer
+// - lenient: invalid values are dropped (engine falls back exactly as before) and reported as warnings;
+//            errors marked `hard` (e.g. key_facts too short) still fail
+
+const { normalizeLocale, SUPPORTED_LOCALES } = require("./locale");
+
+const MIN_FACTS_CHARS = 20;
+const MAX_FACTS_CHARS = 8_000;
+const MAX_LIST_ITEMS = 20;
+const MAX_TURN_CHARS = 8_000;
+
+// Keep enums in sync with normalizeFlags (compute.js) and the v3.0 ruleset value sets
+const ENUMS = {
+  situation_type: ["say_no", "push_back", "clarify_correct", "set_boundary", "official_documented"],
+  impact: ["high", "low"],
+  continuity_v2: ["high", "mid", "low"],
+  continuity_v3: ["one_time", "short_term", "ongoing"],
+  main_concerns: ["repeat", "impact_work", "document", "reputation", "leverage", "they_have_leverage"],
+  exposure: ["emotional_fallout", "reputation_impact", "documentation_sensitivity", "they_have_leverage"],
+  tone: ["calm", "neutral", "formal"],
+  detail: ["concise", "standard", "detailed"],
+  direction: ["maintain", "reset", "disengage"],
+  risk_level: ["low", "moderate", "high"]
+};
+
+// V2 continuity -> V3 bucket (normalizeFlags mapping), used for conflict warnings
+const V2_TO_V3_CONTINUITY = { high: "ongoing", mid: "short_term", low: "one_time" };
+
+function issue(path, code, message, extra = {}) {
+  return { path, code, message, ...extra };
+}
+
+function norm(v) {
+  return (typeof v === "string") ? v.trim().toLowerCase() : v;
+}
+
+function isBlank(v) {
+  return v === null || v === undefined || (typeof v === "string" && !v.trim());
+}
+
+function checkEnum(issues, path, value, allowed) {
+  if (isBlank(value)) return true;
+  if (typeof value !== "string") {
+    issues.push(issue(path, "type", "must be a string"));
+    return false;
+  }
+  if (!allowed.includes(norm(value))) {
+    issues.push(issue(path, "unknown_value", `"${value}" is not one of ${allowed.join(" | ")}`));
+    return false;
+  }
+  return true;
+}
+
+function checkBool(issues, path, value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value !== "boolean") {
+    issues.push(issue(path, "type", "must be true, false or null"));
+    return false;
+  }
+  return true;
+}
+
+// Returns the list with invalid items removed (lenient) and records issues
+function checkEnumList(issues, path, value, allowed, { nullable }) {
+  if (value === null || value === undefined) return nullable ? null : [];
+  if (!Array.isArray(value)) {
+    issues.push(issue(path, "type", "must be an array"));
+    return nullable ? null : [];
+  }
+  if (value.length > MAX_LIST_ITEMS) issues.push(issue(path, "too_many_items", `must have at most ${MAX_LIST_ITEMS} items`));
+
+  const kept = [];
+  const seen = new Set();
+  value.slice(0, MAX_LIST_ITEMS).forEach((item, i) => {
+    if (!checkEnum(issues, `${path}[${i}]`, item, allowed) || isBlank(item)) return;
+    if (seen.has(norm(item))) {
+      issues.push(issue(`${path}[${i}]`, "duplicate", `"${item}" is listed more than once`, { severity: "warning" }));
+      return;
+    }
+    seen.add(norm(item));
+    kept.push(item);
+  });
+  return kept;
+}
+
+function checkTurnText(issues, path, value) {
+  if (typeof value !== "string" || !value.trim()) {
+    issues.push(issue(path, "required", "must be a non-empty string", { hard: true }));
+  } else if (value.length > MAX_TURN_CHARS) {
+    issues.push(issue(path, "too_long", `must be at most ${MAX_TURN_CHARS} characters`, { hard: true }));
+  }
+}
+
+function checkConversation(issues, conv, clean) {
+  if (typeof conv !== "object" || Array.isArray(conv)) {
+    issues.push(issue("conversation", "type", "must be an object", { hard: true }));
+    return;
+  }
+  checkTurnText(issues, "conversation.previous_draft", conv.previous_draft);
+  checkTurnText(issues, "conversation.counterpart_reply", conv.counterpart_reply);
+
+  const cc = { ...conv };
+  if (!checkEnum(issues, "conversation.previous_direction", conv.previous_direction, ENUMS.direction)) cc.previous_direction = null;
+
+  const prev = conv.previous_engine;
+  if (prev != null && (typeof prev !== "object" || Array.isArray(prev))) {
+    issues.push(issue("conversation.previous_engine", "type", "must be an object"));
+    cc.previous_engine = null;
+  } else if (prev) {
+    const pe = { ...prev };
+    if (!checkEnum(issues, "conversation.previous_engine.risk_level", prev.risk_level, ENUMS.risk_level)) pe.risk_level = null;
+    if (!checkEnum(issues, "conversation.previous_engine.direction_suggestion", prev.direction_suggestion, ENUMS.direction)) pe.direction_suggestion = null;
+    cc.previous_engine = pe;
+  }
+  clean.conversation = cc;
+}
+
+/**
+ * validateInput(raw, { mode }) where raw = pickRawPayload(state)
+ * -> { ok, errors: Issue[], warnings: Issue[], clean }
+ * `clean` is raw with invalid values removed; pass it to coercePayload().
+ */
+function validateInput(raw, { mode = "strict" } = {}) {
+  const lenient = mode === "lenient";
+  const inp = raw?.input || {};
+  const issues = [];
+  const clean = { ...raw, input: { ...inp, risk_scan: { ...(inp.risk_scan || {}) } } };
+  const c = clean.input;
+
+  // Facts gate (was the ad-hoc MISSING_FACTS check in the handler) — always hard
+  if (typeof inp.key_facts !== "string") {
+    issues.push(issue("input.key_facts", "type", "must be a string", { hard: true }));
+  } else if (inp.key_facts.trim().length < MIN_FACTS_CHARS) {
+    issues.push(issue("input.key_facts", "too_short", `must be at least ${MIN_FACTS_CHARS} characters`, { hard: true }));
+  } else if (inp.key_facts.length > MAX_FACTS_CHARS) {
+    issues.push(issue("input.key_facts", "too_long", `must be at most ${MAX_FACTS_CHARS} characters`, { hard: true }));
+  }
+
+  // V2 shape
+  if (!checkEnum(issues, "input.situation_type", inp.situation_type, ENUMS.situation_type)) c.situation_type = null;
+  if (!checkEnum(issues, "input.risk_scan.impact", inp.risk_scan?.impact, ENUMS.impact)) c.risk_scan.impact = null;
+  if (!checkEnum(issues, "input.risk_scan.continuity", inp.risk_scan?.continuity, ENUMS.continuity_v2)) c.risk_scan.continuity = null;
+  c.main_concerns = checkEnumList(issues, "input.main_concerns", inp.main_concerns, ENUMS.main_concerns, { nullable: false });
+
+  if (inp.constraints != null && !Array.isArray(inp.constraints)) {
+    issues.push(issue("input.constraints", "type", "must be an array of strings"));
+    c.constraints = [];
+  } else if (Array.isArray(inp.constraints)) {
+    const bad = inp.constraints.findIndex(x => typeof x !== "string");
+    if (bad > -1) issues.push(issue(`input.constraints[${bad}]`, "type", "must be a string"));
+    c.constraints = inp.constraints.filter(x => typeof x === "string").slice(0, MAX_LIST_ITEMS);
+  }
+
+  // V3-native shape
+  if (!checkEnum(issues, "input.continuity", inp.continuity, ENUMS.continuity_v3)) c.continuity = null;
+  if (!checkBool(issues, "input.happened_before", inp.happened_before)) c.happened_before = null;
+  if (!checkBool(issues, "input.leverage_flag", inp.leverage_flag)) c.leverage_flag = null;
+  c.exposure = checkEnumList(issues, "input.exposure", inp.exposure, ENUMS.exposure, { nullable: true });
+
+  // Controls (user overrides of engine recommendations)
+  for (const k of ["tone", "detail", "direction"]) {
+    if (!checkEnum(issues, `input.${k}`, inp[k], ENUMS[k])) c[k] = null;
+  }
+
+  // Follow-up mode: both turns are required (hard); stale decisions are dropped like any other bad enum
+  if (raw?.conversation != null) checkConversation(issues, raw.conversation, clean);
+
+  if (raw?.locale != null) {
+    clean.locale = normalizeLocale(raw.locale);
+    if (!clean.locale) {
+      issues.push(issue("locale", "unsupported", `"${raw.locale}" is not supported (${SUPPORTED_LOCALES.join(" | ")}); English is used`,
+        { severity: "warning" }));
+    }
+  }
+
+  // Dialect conflicts: both shapes present and disagreeing (V3 wins in normalizeFlags)
+  const v2c = V2_TO_V3_CONTINUITY[norm(c.risk_scan.continuity)];
+  if (v2c && c.continuity && norm(c.continuity) !== v2c) {
+    issues.push(issue("input.continuity", "conflict",
+      `risk_scan.continuity maps to "${v2c}" but continuity is "${c.continuity}"; continuity is used`, { severity: "warning" }));
+  }
+  const repeatConcern = (c.main_concerns || []).some(x => norm(x) === "repeat");
+  if (repeatConcern && c.happened_before === false) {
+    issues.push(issue("input.happened_before", "conflict",
+      "main_concerns has \"repeat\" but happened_before is false; happened_before is used", { severity: "warning" }));
+  }
+
+  const isWarning = (x) => x.severity === "warning" || (lenient && !x.hard);
+  const strip = ({ hard, severity, ...rest }) => rest;
+  const errors = issues.filter(x => !isWarning(x)).map(strip);
+  const warnings = issues.filter(isWarning).map(strip);
+
+  return { ok: errors.length === 0, errors, warnings, clean };
+}
+
+function resolveValidationMode(body) {
+  const requested = norm(body?.validation_mode);
+  if (requested === "strict" || requested === "lenient") return requested;
+  return norm(process.env.INPUT_VALIDATION_MODE) === "lenient" ? "lenient" : "strict";
+}
+
+// The facts gate predates field validation: clients rely on 400 MISSING_FACTS for it
+function isMissingFacts(errors) {
+  return errors.some(e => e.path === "input.key_facts" && (e.code === "type" || e.code === "too_short"));
+}
+
+module.exports = {
+  ENUMS,
+  validateInput,
+  isMissingFacts,
+  resolveValidationMode
+};
@@ -0,0 +1,127 @@
+// api/engine/insightRetry.js
+// Insight retry tokens: when the optional insight fails or times out, /api/generate still returns the draft
+// plus a token; POST /api/generate/insight regenerates only the insight from the stored job
+// - The job (redacted llmInput, prompt path / options, constraints, model, PII vault) stays server-side;
+//   the client only holds an opaque random token (store key = sha256 of it)
+// - Failed retries keep the token until the attempts run out; a successful retry consumes it
+// - Store is pluggable: { get(key, { now }) -> entry|null, set(key, entry, { ttlMs, now }), delete(key) }
+//   Default MemoryInsightRetryStore is per instance (best-effort on Vercel); back with Redis via setInsightRetryStore()
+//
+// INSIGHT_RETRY=off disables; INSIGHT_RETRY_TTL_S (default 900) / INSIGHT_RETRY_MAX_ATTEMPTS (default 3)
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_S = 900;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_MEMORY_ENTRIES = 1_000;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function positiveInt(name, fallback) {
+  const n = Number(env(name, fallback));
+  return (Number.isInteger(n) && n > 0) ? n : fallback;
+}
+
+function isEnabled() {
+  return String(env("INSIGHT_RETRY", "on")).toLowerCase() !== "off";
+}
+
+class MemoryInsightRetryStore {
+  constructor({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.items = new Map(); // key -> { entry, until }
+  }
+
+  async get(key, { now = Date.now() } = {}) {
+    const hit = this.items.get(key);
+    if (!hit) return null;
+    if (hit.until <= now) {
+      this.items.delete(key);
+      return null;
+    }
+    return hit.entry;
+  }
+
+  async set(key, entry, { ttlMs, now = Date.now() }) {
+    this.items.delete(key);
+    this.items.set(key, { entry, until: now + ttlMs });
+    while (this.items.size > this.maxEntries) this.items.delete(this.items.keys().next().value);
+  }
+
+  async delete(key) {
+    this.items.delete(key);
+  }
+}
+
+let STORE = new MemoryInsightRetryStore();
+
+function setInsightRetryStore(store) {
+  if (!store || ["get", "set", "delete"].some(k => typeof store[k] !== "function")) {
+    throw new Error("INSIGHT_RETRY_STORE invalid");
+  }
+  STORE = store;
+}
+
+function storeKey(token) {
+  return `insight_retry:${crypto.createHash("sha256").update(String(token)).digest("hex")}`;
+}
+
+/**
+ * createInsightRetry(job, { cache }) -> { token, attempts_left, expires_in_s } | null when disabled.
+ * job = runInsightStage() arguments minus callbacks; the PII vault (Map) is stored as entries.
+ * cache = { contentKey, idemKey } of the cached partial response, updated once a retry delivers the insight.
+ */
+async function createInsightRetry(job, { cache = null, now = Date.now() } = {}) {
+  if (!isEnabled()) return null;
+  const ttlS = positiveInt("INSIGHT_RETRY_TTL_S", DEFAULT_TTL_S);
+  const maxAttempts = positiveInt("INSIGHT_RETRY_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+  const token = crypto.randomBytes(24).toString("base64url");
+
+  const entry = {
+    job: { ...job, vault: job.vault ? [...job.vault] : [] },
+    attempts: 0,
+    max_attempts: maxAttempts,
+    cache,
+    until: now + ttlS * 1000
+  };
+  await STORE.set(storeKey(token), entry, { ttlMs: ttlS * 1000, now });
+  return { token, attempts_left: maxAttempts, expires_in_s: ttlS };
+}
+
+/**
+ * Claims one attempt: -> { job, cache, attempts_left, expires_in_s } (job.vault is a Map again)
+ * Throws INSIGHT_RETRY_NOT_FOUND (unknown / expired / disabled) or INSIGHT_RETRY_EXHAUSTED.
+ */
+async function takeInsightRetry(token, { now = Date.now() } = {}) {
+  if (!isEnabled()) throw new Error("INSIGHT_RETRY_NOT_FOUND");
+  const key = storeKey(token);
+  const entry = await STORE.get(key, { now });
+  if (!entry) throw new Error("INSIGHT_RETRY_NOT_FOUND");
+  if (entry.attempts >= entry.max_attempts) throw new Error("INSIGHT_RETRY_EXHAUSTED");
+
+  const next = { ...entry, attempts: entry.attempts + 1 };
+  await STORE.set(key, next, { ttlMs: Math.max(1, entry.until - now), now });
+  return {
+    job: { ...entry.job, vault: new Map(entry.job.vault) },
+    cache: entry.cache || null,
+    attempts_left: next.max_attempts - next.attempts,
+    expires_in_s: Math.max(0, Math.round((entry.until - now) / 1000))
+  };
+}
+
+// A delivered insight consumes the token
+async function completeInsightRetry(token) {
+  await STORE.delete(storeKey(token));
+}
+
+module.exports = {
+  MemoryInsightRetryStore,
+  setInsightRetryStore,
+  createInsightRetry,
+  takeInsightRetry,
+  completeInsightRetry,
+  isInsightRetryEnabled: isEnabled
+};
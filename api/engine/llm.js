@@ -0,0 +1,371 @@
+// api/engine/llm.js
+// Pluggable LLM provider layer (OpenAI / Anthropic Messages / Azure OpenAI / OpenAI-compatible)
+// - One call shape for every provider: chat({ model, system, user, ... }) -> JSON text
+// - Per-provider JSON-mode handling + error mapping to stable codes
+// - Model refs are "provider:model" (bare "model" uses LLM_PROVIDER, default openai)
+// - Optional failover chain via LLM_FALLBACK_MODELS on retryable errors
+// - setChatTransport() replaces every provider call (offline eval: scripts/eval.js)
+// - `traceparent` (the calling request's span, telemetry.js) is forwarded on every provider request
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function safeParseJson(str) {
+  try { return JSON.parse(str); } catch { return null; }
+}
+
+const PROVIDER_NAMES = ["openai", "anthropic", "azure", "compat"];
+
+/**
+ * "anthropic:claude-sonnet-4-5" -> { provider: "anthropic", model: "claude-sonnet-4-5" }
+ * "gpt-4.1-mini"               -> { provider: env LLM_PROVIDER || "openai", model: "gpt-4.1-mini" }
+ * Unknown prefixes are treated as part of the model name (e.g. local "llama3:8b").
+ */
+function parseModelRef(ref) {
+  const s = String(ref || "").trim();
+  const idx = s.indexOf(":");
+  if (idx > 0) {
+    const provider = s.slice(0, idx).toLowerCase();
+    if (PROVIDER_NAMES.includes(provider)) return { provider, model: s.slice(idx + 1) };
+  }
+  return { provider: env("LLM_PROVIDER", "openai").toLowerCase(), model: s };
+}
+
+function formatModelRef({ provider, model }) {
+  return `${provider}:${model}`;
+}
+
+// ---------- errors ----------
+
+function llmError(code, provider, status, message) {
+  const e = new Error(`LLM_${code} ${provider}${status ? ` ${status}` : ""} ${message || ""}`.trim());
+  e.code = `LLM_${code}`;
+  e.provider = provider;
+  e.status = status || null;
+  e.retryable = code === "RATE_LIMITED" || code === "UNAVAILABLE" || code === "TIMEOUT" || code === "NETWORK";
+  return e;
+}
+
+function mapHttpError(provider, status, raw) {
+  const data = safeParseJson(raw);
+  const msg = data?.error?.message || String(raw || "").slice(0, 300);
+  const apiCode = String(data?.error?.code || data?.error?.type || "");
+
+  if (apiCode === "content_filter") return llmError("CONTENT_FILTERED", provider, status, msg);
+  if (status === 401 || status === 403) return llmError("AUTH_FAILED", provider, status, msg);
+  if (status === 429) return llmError("RATE_LIMITED", provider, status, msg);
+  if (status === 408 || status >= 500) return llmError("UNAVAILABLE", provider, status, msg); // incl. anthropic 529
+  return llmError("BAD_REQUEST", provider, status, msg);
+}
+
+function mapThrown(provider, e) {
+  if (e?.code && String(e.code).startsWith("LLM_")) return e;
+  const msg = String(e?.message || e);
+  if (e?.name === "AbortError" || msg.includes("aborted")) return llmError("TIMEOUT", provider, null, "aborted");
+  return llmError("NETWORK", provider, null, msg);
+}
+
+// ---------- transport ----------
+
+async function postJson(url, { headers, body, timeoutMs, provider, traceparent = null }) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      signal: ac.signal,
+      headers: { "Content-Type": "application/json", ...(traceparent ? { traceparent } : {}), ...headers },
+      body: JSON.stringify(body)
+    });
+    return { r, done: () => clearTimeout(t) };
+  } catch (e) {
+    clearTimeout(t);
+    throw mapThrown(provider, e);
+  }
+}
+
+// Reads an SSE response body, calling onEvent(eventName, dataString) per frame
+async function readSse(stream, onEvent) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let pending = "";
+  let event = "message";
+
+  const handle = (line) => {
+    const l = line.trim();
+    if (!l) { event = "message"; return; }
+    if (l.startsWith("event:")) { event = l.slice(6).trim(); return; }
+    if (l.startsWith("data:")) onEvent(event, l.slice(5).trim());
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    pending += decoder.decode(value, { stream: true });
+
+    // SSE frames are line-based; keep the trailing partial line for the next chunk
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    lines.forEach(handle);
+  }
+
+  // A stream that ends without a trailing newline still carries its last line (and any buffered bytes)
+  pending += decoder.decode();
+  if (pending) pending.split("\n").forEach(handle);
+}
+
+// ---------- providers ----------
+
+// OpenAI, Azure OpenAI and OpenAI-compatible servers share the chat/completions wire format
+function openaiShaped({ name, url, headers, sendModel = true, jsonMode = true }) {
+  return async ({ model, system, user, temperature, maxTokens, timeoutMs, requestId, traceparent, onDelta }) => {
+    const stream = typeof onDelta === "function";
+    const body = {
+      ...(sendModel ? { model } : {}),
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(stream ? { stream: true } : {}),
+      ...(jsonMode ? { response_format: { type: "json_object" } } : {}),
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: user }
+      ]
+    };
+
+    const { r, done } = await postJson(url, {
+      provider: name,
+      timeoutMs,
+      traceparent,
+      headers: { ...headers, ...(requestId ? { "X-Request-Id": requestId } : {}) },
+      body
+    });
+
+    try {
+      if (!r.ok || (stream && !r.body)) {
+        const raw = await r.text().catch(() => "");
+        throw mapHttpError(name, r.status, raw);
+      }
+
+      let text = "";
+      if (stream) {
+        await readSse(r.body, (_event, dataStr) => {
+          if (dataStr === "[DONE]") return;
+          const delta = safeParseJson(dataStr)?.choices?.[0]?.delta?.content;
+          if (typeof delta === "string" && delta) {
+            text += delta;
+            onDelta(text);
+          }
+        });
+      } else {
+        const raw = await r.text();
+        text = safeParseJson(raw)?.choices?.[0]?.message?.content || "";
+      }
+
+      if (!text) throw llmError("EMPTY", name, null, "");
+      return text;
+    } catch (e) {
+      throw mapThrown(name, e);
+    } finally {
+      done();
+    }
+  };
+}
+
+function openaiProvider() {
+  const key = env("OPENAI_API_KEY");
+  if (!key) throw new Error("OPENAI_API_KEY missing");
+  const base = env("OPENAI_BASE_URL", "https://api.openai.com/v1").replace(/\/+$/, "");
+  return openaiShaped({
+    name: "openai",
+    url: `${base}/chat/completions`,
+    headers: { "Authorization": `Bearer ${key}` }
+  });
+}
+
+function azureProvider(model) {
+  // Azure routes by deployment name; the model part of the ref is the deployment
+  const endpoint = env("AZURE_OPENAI_ENDPOINT");
+  const key = env("AZURE_OPENAI_API_KEY");
+  if (!endpoint) throw new Error("AZURE_OPENAI_ENDPOINT missing");
+  if (!key) throw new Error("AZURE_OPENAI_API_KEY missing");
+  const apiVersion = env("AZURE_OPENAI_API_VERSION", "2024-06-01");
+  return openaiShaped({
+    name: "azure",
+    url: `${endpoint.replace(/\/+$/, "")}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+    headers: { "api-key": key },
+    sendModel: false
+  });
+}
+
+function compatProvider() {
+  // Any OpenAI-compatible server (vLLM, Ollama, LM Studio, a local test stub, ...)
+  const base = env("LLM_COMPAT_BASE_URL");
+  if (!base) throw new Error("LLM_COMPAT_BASE_URL missing");
+  const key = env("LLM_COMPAT_API_KEY");
+  return openaiShaped({
+    name: "compat",
+    url: `${base.replace(/\/+$/, "")}/chat/completions`,
+    headers: key ? { "Authorization": `Bearer ${key}` } : {},
+    // Many local servers reject response_format; allow turning it off
+    jsonMode: env("LLM_COMPAT_JSON_MODE", "1") === "1"
+  });
+}
+
+function anthropicProvider() {
+  const key = env("ANTHROPIC_API_KEY");
+  if (!key) throw new Error("ANTHROPIC_API_KEY missing");
+  const base = env("ANTHROPIC_BASE_URL", "https://api.anthropic.com").replace(/\/+$/, "");
+  const version = env("ANTHROPIC_VERSION", "2023-06-01");
+  const defaultMaxTokens = Number(env("ANTHROPIC_MAX_TOKENS", "2048"));
+
+  return async ({ model, system, user, temperature, maxTokens, timeoutMs, traceparent, onDelta }) => {
+    const stream = typeof onDelta === "function";
+
+    // No native JSON mode: instruct + prefill the assistant turn with "{"
+    const PREFILL = "{";
+    const body = {
+      model,
+      max_tokens: maxTokens || defaultMaxTokens,
+      temperature,
+      ...(stream ? { stream: true } : {}),
+      system: `${system}\nRespond with the JSON object only, starting with "{".`,
+      messages: [
+        { role: "user", content: user },
+        { role: "assistant", content: PREFILL }
+      ]
+    };
+
+    const { r, done } = await postJson(`${base}/v1/messages`, {
+      provider: "anthropic",
+      timeoutMs,
+      traceparent,
+      headers: { "x-api-key": key, "anthropic-version": version },
+      body
+    });
+
+    try {
+      if (!r.ok || (stream && !r.body)) {
+        const raw = await r.text().catch(() => "");
+        throw mapHttpError("anthropic", r.status, raw);
+      }
+
+      let text = "";
+      if (stream) {
+        let streamErr = null;
+        await readSse(r.body, (event, dataStr) => {
+          const evt = safeParseJson(dataStr);
+          if (event === "error" || evt?.type === "error") {
+            streamErr = llmError("UNAVAILABLE", "anthropic", null, evt?.error?.message || "stream error");
+            return;
+          }
+          const delta = evt?.type === "content_block_delta" ? evt?.delta?.text : null;
+          if (typeof delta === "string" && delta) {
+            text += delta;
+            onDelta(PREFILL + text);
+          }
+        });
+        if (streamErr) throw streamErr;
+      } else {
+        const raw = await r.text();
+        const blocks = safeParseJson(raw)?.content;
+        text = Array.isArray(blocks)
+          ? blocks.filter(b => b?.type === "text").map(b => b.text).join("")
+          : "";
+      }
+
+      if (!text) throw llmError("EMPTY", "anthropic", null, "");
+      return PREFILL + text;
+    } catch (e) {
+      throw mapThrown("anthropic", e);
+    } finally {
+      done();
+    }
+  };
+}
+
+function getProvider(provider, model) {
+  if (provider === "openai") return openaiProvider();
+  if (provider === "anthropic") return anthropicProvider();
+  if (provider === "azure") return azureProvider(model);
+  if (provider === "compat") return compatProvider();
+  throw new Error(`LLM_PROVIDER_UNKNOWN ${provider}`);
+}
+
+// ---------- public ----------
+
+// Offline replacement for the provider layer: fn({ model, system, user, ..., requestId, onDelta }) -> text
+let TRANSPORT = null;
+
+function setChatTransport(fn) {
+  if (fn !== null && typeof fn !== "function") throw new Error("LLM_TRANSPORT invalid");
+  TRANSPORT = fn;
+}
+
+// Readiness: the "<ENV> missing" error a call to `model` would fail with, or null (no request is made)
+function providerConfigError(model) {
+  try {
+    const ref = parseModelRef(model);
+    getProvider(ref.provider, ref.model);
+    return null;
+  } catch (e) {
+    return String(e?.message || e);
+  }
+}
+
+/**
+ * Single provider call. Returns the raw JSON text produced by the model.
+ * Pass onDelta(accumulatedText) to stream.
+ */
+async function chat({ model, system, user, temperature = 0.2, maxTokens = null, timeoutMs = 22_000, requestId = "", traceparent = null, onDelta = null }) {
+  const ref = parseModelRef(model);
+  if (TRANSPORT) {
+    return await TRANSPORT({ model: formatModelRef(ref), system, user, temperature, maxTokens, timeoutMs, requestId, traceparent, onDelta });
+  }
+  const call = getProvider(ref.provider, ref.model);
+  return await call({ model: ref.model, system, user, temperature, maxTokens, timeoutMs, requestId, traceparent, onDelta });
+}
+
+function fallbackModels() {
+  return String(env("LLM_FALLBACK_MODELS", "")).split(",").map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * chat() with failover: tries `model`, then LLM_FALLBACK_MODELS, moving on only for retryable errors
+ * (timeouts, 429, 5xx, network) or a provider that is not configured here.
+ * When streaming, no failover happens once any text has been emitted.
+ * Resolves to { text, model } where model is the "provider:model" that answered.
+ */
+async function chatWithFailover(args) {
+  const chain = [args.model, ...fallbackModels()]
+    .map(m => formatModelRef(parseModelRef(m)))
+    .filter((m, i, arr) => arr.indexOf(m) === i);
+
+  let emitted = false;
+  const onDelta = args.onDelta
+    ? (t) => { emitted = true; args.onDelta(t); }
+    : null;
+
+  let lastErr = null;
+  for (const model of chain) {
+    try {
+      const text = await chat({ ...args, model, onDelta });
+      return { text, model };
+    } catch (e) {
+      lastErr = e;
+      const notConfigured = / missing$/.test(String(e?.message || ""));
+      if (emitted || !(e?.retryable || notConfigured)) break;
+    }
+  }
+  throw lastErr;
+}
+
+module.exports = {
+  chat,
+  chatWithFailover,
+  setChatTransport,
+  providerConfigError,
+  parseModelRef,
+  formatModelRef
+};
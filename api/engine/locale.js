@@ -0,0 +1,245 @@
+// api/engine/locale.js
+// Locales for drafts, insight headings and user-facing error messages
+// - Engine decisions stay language-agnostic; only prompts / presentation are localized
+// - Locale tags are normalized to the primary language ("ko-KR" -> "ko"); unsupported -> English
+// - Formality hints map the resolved tone (default: engine.tone_recommendation) onto each language's
+//   register system, e.g. Korean speech levels and Japanese keigo
+
+const DEFAULT_LOCALE = "en";
+const SUPPORTED_LOCALES = ["en", "ko", "ja"];
+
+const LANGUAGE_NAMES = { en: "English", ko: "Korean (한국어)", ja: "Japanese (日本語)" };
+
+// tone -> register; calm / neutral stay polite, formal moves to the deferential register
+const FORMALITY = {
+  en: {
+    calm: { register: "warm_plain", guidance: "Warm, plain wording; contractions are fine." },
+    neutral: { register: "plain", guidance: "Plain, matter-of-fact wording." },
+    formal: { register: "formal", guidance: "Formal wording, no contractions or slang." }
+  },
+  ko: {
+    calm: { register: "haeyo", honorific: "해요체", guidance: "Use polite 해요체; soft sentence endings, no 반말." },
+    neutral: { register: "haeyo", honorific: "해요체", guidance: "Use polite 해요체 with neutral, factual endings; no 반말." },
+    formal: { register: "hasipsio", honorific: "하십시오체", guidance: "Use formal 하십시오체 (-습니다/-십시오) throughout; honorific verbs for the recipient." }
+  },
+  ja: {
+    calm: { register: "teineigo", honorific: "丁寧語", guidance: "Use です・ます (丁寧語) with soft cushioning phrases; no casual speech." },
+    neutral: { register: "teineigo", honorific: "丁寧語", guidance: "Use です・ます (丁寧語), concise and factual." },
+    formal: { register: "keigo", honorific: "尊敬語・謙譲語", guidance: "Use full 敬語 (尊敬語 for the recipient, 謙譲語 for yourself), business-letter phrasing." }
+  }
+};
+
+// User-facing strings (insight / export labels, control warnings). Errors keep their machine `error` code; this is the human `user_message`.
+const MESSAGES = {
+  en: {
+    "insight.fallback_title": "Strategic Insight",
+    "export.title": "Communication drafts",
+    "export.generated": "Generated",
+    "export.message": "Message",
+    "export.email": "Email",
+    "export.details": "Details",
+    "export.risk_level": "Risk level",
+    "export.tone": "Tone",
+    "export.ruleset": "Ruleset",
+    "export.record_copy": "RECORD COPY",
+    "export.record_note": "Prepared for your records. Keep this document unchanged.",
+    "export.record_date": "Record date",
+    "export.reference": "Reference",
+    "export.page": "Page",
+    "export.disclaimer_default": "These are communication drafts, not legal or professional advice.",
+    "control.tone.below": "The selected tone is less formal than the tone the engine recommends for this situation.",
+    "control.tone.above": "The selected tone is more formal than the tone the engine recommends for this situation.",
+    "control.detail.below": "The selected detail level is shorter than the level the engine recommends for this situation.",
+    "control.detail.above": "The selected detail level is longer than the level the engine recommends for this situation.",
+    "control.direction.below": "The selected direction stays more engaged than the direction the engine suggests for this situation.",
+    "control.direction.above": "The selected direction steps back further than the direction the engine suggests for this situation.",
+    "control.elevated.record_safe": "This situation was marked as one where messages may be kept as a record and read later by others.",
+    "control.elevated.high_risk": "This situation was rated high risk.",
+    "control.floor.below": "It is below the minimum set for situations like this.",
+    "control.floor.enforced": "The minimum set for situations like this was used instead.",
+    "control.tone.engine": "The tone the engine recommends is below the minimum set for situations like this.",
+    "control.detail.engine": "The detail level the engine recommends is below the minimum set for situations like this.",
+    "control.direction.engine": "The direction the engine suggests is below the minimum set for situations like this.",
+    "error.BAD_REQUEST": "The request could not be read. Please try again.",
+    "error.BODY_TOO_LARGE": "The request is too large. Please shorten your input.",
+    "error.MISSING_PACKAGE": "Please choose a package before generating.",
+    "error.UNKNOWN_PACKAGE": "The selected package is not available.",
+    "error.MISSING_FACTS": "Please describe what happened in a little more detail.",
+    "error.INVALID_INPUT": "Some fields need attention. Please check your input and try again.",
+    "error.RATE_LIMITED": "Too many requests. Please wait a moment and try again.",
+    "error.ENTITLEMENT_REQUIRED": "A valid purchase is required to generate this draft.",
+    "error.ENTITLEMENT_MISMATCH": "Your purchase does not include this option.",
+    "error.GENERATION_TIMEOUT": "Generating the draft took too long. Please try again.",
+    "error.GENERATION_FAILED": "We could not generate a draft right now. Please try again.",
+    "error.OUTPUT_SCHEMA_VIOLATION": "We could not generate a usable draft. Please try again.",
+    "error.INSIGHT_TIMEOUT": "Generating the insight took too long. Please try again.",
+    "error.INSIGHT_FAILED": "We could not generate the insight right now. Please try again.",
+    "error.MISSING_RETRY_TOKEN": "The insight retry link is missing. Please generate again.",
+    "error.INSIGHT_RETRY_NOT_FOUND": "This insight retry has expired. Please generate again.",
+    "error.INSIGHT_RETRY_EXHAUSTED": "The insight could not be generated after several tries. Please generate again later.",
+    "error.INTERNAL": "Something went wrong on our side. Please try again later."
+  },
+  ko: {
+    "insight.fallback_title": "전략 인사이트",
+    "export.title": "커뮤니케이션 초안",
+    "export.generated": "생성 일시",
+    "export.message": "메시지",
+    "export.email": "이메일",
+    "export.details": "세부 정보",
+    "export.risk_level": "위험 수준",
+    "export.tone": "어조",
+    "export.ruleset": "규칙 버전",
+    "export.record_copy": "기록 보관용 사본",
+    "export.record_note": "기록 보관용으로 작성되었습니다. 내용을 수정하지 말고 보관하세요.",
+    "export.record_date": "기록 일자",
+    "export.reference": "문서 번호",
+    "export.page": "페이지",
+    "export.disclaimer_default": "이 문서는 커뮤니케이션 초안이며 법률 또는 전문 자문이 아닙니다.",
+    "control.tone.below": "선택한 어조는 이 상황에 대해 엔진이 권장하는 어조보다 덜 격식 있습니다.",
+    "control.tone.above": "선택한 어조는 이 상황에 대해 엔진이 권장하는 어조보다 더 격식 있습니다.",
+    "control.detail.below": "선택한 상세 수준은 이 상황에 대해 엔진이 권장하는 수준보다 간략합니다.",
+    "control.detail.above": "선택한 상세 수준은 이 상황에 대해 엔진이 권장하는 수준보다 자세합니다.",
+    "control.direction.below": "선택한 방향은 이 상황에 대해 엔진이 제안하는 방향보다 관계를 더 이어 가는 쪽입니다.",
+    "control.direction.above": "선택한 방향은 이 상황에 대해 엔진이 제안하는 방향보다 더 거리를 두는 쪽입니다.",
+    "control.elevated.record_safe": "이 상황은 메시지가 기록으로 남아 나중에 다른 사람이 읽을 수 있는 경우로 표시되었습니다.",
+    "control.elevated.high_risk": "이 상황은 위험 수준이 높음으로 평가되었습니다.",
+    "control.floor.below": "이런 상황에 설정된 최소 기준보다 낮습니다.",
+    "control.floor.enforced": "대신 이런 상황에 설정된 최소 기준이 적용되었습니다.",
+    "control.tone.engine": "엔진이 권장하는 어조가 이런 상황에 설정된 최소 기준보다 낮습니다.",
+    "control.detail.engine": "엔진이 권장하는 상세 수준이 이런 상황에 설정된 최소 기준보다 낮습니다.",
+    "control.direction.engine": "엔진이 제안하는 방향이 이런 상황에 설정된 최소 기준보다 낮습니다.",
+    "error.BAD_REQUEST": "요청을 읽을 수 없습니다. 다시 시도해 주세요.",
+    "error.BODY_TOO_LARGE": "요청이 너무 큽니다. 입력 내용을 줄여 주세요.",
+    "error.MISSING_PACKAGE": "생성하기 전에 패키지를 선택해 주세요.",
+    "error.UNKNOWN_PACKAGE": "선택한 패키지를 사용할 수 없습니다.",
+    "error.MISSING_FACTS": "어떤 일이 있었는지 조금 더 자세히 적어 주세요.",
+    "error.INVALID_INPUT": "확인이 필요한 항목이 있습니다. 입력 내용을 확인한 뒤 다시 시도해 주세요.",
+    "error.RATE_LIMITED": "요청이 너무 많습니다. 잠시 후 다시 시도해 주세요.",
+    "error.ENTITLEMENT_REQUIRED": "이 초안을 생성하려면 유효한 구매 내역이 필요합니다.",
+    "error.ENTITLEMENT_MISMATCH": "구매하신 상품에 이 옵션이 포함되어 있지 않습니다.",
+    "error.GENERATION_TIMEOUT": "초안 생성 시간이 초과되었습니다. 다시 시도해 주세요.",
+    "error.GENERATION_FAILED": "지금은 초안을 생성할 수 없습니다. 다시 시도해 주세요.",
+    "error.OUTPUT_SCHEMA_VIOLATION": "사용 가능한 초안을 만들지 못했습니다. 다시 시도해 주세요.",
+    "error.INSIGHT_TIMEOUT": "인사이트 생성 시간이 초과되었습니다. 다시 시도해 주세요.",
+    "error.INSIGHT_FAILED": "지금은 인사이트를 생성할 수 없습니다. 다시 시도해 주세요.",
+    "error.MISSING_RETRY_TOKEN": "인사이트 재시도 정보가 없습니다. 다시 생성해 주세요.",
+    "error.INSIGHT_RETRY_NOT_FOUND": "인사이트 재시도 기한이 만료되었습니다. 다시 생성해 주세요.",
+    "error.INSIGHT_RETRY_EXHAUSTED": "여러 번 시도했지만 인사이트를 생성하지 못했습니다. 잠시 후 다시 생성해 주세요.",
+    "error.INTERNAL": "일시적인 오류가 발생했습니다. 잠시 후 다시 시도해 주세요."
+  },
+  ja: {
+    "insight.fallback_title": "戦略インサイト",
+    "export.title": "コミュニケーション下書き",
+    "export.generated": "生成日時",
+    "export.message": "メッセージ",
+    "export.email": "メール",
+    "export.details": "詳細",
+    "export.risk_level": "リスクレベル",
+    "export.tone": "トーン",
+    "export.ruleset": "ルールセット",
+    "export.record_copy": "記録保管用コピー",
+    "export.record_note": "記録保管用に作成されました。内容を変更せずに保管してください。",
+    "export.record_date": "記録日",
+    "export.reference": "参照番号",
+    "export.page": "ページ",
+    "export.disclaimer_default": "この文書はコミュニケーションの下書きであり、法的または専門的な助言ではありません。",
+    "control.tone.below": "選択したトーンは、この状況でエンジンが推奨するトーンよりもくだけています。",
+    "control.tone.above": "選択したトーンは、この状況でエンジンが推奨するトーンよりも改まっています。",
+    "control.detail.below": "選択した詳細レベルは、この状況でエンジンが推奨するレベルよりも簡潔です。",
+    "control.detail.above": "選択した詳細レベルは、この状況でエンジンが推奨するレベルよりも詳しくなっています。",
+    "control.direction.below": "選択した方向性は、この状況でエンジンが提案する方向性よりも関わりを続けるものです。",
+    "control.direction.above": "選択した方向性は、この状況でエンジンが提案する方向性よりも距離を置くものです。",
+    "control.elevated.record_safe": "この状況は、メッセージが記録として残り、後で第三者に読まれる可能性があるものとして示されています。",
+    "control.elevated.high_risk": "この状況はリスクが高いと評価されています。",
+    "control.floor.below": "この種の状況に設定された最低基準を下回っています。",
+    "control.floor.enforced": "代わりに、この種の状況に設定された最低基準が適用されました。",
+    "control.tone.engine": "エンジンが推奨するトーンは、この種の状況に設定された最低基準を下回っています。",
+    "control.detail.engine": "エンジンが推奨する詳しさは、この種の状況に設定された最低基準を下回っています。",
+    "control.direction.engine": "エンジンが提案する方向性は、この種の状況に設定された最低基準を下回っています。",
+    "error.BAD_REQUEST": "リクエストを読み取れませんでした。もう一度お試しください。",
+    "error.BODY_TOO_LARGE": "リクエストが大きすぎます。入力内容を短くしてください。",
+    "error.MISSING_PACKAGE": "生成する前にパッケージを選択してください。",
+    "error.UNKNOWN_PACKAGE": "選択されたパッケージは利用できません。",
+    "error.MISSING_FACTS": "何があったのか、もう少し詳しく入力してください。",
+    "error.INVALID_INPUT": "確認が必要な項目があります。入力内容をご確認のうえ、もう一度お試しください。",
+    "error.RATE_LIMITED": "リクエストが多すぎます。しばらくしてからもう一度お試しください。",
+    "error.ENTITLEMENT_REQUIRED": "この下書きを生成するには有効な購入が必要です。",
+    "error.ENTITLEMENT_MISMATCH": "ご購入の内容にこのオプションは含まれていません。",
+    "error.GENERATION_TIMEOUT": "下書きの生成に時間がかかりすぎました。もう一度お試しください。",
+    "error.GENERATION_FAILED": "現在、下書きを生成できません。もう一度お試しください。",
+    "error.OUTPUT_SCHEMA_VIOLATION": "利用できる下書きを生成できませんでした。もう一度お試しください。",
+    "error.INSIGHT_TIMEOUT": "インサイトの生成に時間がかかりすぎました。もう一度お試しください。",
+    "error.INSIGHT_FAILED": "現在、インサイトを生成できません。もう一度お試しください。",
+    "error.MISSING_RETRY_TOKEN": "インサイトの再試行情報がありません。もう一度生成してください。",
+    "error.INSIGHT_RETRY_NOT_FOUND": "インサイトの再試行期限が切れました。もう一度生成してください。",
+    "error.INSIGHT_RETRY_EXHAUSTED": "何度か試しましたが、インサイトを生成できませんでした。しばらくしてからもう一度生成してください。",
+    "error.INTERNAL": "一時的なエラーが発生しました。しばらくしてからもう一度お試しください。"
+  }
+};
+
+/**
+ * "ko-KR" / "ja_JP" / "EN" -> "ko" / "ja" / "en"; null when absent, malformed or unsupported
+ */
+function normalizeLocale(value) {
+  if (typeof value !== "string") return null;
+  const m = /^([A-Za-z]{2,3})(?:[-_][A-Za-z0-9]{2,8})*$/.exec(value.trim());
+  if (!m) return null;
+  const lang = m[1].toLowerCase();
+  return SUPPORTED_LOCALES.includes(lang) ? lang : null;
+}
+
+// First supported language in Accept-Language (q-values honored); used for error messages only
+function localeFromAcceptLanguage(req) {
+  const header = String(req.headers?.["accept-language"] || "");
+  const tags = header.split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1, i };
+    })
+    .filter(t => t.tag && t.q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.i - b.i));
+  for (const t of tags) {
+    const l = normalizeLocale(t.tag);
+    if (l) return l;
+  }
+  return null;
+}
+
+function t(locale, key) {
+  return MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? null;
+}
+
+/**
+ * Adds a localized `user_message` to an error body (machine `error` / `message` are untouched).
+ * 5xx codes without a dedicated string get the generic INTERNAL message.
+ */
+function localizeError(errBody, locale, status = 500) {
+  const specific = t(locale, `error.${errBody?.error}`);
+  const user_message = specific || (status >= 500 ? t(locale, "error.INTERNAL") : null);
+  return user_message ? { ...errBody, user_message } : errBody;
+}
+
+function formalityHints(locale, tone) {
+  const table = FORMALITY[locale] || FORMALITY[DEFAULT_LOCALE];
+  return table[tone] || table.neutral;
+}
+
+/**
+ * LLM-facing locale block (omitted for English so default payloads stay unchanged)
+ */
+function localeContext(locale, tone) {
+  if (!locale || locale === DEFAULT_LOCALE) return null;
+  return { code: locale, language: LANGUAGE_NAMES[locale], formality: formalityHints(locale, tone) };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  LANGUAGE_NAMES,
+  normalizeLocale,
+  localeFromAcceptLanguage,
+  localizeError,
+  localeContext,
+  t
+};
@@ -0,0 +1,111 @@
+// api/engine/migrateInput.js
+// V2 -> V3 engine input migration (path to deleting the V2 branches in normalizeFlags)
+// - Converts legacy fields into canonical V3: continuity / happened_before / leverage_flag / exposure[]
+// - Reports every legacy field it consumed as a deprecation, flagging the lossy ones
+// - Output computes to exactly the same decisions as the legacy input (normalizeFlags semantics)
+//
+// Deprecation shape: { field, value, replacement, lossy, note }
+//   replacement = V3 field (+ value) it now feeds, or null when the value was dropped / overridden
+
+function normToken(v) {
+  return (typeof v === "string" && v.trim()) ? v.trim().toLowerCase() : null;
+}
+
+function normTokens(arr) {
+  return (Array.isArray(arr) ? arr : []).map(normToken).filter(Boolean);
+}
+
+const V2_CONTINUITY = { high: "ongoing", mid: "short_term", low: "one_time" };
+const V3_CONTINUITY = ["one_time", "short_term", "ongoing"];
+
+// main_concerns token -> where it lives in V3
+const CONCERN_MAP = {
+  repeat:             { replacement: "happened_before=true", lossy: false },
+  document:           { replacement: "exposure:documentation_sensitivity", lossy: false },
+  reputation:         { replacement: "exposure:reputation_impact", lossy: false },
+  impact_work:        { replacement: "exposure:reputation_impact", lossy: true, note: "proxy: work impact treated as reputation impact" },
+  leverage:           { replacement: "leverage_flag=true", lossy: false },
+  they_have_leverage: { replacement: "leverage_flag=true", lossy: false }
+};
+
+function deprecation(field, value, replacement, lossy, note = null) {
+  return { field, value, replacement, lossy, ...(note ? { note } : {}) };
+}
+
+/**
+ * migrateInputToV3(input) where input = toEngineInput(payload) (V2, V3 or mixed)
+ * -> { input: canonical V3 engine input, deprecations: Deprecation[] }
+ * Canonical input has no risk_scan / main_concerns; situation_type and constraints pass through.
+ */
+function migrateInputToV3(input) {
+  const src = input || {};
+  const deprecations = [];
+
+  const impact = normToken(src.risk_scan?.impact);
+  const contV2 = normToken(src.risk_scan?.continuity);
+  const concerns = [...new Set(normTokens(src.main_concerns))];
+
+  // continuity: V3 wins; otherwise map the high/mid/low intensity scale onto duration buckets
+  const contV3 = normToken(src.continuity);
+  let continuity = V3_CONTINUITY.includes(contV3) ? contV3 : null;
+  if (contV2) {
+    if (continuity) {
+      deprecations.push(deprecation("risk_scan.continuity", contV2, null, false, "ignored: continuity is set"));
+    } else if (V2_CONTINUITY[contV2]) {
+      continuity = V2_CONTINUITY[contV2];
+      deprecations.push(deprecation("risk_scan.continuity", contV2, `continuity=${continuity}`, true,
+        "high/mid/low intensity mapped to ongoing/short_term/one_time"));
+    }
+  }
+
+  let happened_before = (typeof src.happened_before === "boolean") ? src.happened_before : null;
+  let leverage_flag = (typeof src.leverage_flag === "boolean") ? src.leverage_flag : null;
+  const exposure = new Set(normTokens(src.exposure));
+
+  for (const c of concerns) {
+    const m = CONCERN_MAP[c];
+    if (!m) continue;
+    const field = `main_concerns:${c}`;
+
+    if (c === "repeat") {
+      if (happened_before !== null) {
+        deprecations.push(deprecation(field, c, null, false, "ignored: happened_before is set"));
+        continue;
+      }
+      happened_before = true;
+    } else if (c === "leverage" || c === "they_have_leverage") {
+      if (leverage_flag !== null) {
+        deprecations.push(deprecation(field, c, null, false, "ignored: leverage_flag is set"));
+        continue;
+      }
+      leverage_flag = true;
+    } else {
+      // exposure is additive in the engine (V3 keys OR V2 concerns), so these are never overridden
+      exposure.add(m.replacement.split(":")[1]);
+    }
+    deprecations.push(deprecation(field, c, m.replacement, m.lossy, m.note));
+  }
+
+  if (impact === "high") {
+    exposure.add("emotional_fallout");
+    deprecations.push(deprecation("risk_scan.impact", impact, "exposure:emotional_fallout", true,
+      "proxy: high impact treated as emotional fallout"));
+  } else if (impact) {
+    deprecations.push(deprecation("risk_scan.impact", impact, null, true, "dropped: no V3 equivalent"));
+  }
+
+  return {
+    input: {
+      situation_type: src.situation_type ?? null,
+      constraints: Array.isArray(src.constraints) ? src.constraints : [],
+      continuity,
+      happened_before,
+      leverage_flag,
+      // keep "absent" distinguishable from "explicitly none" for V3-native callers
+      exposure: (exposure.size || Array.isArray(src.exposure)) ? [...exposure] : null
+    },
+    deprecations
+  };
+}
+
+module.exports = { migrateInputToV3 };
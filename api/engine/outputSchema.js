@@ -0,0 +1,133 @@
+// api/engine/outputSchema.js
+// Per-package output schemas for model JSON (message / email / bundle / insight)
+// - Small declarative validator (no deps) returning field-level errors
+// - Errors are { path, code, message } so they can be echoed to the model for repair
+//   and returned to clients as OUTPUT_SCHEMA_VIOLATION details
+
+const MAX_DRAFT_CHARS = 12_000;
+
+const draftText = { type: "string", minLength: 1, maxLength: MAX_DRAFT_CHARS };
+
+const SCHEMAS = {
+  message: {
+    type: "object",
+    properties: { message_text: draftText },
+    required: ["message_text"]
+  },
+
+  email: {
+    type: "object",
+    properties: { email_text: draftText },
+    required: ["email_text"]
+  },
+
+  bundle: {
+    type: "object",
+    properties: {
+      bundle_message_text: draftText,
+      message_text: draftText,
+      email_text: draftText
+    },
+    required: ["email_text"],
+    // prompts emit bundle_message_text; message_text accepted for older prompt versions
+    requiredOneOf: [["bundle_message_text", "message_text"]]
+  },
+
+  insight: {
+    type: "object",
+    properties: {
+      insight_title: { type: "string", minLength: 1, maxLength: 200 },
+      insight_sections: {
+        type: "array",
+        maxItems: 12,
+        items: {
+          type: "object",
+          properties: {
+            heading: { type: "string" },
+            body: { type: "string" },
+            bullets: { type: "array", items: { type: "string" } }
+          }
+        }
+      },
+      disclaimer_line: { type: "string", minLength: 1 }
+    },
+    required: ["insight_title", "insight_sections", "disclaimer_line"]
+  }
+};
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function check(schema, value, path, errors) {
+  const t = typeOf(value);
+
+  if (schema.type && t !== schema.type) {
+    errors.push({ path, code: "type", message: `expected ${schema.type}, got ${t}` });
+    return;
+  }
+
+  if (t === "string") {
+    if (Number.isFinite(schema.minLength) && value.trim().length < schema.minLength) {
+      errors.push({ path, code: "too_short", message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} chars` });
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push({ path, code: "too_long", message: `must be at most ${schema.maxLength} chars` });
+    }
+  }
+
+  if (t === "array") {
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push({ path, code: "too_many_items", message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (t === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: `${path}.${key}`, code: "required", message: "is required" });
+      }
+    }
+    for (const group of schema.requiredOneOf || []) {
+      if (!group.some(k => value[k] !== undefined && value[k] !== null)) {
+        errors.push({ path: `${path}.${group[0]}`, code: "required", message: `one of ${group.join(" | ")} is required` });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      check(sub, value[key], `${path}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * validateOutput("message", obj) -> { ok: boolean, errors: [{ path, code, message }] }
+ * Paths are JSON-path-ish: "$.message_text", "$.insight_sections[0].heading".
+ */
+function validateOutput(kind, obj) {
+  const schema = SCHEMAS[kind];
+  if (!schema) throw new Error(`OUTPUT_SCHEMA_UNKNOWN ${kind}`);
+
+  const errors = [];
+  check(schema, obj, "$", errors);
+  return { ok: errors.length === 0, errors };
+}
+
+function notJsonError() {
+  return { path: "$", code: "invalid_json", message: "output was not a valid JSON object" };
+}
+
+// Human/model-readable list used in the repair round-trip
+function formatErrorsForRepair(errors) {
+  return errors.map(e => `- ${e.path}: ${e.message} (${e.code})`).join("\n");
+}
+
+module.exports = {
+  SCHEMAS,
+  validateOutput,
+  notJsonError,
+  formatErrorsForRepair
+};
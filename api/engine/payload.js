@@ -0,0 +1,113 @@
+// api/engine/payload.js
+// UI state -> normalized generate payload -> engine input
+// Shared by /api/generate and /api/engine/explain so both see exactly the same mapping
+
+// Picks raw values from the UI state without coercion (validation sees exactly what the client sent)
+function pickRawPayload(state) {
+  const s = state || {};
+
+  // UI sends: { state: payloadState } where payloadState has context/paywall + tone/detail/direction top-level
+  const paywall = s?.context?.paywall || s?.paywall || {};
+  const pkg = paywall.package || null;
+
+  const ctx = s?.context || {};
+  const risk_scan = ctx.risk_scan || s?.risk_scan || {};
+  const situation_type = ctx.situation_type || (s?.context_builder?.situation_type) || null;
+
+  const key_facts = ctx.key_facts || (s?.context_builder?.key_facts) || "";
+  const main_concerns = ctx.main_concerns || (s?.context_builder?.main_concerns) || [];
+  const constraints = ctx.constraints || (s?.context_builder?.constraints) || [];
+
+  // ✅ v3-native (optional but preferred when present)
+  const continuity = ctx.continuity ?? s?.continuity ?? null;                // one_time|short_term|ongoing
+  const happened_before = ctx.happened_before ?? s?.happened_before ?? null; // boolean|null
+  const exposure = ctx.exposure ?? s?.exposure ?? null;                      // array|null
+  const leverage_flag = ctx.leverage_flag ?? s?.leverage_flag ?? null;       // optional boolean
+
+  const user_intent = s?.intent?.value || s?.intent || null;
+  const user_tone = s?.user_tone?.value || s?.user_tone || s?.user_tone_hint || null;
+  const user_depth = ctx.depth || s?.depth || null;
+
+  // UI uses addon_insight; legacy uses include_analysis
+  const include_analysis = !!(paywall.addon_insight ?? paywall.include_analysis);
+
+  // Follow-up mode: prior sent draft + counterpart reply (+ earlier engine decisions)
+  const conversation = s?.conversation ?? ctx.conversation ?? null;
+
+  // Draft / insight language (BCP 47 tag, e.g. "ko-KR"); engine input is language-agnostic
+  const locale = s?.locale ?? ctx.locale ?? null;
+
+  return {
+    package: pkg, // message|email|bundle
+    include_analysis,
+    conversation,
+    locale,
+    input: {
+      situation_type,
+      risk_scan: {
+        impact: risk_scan.impact || null,
+        continuity: risk_scan.continuity || null // high|mid|low (legacy) OR null
+      },
+      continuity,
+      happened_before,
+      exposure,
+      leverage_flag,
+
+      key_facts,
+      main_concerns,
+      constraints,
+      user_intent,
+      user_tone,
+      user_depth,
+
+      // ✅ top-level controls from UI (authoritative when present)
+      tone: s?.tone?.value || s?.tone || null,
+      detail: s?.detail?.value || s?.detail || null,
+      direction: s?.direction?.value || s?.direction || null
+    }
+  };
+}
+
+// Type coercions the engine / prompts rely on (runs after validation in /api/generate)
+function coercePayload(raw) {
+  const inp = raw?.input || {};
+  return {
+    package: raw?.package || null,
+    include_analysis: !!raw?.include_analysis,
+    conversation: raw?.conversation || null,
+    locale: raw?.locale || null,
+    input: {
+      ...inp,
+      // ✅ v3-native passthrough
+      exposure: Array.isArray(inp.exposure) ? inp.exposure : (inp.exposure == null ? null : []),
+      leverage_flag: (typeof inp.leverage_flag === "boolean") ? inp.leverage_flag : null,
+
+      key_facts: String(inp.key_facts || ""),
+      main_concerns: Array.isArray(inp.main_concerns) ? inp.main_concerns : [],
+      constraints: Array.isArray(inp.constraints) ? inp.constraints : []
+    }
+  };
+}
+
+function buildPayload(state) {
+  return coercePayload(pickRawPayload(state));
+}
+
+// The subset of payload.input the deterministic engine reads
+function toEngineInput(payload) {
+  const inp = payload?.input || {};
+  return {
+    risk_scan: inp.risk_scan,
+    situation_type: inp.situation_type,
+    main_concerns: inp.main_concerns,
+    constraints: inp.constraints,
+
+    // ✅ v3-native pass-through
+    continuity: inp.continuity,
+    happened_before: inp.happened_before,
+    exposure: inp.exposure,
+    leverage_flag: inp.leverage_flag
+  };
+}
+
+module.exports = { pickRawPayload, coercePayload, buildPayload, toEngineInput };
@@ -0,0 +1,280 @@
+// api/engine/pii.js
+// PII redaction for free text that is sent to the model (key_facts, constraints, intent / tone hints,
+// follow-up conversation turns)
+// - Detected values are replaced with stable placeholders ([PERSON_1], [EMAIL_1], ...): the same value
+//   always gets the same placeholder within one request, across all redacted fields
+// - A bare first name of a detected full name gets its own alias placeholder ([PERSON_1_FIRST] for "Dana"
+//   of "Dana Kim"), so the model can tell it is the same person and "Hi Dana" restores as written
+// - restorePii() puts the original values back into model output (drafts / insight); the vault never
+//   leaves the server
+// - Runs after input validation, so the minimum-facts gate always sees the user's own text
+// Catalog is data, not code: extend via PII_PATTERNS_JSON, exempt terms via PII_ALLOWLIST.
+//
+// PII_REDACTION = off | basic | standard (default) | strict
+// - basic:    emails, URLs, phone numbers, card numbers (Luhn), IBANs, national id formats
+// - standard: + people (title / relationship / greeting cues), companies (legal suffix / "work at" cues), street addresses
+// - strict:   + any multi-word capitalized name, any long digit run
+// PII_PATTERNS_JSON: [{ "type": "EMPLOYEE_ID", "pattern": "EMP-\\d{4,}" }, { "type": "ORG", "terms": ["Acme"] }]
+// PII_ALLOWLIST: comma-separated terms that are never redacted (e.g. your own product name)
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+const PII_LEVELS = ["off", "basic", "standard", "strict"];
+const DEFAULT_LEVEL = "standard";
+
+const NAME = "[A-Z][a-z'’-]+";
+const RELATIONS = [
+  "manager", "boss", "supervisor", "coworker", "co-worker", "colleague", "teammate", "lead", "director", "landlord",
+  "landlady", "tenant", "neighbou?r", "roommate", "flatmate", "friend", "partner", "husband", "wife", "ex", "sister",
+  "brother", "mother", "father", "mom", "mum", "dad", "son", "daughter", "client", "customer", "teacher", "coach"
+].join("|");
+
+// Words that start capitalized runs without being names (strict level)
+const NOT_NAMES = new Set([
+  "I", "The", "A", "An", "My", "Our", "His", "Her", "Their", "We", "He", "She", "They", "It", "This", "That",
+  "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday",
+  "January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"
+]);
+
+// level: lowest level that enables the rule; group: capture group holding the value (default: whole match)
+const DEFAULT_CATALOG = [
+  { id: "email", type: "EMAIL", level: "basic",
+    pattern: "\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b" },
+  { id: "url", type: "URL", level: "basic",
+    pattern: "\\bhttps?:\\/\\/[^\\s<>\"')\\]]+" },
+  { id: "iban", type: "IBAN", level: "basic", flags: "g",
+    pattern: "\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\\b" },
+  { id: "card", type: "CARD", level: "basic", check: "luhn",
+    pattern: "\\b\\d(?:[ -]?\\d){12,18}\\b" },
+  { id: "id.us_ssn", type: "ID_NUMBER", level: "basic",
+    pattern: "\\b\\d{3}-\\d{2}-\\d{4}\\b" },
+  { id: "id.kr_rrn", type: "ID_NUMBER", level: "basic",
+    pattern: "\\b\\d{6}-[1-8]\\d{6}\\b" },
+  { id: "phone", type: "PHONE", level: "basic", check: "phone",
+    pattern: "(?<![\\w+])\\+?(?:\\(\\d{1,4}\\)|\\d{1,4})(?:[ .-]?(?:\\(\\d{1,4}\\)|\\d{2,4})){2,4}(?!\\w)" },
+
+  { id: "person.title", type: "PERSON", level: "standard", flags: "g",
+    pattern: `\\b(?:Mr|Mrs|Ms|Mx|Miss|Dr|Prof)\\.? ${NAME}(?: ${NAME})?` },
+  { id: "person.relation", type: "PERSON", level: "standard", flags: "g", group: 1,
+    pattern: `\\b(?:[Mm]y|[Oo]ur|[Hh]is|[Hh]er|[Tt]heir) (?:${RELATIONS}),? (${NAME}(?: ${NAME})?)` },
+  { id: "person.named", type: "PERSON", level: "standard", flags: "g", group: 1,
+    pattern: `\\b(?:named|called) (${NAME}(?: ${NAME})?)` },
+  { id: "person.greeting", type: "PERSON", level: "standard", flags: "g", group: 1,
+    pattern: `\\b(?:Hi|Hello|Hey|Dear) (${NAME}(?: ${NAME})?)` },
+  { id: "org.suffix", type: "ORG", level: "standard", flags: "g",
+    pattern: "\\b(?:[A-Z][A-Za-z0-9&'-]* ){1,3}(?:Inc|LLC|Ltd|Corp|Corporation|GmbH|PLC|AG|Co|Company|Group|Holdings)\\b" },
+  { id: "org.workplace", type: "ORG", level: "standard", flags: "g", group: 1,
+    pattern: "\\b(?:work(?:s|ed|ing)? (?:at|for)|employed (?:at|by)|job at) ([A-Z][A-Za-z0-9&'-]+(?: [A-Z][A-Za-z0-9&'-]+){0,2})" },
+  { id: "address.street", type: "ADDRESS", level: "standard", flags: "g",
+    pattern: "\\b\\d{1,5} (?:[A-Z][a-z]+ ){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\\b" },
+
+  // Not at the start of a sentence, where any word is capitalized
+  { id: "name.capitalized", type: "PERSON", level: "strict", flags: "g", check: "name_run",
+    pattern: `(?<!(?:^|[.!?:\\n])\\s*)\\b${NAME}(?: ${NAME})+` },
+  { id: "number.long", type: "ID_NUMBER", level: "strict",
+    pattern: "\\b\\d{6,}\\b" }
+];
+
+const CHECKS = {
+  luhn(value) {
+    const digits = value.replace(/\D/g, "");
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  },
+  // 9..15 digits, and not a date like 2024-03-15
+  phone(value) {
+    const n = value.replace(/\D/g, "").length;
+    return n >= 9 && n <= 15 && !/^\d{4}[-.]\d{1,2}[-.]\d{1,2}$/.test(value);
+  },
+  name_run(value) {
+    return !NOT_NAMES.has(value.split(" ")[0]);
+  }
+};
+
+function resolveLevel(value = env("PII_REDACTION", DEFAULT_LEVEL)) {
+  const level = String(value).toLowerCase();
+  if (!PII_LEVELS.includes(level)) throw new Error("PII_REDACTION invalid");
+  return level;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function loadCatalog(level) {
+  const rank = PII_LEVELS.indexOf(level);
+  const rules = DEFAULT_CATALOG.filter(r => PII_LEVELS.indexOf(r.level) <= rank);
+
+  // Custom rules apply at every level except off
+  const extra = env("PII_PATTERNS_JSON");
+  if (extra) {
+    let parsed = null;
+    try { parsed = JSON.parse(extra); } catch { parsed = null; }
+    if (!Array.isArray(parsed)) throw new Error("PII_PATTERNS_JSON invalid");
+    parsed.forEach((r, i) => {
+      const type = String(r?.type || "");
+      if (!/^[A-Z][A-Z_]*$/.test(type)) throw new Error(`PII_PATTERNS_JSON invalid: entry ${i} needs an UPPER_CASE type`);
+      if (Array.isArray(r.terms) && r.terms.length) {
+        const terms = r.terms.map(x => String(x).trim()).filter(Boolean).sort((a, b) => b.length - a.length);
+        rules.push({ id: `custom.${i}`, type, flags: r.flags || "gi", pattern: `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])` });
+      } else if (typeof r.pattern === "string" && r.pattern) {
+        rules.push({ id: `custom.${i}`, type, flags: r.flags, pattern: r.pattern });
+      } else {
+        throw new Error(`PII_PATTERNS_JSON invalid: entry ${i} needs a pattern or terms`);
+      }
+    });
+  }
+
+  return rules.map(r => {
+    let flags = r.flags || "gi";
+    if (!flags.includes("g")) flags += "g";
+    if (!flags.includes("u") && /\\p\{/.test(r.pattern)) flags += "u";
+    try {
+      return { ...r, re: new RegExp(r.pattern, flags) };
+    } catch {
+      throw new Error(`PII_PATTERNS_JSON invalid: bad pattern for ${r.id}`);
+    }
+  });
+}
+
+function loadAllowlist() {
+  return new Set(String(env("PII_ALLOWLIST", "")).split(",").map(s => s.trim().toLowerCase()).filter(Boolean));
+}
+
+// All rule matches in one text -> [{ type, value }] (overlaps: earlier start wins, then the longer match)
+function detect(text, rules) {
+  const spans = [];
+  for (const r of rules) {
+    r.re.lastIndex = 0;
+    let m;
+    while ((m = r.re.exec(text)) !== null) {
+      if (m[0] === "") {
+        r.re.lastIndex++;
+        continue;
+      }
+      const value = r.group ? m[r.group] : m[0];
+      if (!value) continue;
+      if (r.check && !CHECKS[r.check](value)) continue;
+      const start = m.index + (r.group ? m[0].lastIndexOf(value) : 0);
+      spans.push({ type: r.type, value, start, end: start + value.length });
+    }
+  }
+  spans.sort((a, b) => (a.start - b.start) || (b.end - a.end));
+
+  const kept = [];
+  let until = -1;
+  for (const s of spans) {
+    if (s.start < until) continue;
+    kept.push(s);
+    until = s.end;
+  }
+  return kept;
+}
+
+// A field is a string or an array of strings (constraints)
+function fieldStrings(value) {
+  if (typeof value === "string") return value ? [value] : [];
+  return Array.isArray(value) ? value.filter(v => typeof v === "string" && v) : [];
+}
+
+/**
+ * redactPii({ key_facts, constraints, previous_draft, ... }, { level }) -> { texts, vault, summary }
+ * - texts:   same keys, strings / string arrays with placeholders (anything else passed through)
+ * - vault:   Map placeholder -> original value (server-side only, for restorePii)
+ * - summary: { level, redacted: { PERSON: 2, EMAIL: 1 } } (counts only, safe to return / log)
+ */
+function redactPii(fields, { level = resolveLevel() } = {}) {
+  const vault = new Map();
+  const summary = { level, redacted: {} };
+  if (level === "off") return { texts: { ...fields }, vault, summary };
+
+  const rules = loadCatalog(level);
+  const allow = loadAllowlist();
+
+  // Pass 1: collect values in order of first appearance (across fields) and assign placeholders
+  const byValue = new Map(); // value -> placeholder
+  const counters = {};
+  const assign = (type, value) => {
+    if (byValue.has(value) || allow.has(value.toLowerCase())) return;
+    counters[type] = (counters[type] || 0) + 1;
+    const placeholder = `[${type}_${counters[type]}]`;
+    byValue.set(value, placeholder);
+    vault.set(placeholder, value);
+  };
+  for (const text of Object.values(fields).flatMap(fieldStrings)) {
+    for (const s of detect(text, rules)) {
+      assign(s.type, s.value);
+      // "Dana Kim" detected once -> a later bare "Dana" is the same person, under its own alias placeholder
+      const full = byValue.get(s.value);
+      if (s.type === "PERSON" && full) {
+        const first = s.value.replace(/^(?:Mr|Mrs|Ms|Mx|Miss|Dr|Prof)\.? /, "").split(" ")[0];
+        if (first !== s.value && first.length >= 3 && !NOT_NAMES.has(first) && !byValue.has(first) && !allow.has(first.toLowerCase())) {
+          const alias = full.replace(/\]$/, "_FIRST]");
+          byValue.set(first, alias);
+          vault.set(alias, first);
+        }
+      }
+    }
+  }
+  summary.redacted = counters;
+  if (!byValue.size) return { texts: { ...fields }, vault, summary };
+
+  // Pass 2: replace every occurrence (not just the cue'd one), longest values first
+  const values = [...byValue.keys()].sort((a, b) => b.length - a.length);
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${values.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "gu");
+  const texts = {};
+  const replace = (text) => text.replace(re, v => byValue.get(v));
+  for (const [k, value] of Object.entries(fields)) {
+    if (typeof value === "string") texts[k] = replace(value);
+    else if (Array.isArray(value)) texts[k] = value.map(v => typeof v === "string" ? replace(v) : v);
+    else texts[k] = value;
+  }
+  return { texts, vault, summary };
+}
+
+const PLACEHOLDER_RE = /\[([A-Z][A-Z_]*_\d+(?:_FIRST)?)\]/g;
+
+/**
+ * Puts original values back into every string of `value` (string / array / object, deep copy).
+ * Unknown placeholders are left as-is.
+ */
+function restorePii(value, vault) {
+  if (!vault || !vault.size) return value;
+  if (typeof value === "string") return value.replace(PLACEHOLDER_RE, m => vault.get(m) ?? m);
+  if (Array.isArray(value)) return value.map(v => restorePii(v, vault));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = restorePii(v, vault);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Streaming variant: restores a partial text and holds back a trailing, still-incomplete placeholder
+ * ("... Hi [PERS") so a delta never shows half a token.
+ */
+function restorePiiPartial(text, vault) {
+  if (!vault || !vault.size) return text;
+  const tail = /\[[A-Z_0-9]*$/.exec(text);
+  return restorePii(tail ? text.slice(0, tail.index) : text, vault);
+}
+
+module.exports = {
+  PII_LEVELS,
+  resolvePiiLevel: resolveLevel,
+  redactPii,
+  restorePii,
+  restorePiiPartial
+};
@@ -1,13 +1,33 @@
 // api/engine/promptLoader.js
-// Loads prompts from GitHub raw with in-memory cache (Vercel best-effort)
+// Loads prompts from pluggable sources with in-memory cache (Vercel best-effort)
 // Ops hardening: timeout + bounded cache + ref safety + basic retry/backoff
+// Sources (chained, first hit wins): PROMPTS_SOURCE=fs,bundle,github (default: github)
+// - github: raw.githubusercontent.com (PROMPTS_REPO / PROMPTS_REF)
+// - fs:     local directory (PROMPTS_DIR, default cwd) — tests / air-gapped
+// - bundle: JSON baked in at deploy time (PROMPTS_BUNDLE_PATH, see scripts/build-prompt-bundle.js)
+// Locales: opts.locale "ko" tries "message.prompt.ko.md" next to "message.prompt.md" and falls back
+// to the English file only when the localized one does not exist (misses are cached like hits).
+// Cache controls: PROMPTS_CACHE_TTL_S (default 300), concurrent loads of one file share a fetch,
+// invalidatePromptCache() for the admin route / push webhook, hit / miss counters in promptCacheStats()
+
+const fs = require("fs");
+const nodePath = require("path");
+const { incMetric } = require("./telemetry");
 
 const CACHE = new Map();
-// key: `${repo}@${ref}:${path}` -> { at:number, text:string, etag?:string }
+// key: `${sources}|${repo}@${ref}:${path}` -> { at:number, ref:string, path:string, text:string, source:string, etag?:string }
+//   or a cached miss { at, ref, path, missing: true } (localized files only)
 const DEFAULT_TTL_MS = 5 * 60 * 1000;
 
+// key -> { promise } while a fetch is running; invalidation drops the entry so a late result is not cached
+const INFLIGHT = new Map();
+
+// Per-instance counters since cold start (also exported as clearbound_prompt_cache_total{status})
+const COUNTERS = { hit: 0, revalidated: 0, stale: 0, miss: 0, error: 0, evicted: 0, invalidated: 0 };
+
 // Hard bounds to prevent unbounded memory growth on long-lived warm instances
-const MAX_CACHE_ENTRIES = 60;
+const MAX_CACHE_ENTRIES = 120;
+const MAX_CACHE_ENTRIES_PER_REF = 40;
 const MAX_PROMPT_BYTES = 200_000; // safety cap (prompts should be far smaller)
 
 function env(name, fallback = null) {
@@ -15,6 +35,12 @@ function env(name, fallback = null) {
   return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
 }
 
+function cacheTtlMs() {
+  const raw = env("PROMPTS_CACHE_TTL_S");
+  const s = raw == null ? NaN : Number(raw);
+  return Number.isFinite(s) && s >= 0 ? s * 1000 : DEFAULT_TTL_MS;
+}
+
 function makeRawUrl({ repo, ref, path }) {
   return `https://raw.githubusercontent.com/${repo}/${ref}/${path}`;
 }
@@ -37,18 +63,37 @@ function assertSafePath(path) {
   return p;
 }
 
+function oldestKeyWhere(pred) {
+  let oldestKey = null;
+  let oldestAt = Infinity;
+  for (const [k, v] of CACHE.entries()) {
+    if (pred(v) && v?.at < oldestAt) {
+      oldestAt = v.at;
+      oldestKey = k;
+    }
+  }
+  return oldestKey;
+}
+
 function boundedCacheSet(key, value) {
-  // Simple LRU-ish: delete oldest by `at`
-  if (CACHE.size >= MAX_CACHE_ENTRIES && !CACHE.has(key)) {
-    let oldestKey = null;
-    let oldestAt = Infinity;
-    for (const [k, v] of CACHE.entries()) {
-      if (v?.at < oldestAt) {
-        oldestAt = v.at;
-        oldestKey = k;
-      }
+  // Simple LRU-ish, partitioned by ref so several refs (experiments / pins) can stay warm together:
+  // 1) a ref over its own quota evicts its own oldest entry
+  // 2) global cap evicts the oldest entry of the largest ref partition
+  if (!CACHE.has(key)) {
+    const perRef = new Map();
+    for (const v of CACHE.values()) perRef.set(v.ref, (perRef.get(v.ref) || 0) + 1);
+
+    let victim = null;
+    if ((perRef.get(value.ref) || 0) >= MAX_CACHE_ENTRIES_PER_REF) {
+      victim = oldestKeyWhere(v => v.ref === value.ref);
+    } else if (CACHE.size >= MAX_CACHE_ENTRIES) {
+      const largest = [...perRef.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+      victim = oldestKeyWhere(v => v.ref === largest);
+    }
+    if (victim) {
+      CACHE.delete(victim);
+      COUNTERS.evicted++;
     }
-    if (oldestKey) CACHE.delete(oldestKey);
   }
   CACHE.set(key, value);
 }
@@ -67,6 +112,12 @@ async function fetchTextWithTimeout(url, { timeoutMs = 4500, headers = {} } = {}
       }
     });
 
+    // Conditional request answered "not modified": empty text, fetchIntoCache keeps the cached copy
+    // and restarts its TTL ("revalidated")
+    if (r.status === 304) {
+      return { text: "", etag: r.headers?.get?.("etag") || headers["If-None-Match"] || null };
+    }
+
     const raw = await r.text().catch(() => "");
     if (!r.ok) {
       throw new Error(`PROMPT_FETCH_FAILED ${r.status} ${raw.slice(0, 200)}`);
@@ -108,55 +159,302 @@ async function fetchWithRetry(url, { attempts = 2, timeoutMs = 4500, headers = {
   throw lastErr;
 }
 
-async function loadPrompt(path, opts = {}) {
+// ---------- sources ----------
+// Each source: async fetch({ path, ref, repo, cached }) -> { text, etag? }
+// Throw PROMPT_NOT_FOUND to let the chain move on; any other error also falls through.
+
+const githubSource = {
+  name: "github",
+  async fetch({ path, ref, repo, cached }) {
+    if (!repo) throw new Error("PROMPTS_REPO missing");
+    const url = makeRawUrl({ repo, ref, path });
+
+    // Optional conditional request if we have an etag (saves bandwidth, faster on warm)
+    const headers = {};
+    if (cached?.source === "github" && cached?.etag) headers["If-None-Match"] = cached.etag;
+
+    // raw.githubusercontent.com answers 304 with an empty body when the etag matches; fetchTextWithTimeout
+    // returns empty text for it and fetchIntoCache reuses the cached copy
+    return await fetchWithRetry(url, { attempts: 2, timeoutMs: 4500, headers });
+  }
+};
+
+const fsSource = {
+  name: "fs",
+  async fetch({ path }) {
+    const root = nodePath.resolve(env("PROMPTS_DIR", process.cwd()));
+    const file = nodePath.resolve(root, path);
+    // assertSafePath already rejects "..", this is belt-and-braces against symlink-free escapes
+    if (file !== root && !file.startsWith(root + nodePath.sep)) throw new Error("prompt path invalid");
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch {
+      throw new Error(`PROMPT_NOT_FOUND fs:${path}`);
+    }
+    if (!stat.isFile()) throw new Error(`PROMPT_NOT_FOUND fs:${path}`);
+    if (stat.size > MAX_PROMPT_BYTES) throw new Error("PROMPT_TOO_LARGE");
+
+    const text = await fs.promises.readFile(file, "utf8");
+    return { text, etag: `${stat.size}-${stat.mtimeMs}` };
+  }
+};
+
+let BUNDLE = null; // { ref?: string, files: { [path]: text } } — loaded once per instance
+
+function readBundle() {
+  if (BUNDLE) return BUNDLE;
+  const file = nodePath.resolve(env("PROMPTS_BUNDLE_PATH", nodePath.join(__dirname, "promptBundle.json")));
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    throw new Error("PROMPT_BUNDLE_MISSING");
+  }
+  let parsed = null;
+  try { parsed = JSON.parse(raw); } catch { parsed = null; }
+  if (!parsed || typeof parsed.files !== "object" || !parsed.files) throw new Error("PROMPT_BUNDLE_INVALID");
+  BUNDLE = parsed;
+  return BUNDLE;
+}
+
+const bundleSource = {
+  name: "bundle",
+  async fetch({ path, ref }) {
+    const bundle = readBundle();
+    // A bundle built for a specific ref only answers for that ref
+    if (bundle.ref && bundle.ref !== ref) throw new Error(`PROMPT_NOT_FOUND bundle:${ref}`);
+    const text = bundle.files[path];
+    if (typeof text !== "string") throw new Error(`PROMPT_NOT_FOUND bundle:${path}`);
+    return { text, etag: bundle.built_at || null };
+  }
+};
+
+const SOURCES = { github: githubSource, fs: fsSource, bundle: bundleSource };
+
+function resolveSourceChain(spec) {
+  const names = String(spec || env("PROMPTS_SOURCE", "github"))
+    .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!names.length) throw new Error("PROMPTS_SOURCE invalid");
+  for (const n of names) {
+    if (!SOURCES[n]) throw new Error(`PROMPTS_SOURCE unknown: ${n}`);
+  }
+  return names.filter((n, i) => names.indexOf(n) === i);
+}
+
+async function fetchFromChain(chain, args) {
+  const failures = [];
+  for (const name of chain) {
+    try {
+      const fetched = await SOURCES[name].fetch(args);
+      const text = typeof fetched?.text === "string" ? fetched.text : "";
+      // Size cap applies to every source (github also checks while reading)
+      if (Buffer.byteLength(text, "utf8") > MAX_PROMPT_BYTES) throw new Error("PROMPT_TOO_LARGE");
+      return { text, etag: fetched?.etag || null, source: name };
+    } catch (e) {
+      failures.push(`${name}: ${String(e?.message || e)}`);
+    }
+  }
+  throw new Error(chain.length === 1 ? failures[0].replace(/^[a-z]+: /, "") : `PROMPT_SOURCES_FAILED ${failures.join(" | ")}`);
+}
+
+function isNotFound(e) {
+  const msg = String(e?.message || e);
+  if (msg.startsWith("PROMPT_SOURCES_FAILED")) {
+    // Every source must agree the file is missing; a network error somewhere is not a miss
+    return msg.slice("PROMPT_SOURCES_FAILED ".length).split(" | ").every(f => isNotFound(f.replace(/^[a-z]+: /, "")));
+  }
+  return msg.startsWith("PROMPT_NOT_FOUND") || msg.startsWith("PROMPT_FETCH_FAILED 404");
+}
+
+// "prompts/v1/message.prompt.md" + "ko" -> "prompts/v1/message.prompt.ko.md"
+function localizedPath(path, locale) {
+  const slash = path.lastIndexOf("/");
+  const dot = path.lastIndexOf(".");
+  return dot > slash ? `${path.slice(0, dot)}.${locale}${path.slice(dot)}` : `${path}.${locale}`;
+}
+
+function countCache(status) {
+  COUNTERS[status]++;
+  incMetric("clearbound_prompt_cache_total", { status });
+}
+
+// -> { text, cache } where cache is hit | revalidated (304) | stale (sources failed, cached copy) | miss
+async function loadPromptFile(path, opts = {}, { missingOk = false } = {}) {
+  const chain = resolveSourceChain(opts.source);
   const repo = opts.repo || env("PROMPTS_REPO");
   const ref = assertSafeRef(opts.ref || env("PROMPTS_REF", "main"));
-  const ttlMs = Number.isFinite(opts.ttlMs) ? opts.ttlMs : DEFAULT_TTL_MS;
-
-  if (!repo) throw new Error("PROMPTS_REPO missing");
+  const ttlMs = Number.isFinite(opts.ttlMs) ? opts.ttlMs : cacheTtlMs();
 
   const safePath = assertSafePath(path);
 
-  const key = `${repo}@${ref}:${safePath}`;
+  const key = `${chain.join(",")}|${repo || "-"}@${ref}:${safePath}`;
   const now = Date.now();
 
   const cached = CACHE.get(key);
-  if (cached && (now - cached.at) < ttlMs) return cached.text;
+  if (cached && (now - cached.at) < ttlMs) {
+    countCache("hit");
+    return { text: cached.missing ? null : cached.text, cache: "hit" };
+  }
+
+  // Cold-start preload and the first request (or parallel variants) share one fetch per file
+  let flight = INFLIGHT.get(key);
+  if (!flight) {
+    flight = {};
+    flight.promise = fetchIntoCache(key, flight, { chain, path: safePath, ref, repo, cached, missingOk, now })
+      .finally(() => { if (INFLIGHT.get(key) === flight) INFLIGHT.delete(key); });
+    INFLIGHT.set(key, flight);
+  }
 
-  const url = makeRawUrl({ repo, ref, path: safePath });
+  try {
+    const loaded = await flight.promise;
+    countCache(loaded.cache);
+    return loaded;
+  } catch (e) {
+    countCache("error");
+    throw e;
+  }
+}
 
-  // Optional conditional request if we have an etag (saves bandwidth, faster on warm)
-  const headers = {};
-  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+async function fetchIntoCache(key, flight, { chain, path, ref, repo, cached, missingOk, now }) {
+  // Invalidated while fetching: serve the result to this caller, do not cache it
+  const store = (entry) => { if (INFLIGHT.get(key) === flight) boundedCacheSet(key, entry); };
 
-  // Note: raw.githubusercontent.com returns 304 with empty body when etag matches.
-  // fetch().text() on 304 might be empty; we handle by reusing cache if 304 occurs.
   let fetched;
   try {
-    fetched = await fetchWithRetry(url, { attempts: 2, timeoutMs: 4500, headers });
+    fetched = await fetchFromChain(chain, { path, ref, repo, cached: cached?.missing ? null : cached });
   } catch (e) {
-    // If remote fetch fails but we have any cached value, return it (best-effort).
-    if (cached?.text) return cached.text;
+    if (missingOk && isNotFound(e)) {
+      store({ at: now, ref, path, missing: true });
+      return { text: null, cache: "miss" };
+    }
+    // If every source fails but we have any cached value, return it (best-effort).
+    if (cached?.text) return { text: cached.text, cache: "stale" };
     throw e;
   }
 
-  // If fetched text is empty but we had cached text, keep cached (rare edge)
-  const text = (typeof fetched?.text === "string" && fetched.text.length)
-    ? fetched.text
-    : (cached?.text || "");
+  // If fetched text is empty but we had cached text, keep cached (304 / rare edge)
+  const text = fetched.text.length ? fetched.text : (cached?.text || "");
 
   if (!text) {
     // no cached fallback and empty fetch
     throw new Error("PROMPT_EMPTY");
   }
 
-  boundedCacheSet(key, {
+  store({
     at: now,
+    ref,
+    path,
     text,
-    etag: fetched?.etag || cached?.etag || null
+    source: fetched.text.length ? fetched.source : (cached?.source || fetched.source),
+    etag: fetched.etag || cached?.etag || null
   });
 
-  return text;
+  return { text, cache: fetched.text.length ? "miss" : "revalidated" };
+}
+
+const CACHE_STATUS_RANK = ["hit", "revalidated", "stale", "miss"];
+
+// Worst status wins, e.g. a cached locale miss + fetched English file = "miss"
+function combineCacheStatus(...statuses) {
+  return statuses.filter(Boolean).reduce((a, b) => CACHE_STATUS_RANK.indexOf(b) > CACHE_STATUS_RANK.indexOf(a) ? b : a, "hit");
+}
+
+/**
+ * loadPromptResolved(path, { locale, ...opts }) -> { text, path, locale, cache }
+ * path / locale describe the file actually served (locale null = the default English file).
+ */
+async function loadPromptResolved(path, opts = {}) {
+  const { locale = null, ...fileOpts } = opts;
+  let localizedCache = null;
+  if (locale && locale !== "en") {
+    const lp = localizedPath(assertSafePath(path), locale);
+    const localized = await loadPromptFile(lp, fileOpts, { missingOk: true });
+    if (localized.text !== null) return { text: localized.text, path: lp, locale, cache: localized.cache };
+    localizedCache = localized.cache;
+  }
+  const file = await loadPromptFile(path, fileOpts);
+  return { text: file.text, path, locale: null, cache: combineCacheStatus(localizedCache, file.cache) };
+}
+
+/**
+ * Cache snapshot for /api/ready, /api/config and the admin route (counts only, never prompt text)
+ * -> { entries, fresh, missing, in_flight, max_entries, max_entries_per_ref, ttl_ms, refs: { [ref]: count },
+ *      counters: { hit, revalidated, stale, miss, error, evicted, invalidated } }
+ */
+function promptCacheStats(now = Date.now()) {
+  const ttlMs = cacheTtlMs();
+  const refs = {};
+  let fresh = 0;
+  let missing = 0;
+  for (const v of CACHE.values()) {
+    refs[v.ref] = (refs[v.ref] || 0) + 1;
+    if (now - v.at < ttlMs) fresh++;
+    if (v.missing) missing++;
+  }
+  return {
+    entries: CACHE.size,
+    fresh,
+    missing,
+    in_flight: INFLIGHT.size,
+    max_entries: MAX_CACHE_ENTRIES,
+    max_entries_per_ref: MAX_CACHE_ENTRIES_PER_REF,
+    ttl_ms: ttlMs,
+    refs,
+    counters: { ...COUNTERS }
+  };
+}
+
+// "prompts/v1/message.prompt.ko.md" -> "prompts/v1/message.prompt.md"
+function unlocalizedPath(path) {
+  return path.replace(/\.[a-z]{2}(\.[^./]+)$/, "$1");
+}
+
+/**
+ * invalidatePromptCache({ paths?, prefix?, ref?, all? }) -> number of entries evicted (this instance only)
+ * Filters combine with AND; at least one is required (or all: true). A path also evicts its localized
+ * variants (and cached locale misses), so "message.prompt.md" drops "message.prompt.ko.md" too.
+ * Matching in-flight fetches are detached: their callers get the result, the cache does not.
+ */
+function invalidatePromptCache({ paths = null, prefix = null, ref = null, all = false } = {}) {
+  const pathSet = Array.isArray(paths) ? new Set(paths.map(assertSafePath)) : null;
+  if (!all && !pathSet && prefix == null && ref == null) throw new Error("PROMPT_CACHE_FILTER_REQUIRED");
+  const safeRef = ref == null ? null : assertSafeRef(ref);
+
+  const matches = (v) =>
+    (!pathSet || pathSet.has(v.path) || pathSet.has(unlocalizedPath(v.path))) &&
+    (prefix == null || v.path.startsWith(prefix)) &&
+    (safeRef == null || v.ref === safeRef);
+
+  let evicted = 0;
+  for (const [k, v] of CACHE.entries()) {
+    if (!matches(v)) continue;
+    CACHE.delete(k);
+    evicted++;
+  }
+  for (const k of INFLIGHT.keys()) {
+    // key: `${sources}|${repo}@${ref}:${path}` (refs never contain ":")
+    const at = k.indexOf("@");
+    const colon = k.indexOf(":", at);
+    if (matches({ ref: k.slice(at + 1, colon), path: k.slice(colon + 1) })) INFLIGHT.delete(k);
+  }
+
+  COUNTERS.invalidated += evicted;
+  return evicted;
+}
+
+async function loadPrompt(path, opts = {}) {
+  return (await loadPromptResolved(path, opts)).text;
 }
 
-module.exports = { loadPrompt };
+module.exports = {
+  loadPrompt,
+  loadPromptResolved,
+  combineCacheStatus,
+  resolveSourceChain,
+  promptCacheStats,
+  invalidatePromptCache,
+  assertSafeRef,
+  assertSafePath
+};
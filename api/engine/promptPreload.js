@@ -0,0 +1,80 @@
+// api/engine/promptPreload.js
+// Prompt cache warming: every package prompt (message / email / bundle / insight) with its partials, for every
+// prompt experiment variant and locale, loaded through the normal sources + cache
+// - preloadPrompts(): used by /api/ready (English only) and the admin cache route (after invalidation)
+// - warmPromptsOnColdStart(): fired once per instance when a route module loads, so the first request joins
+//   the in-flight fetches instead of starting its own; PROMPTS_PRELOAD=off disables it
+// Never throws: failures are reported per file.
+
+const { checkPromptTemplate } = require("./promptTemplate");
+const { loadExperiment } = require("./experiments");
+const { SUPPORTED_LOCALES } = require("./locale");
+
+const PROMPT_FILES = ["message", "email", "bundle", "insight"];
+
+let COLD_START_WARM = null;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+/**
+ * preloadPrompts({ variants?, locales? }) -> { ok, files: [{ path, ref, locale, ok, version?, cache?, warning?, error?, ms }] }
+ * variants default to the active experiment's ({ base_path, ref }), locales to every supported locale.
+ * A localized file that does not exist is not a failure (the English file is served and cached).
+ */
+async function preloadPrompts({ variants = null, locales = SUPPORTED_LOCALES } = {}) {
+  let list = variants;
+  if (!list) {
+    try {
+      list = loadExperiment().variants;
+    } catch (e) {
+      return { ok: false, error: String(e?.message || e), files: [] };
+    }
+  }
+
+  const jobs = [];
+  const seen = new Set();
+  for (const v of list) {
+    const key = `${v.base_path}@${v.ref}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    for (const name of PROMPT_FILES) {
+      const path = `${v.base_path}/${name}.prompt.md`;
+      for (const locale of locales) {
+        jobs.push((async () => {
+          const t0 = Date.now();
+          try {
+            const t = await checkPromptTemplate(path, { ref: v.ref, locale });
+            const r = { path, ref: v.ref, locale, ok: true, version: t.meta.version, cache: t.cache, ms: Date.now() - t0 };
+            // Stale = every source failed and a cached copy is being served
+            if (t.cache === "stale") r.warning = "prompt sources failing; serving cached copy";
+            return r;
+          } catch (e) {
+            return { path, ref: v.ref, locale, ok: false, error: String(e?.message || e), ms: Date.now() - t0 };
+          }
+        })());
+      }
+    }
+  }
+  const files = await Promise.all(jobs);
+  return { ok: files.every(f => f.ok), files };
+}
+
+// Once per instance; the promise is kept so callers can await the warm-up if they want to
+function warmPromptsOnColdStart() {
+  if (COLD_START_WARM) return COLD_START_WARM;
+  if (String(env("PROMPTS_PRELOAD", "on")).toLowerCase() === "off") {
+    COLD_START_WARM = Promise.resolve(null);
+  } else {
+    COLD_START_WARM = preloadPrompts().catch(() => null);
+  }
+  return COLD_START_WARM;
+}
+
+module.exports = {
+  PROMPT_FILES,
+  preloadPrompts,
+  warmPromptsOnColdStart
+};
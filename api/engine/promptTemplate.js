@@ -0,0 +1,167 @@
+// api/engine/promptTemplate.js
+// Prompt files = YAML front-matter + body with partials and variables
+//
+// ---
+// version: message-2026.03.1
+// model_tier: auto            # auto | default | high_risk | analysis
+// max_tokens: 900
+// temperature: 0.2
+// output_schema: message      # key in engine/outputSchema.js
+// timeout_ms: 22000           # optional
+// ---
+// {{include "shared/tone_rules.md"}}     (relative to the prompt's directory)
+// Risk level: {{engine.risk_level}} / tone: {{controls.tone}}
+//
+// Files without front-matter still load (legacy) with the previous hard-coded defaults.
+
+const { loadPromptResolved, combineCacheStatus } = require("./promptLoader");
+const { SCHEMAS } = require("./outputSchema");
+
+const MODEL_TIERS = ["auto", "default", "high_risk", "analysis"];
+const MAX_INCLUDE_DEPTH = 3;
+
+const LEGACY_META = {
+  version: "unversioned",
+  model_tier: "auto",
+  max_tokens: null,
+  temperature: 0.2,
+  output_schema: null,
+  timeout_ms: null
+};
+
+// Minimal YAML subset: flat `key: value` scalars, `#` comments, quoted strings
+function parseScalar(raw) {
+  const v = raw.trim();
+  if (!v) return null;
+  if ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'"))) return v.slice(1, -1);
+  if (v === "true") return true;
+  if (v === "false") return false;
+  if (v === "null" || v === "~") return null;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+function parseFrontMatter(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(src);
+  if (!m) return { meta: null, body: src };
+
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const l = line.replace(/\s+#.*$/, "").trimEnd();
+    if (!l.trim() || l.trim().startsWith("#")) continue;
+    const idx = l.indexOf(":");
+    if (idx <= 0) throw new Error(`PROMPT_META_INVALID bad line: ${l.slice(0, 60)}`);
+    meta[l.slice(0, idx).trim()] = parseScalar(l.slice(idx + 1));
+  }
+  return { meta, body: src.slice(m[0].length) };
+}
+
+function validateMeta(meta, path) {
+  const fail = (why) => { throw new Error(`PROMPT_META_INVALID ${path}: ${why}`); };
+
+  for (const k of ["version", "model_tier", "max_tokens", "temperature", "output_schema"]) {
+    if (meta[k] === undefined || meta[k] === null || meta[k] === "") fail(`${k} is required`);
+  }
+  if (!MODEL_TIERS.includes(meta.model_tier)) fail(`model_tier must be one of ${MODEL_TIERS.join("|")}`);
+  if (!Number.isInteger(meta.max_tokens) || meta.max_tokens < 1) fail("max_tokens must be a positive integer");
+  if (typeof meta.temperature !== "number" || meta.temperature < 0 || meta.temperature > 2) fail("temperature must be 0..2");
+  if (!SCHEMAS[meta.output_schema]) fail(`unknown output_schema ${meta.output_schema}`);
+  if (meta.timeout_ms != null && (!Number.isInteger(meta.timeout_ms) || meta.timeout_ms < 1000 || meta.timeout_ms > 60_000)) {
+    fail("timeout_ms must be 1000..60000");
+  }
+
+  return {
+    version: String(meta.version),
+    model_tier: meta.model_tier,
+    max_tokens: meta.max_tokens,
+    temperature: meta.temperature,
+    output_schema: meta.output_schema,
+    timeout_ms: meta.timeout_ms ?? null
+  };
+}
+
+function dirOf(path) {
+  const i = path.lastIndexOf("/");
+  return i > -1 ? path.slice(0, i + 1) : "";
+}
+
+async function resolveIncludes(body, baseDir, opts, depth, seen, cacheStatuses) {
+  const re = /\{\{\s*include\s+"([^"]+)"\s*\}\}/g;
+  const names = [...new Set([...body.matchAll(re)].map(m => m[1]))];
+  if (!names.length) return body;
+  if (depth >= MAX_INCLUDE_DEPTH) throw new Error("PROMPT_INCLUDE_TOO_DEEP");
+
+  const resolved = {};
+  for (const name of names) {
+    const partialPath = `${baseDir}${name}`;
+    if (seen.has(partialPath)) throw new Error(`PROMPT_INCLUDE_CYCLE ${partialPath}`);
+    // Partials go through loadPrompt too: same sources, path safety, size cap and cache
+    const partial = await loadPromptResolved(partialPath, opts);
+    cacheStatuses.push(partial.cache);
+    const { body: partialBody } = parseFrontMatter(partial.text);
+    resolved[name] = await resolveIncludes(partialBody, dirOf(partialPath), opts, depth + 1, new Set([...seen, partialPath]), cacheStatuses);
+  }
+  return body.replace(re, (_, name) => resolved[name]);
+}
+
+function lookup(vars, dotted) {
+  let cur = vars;
+  for (const part of dotted.split(".")) {
+    if (cur == null || typeof cur !== "object" || !(part in cur)) return { found: false };
+    cur = cur[part];
+  }
+  return { found: true, value: cur };
+}
+
+function interpolate(body, vars, path) {
+  return body.replace(/\{\{\s*([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)\s*\}\}/g, (_, name) => {
+    const { found, value } = lookup(vars, name);
+    if (!found) throw new Error(`PROMPT_VAR_UNKNOWN ${path}: ${name}`);
+    if (value == null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * loadPromptTemplate(path, { vars, locale, ...loadPromptOpts }) -> { text, meta, locale, cache }
+ * - meta: validated front-matter (or LEGACY_META for files without it)
+ * - text: body with partials inlined and {{vars}} interpolated
+ * - locale: locale of the file actually served (null = English fallback); partials fall back independently
+ * - cache: prompt cache status across the file and its partials (hit | revalidated | stale | miss)
+ */
+async function loadPromptTemplate(path, opts = {}) {
+  const { vars = {}, ...loadOpts } = opts;
+  const t = await resolveTemplate(path, loadOpts);
+  const text = interpolate(t.body, vars, t.path);
+
+  return { text, meta: t.meta, locale: t.locale, cache: t.cache };
+}
+
+/**
+ * Same load / front-matter validation / include resolution as loadPromptTemplate, without rendering
+ * (readiness checks have no request variables) -> { meta, locale, cache }
+ */
+async function checkPromptTemplate(path, opts = {}) {
+  const { vars, ...loadOpts } = opts;
+  const t = await resolveTemplate(path, loadOpts);
+  return { meta: t.meta, locale: t.locale, cache: t.cache };
+}
+
+async function resolveTemplate(path, loadOpts) {
+  const served = await loadPromptResolved(path, loadOpts);
+  const { meta, body } = parseFrontMatter(served.text);
+
+  const resolvedMeta = meta ? validateMeta(meta, served.path) : { ...LEGACY_META };
+  // Includes resolve against the logical (English) path; loadPrompt localizes each partial itself
+  const cacheStatuses = [served.cache];
+  const withPartials = await resolveIncludes(body, dirOf(path), loadOpts, 0, new Set([path]), cacheStatuses);
+
+  return { body: withPartials, path: served.path, meta: resolvedMeta, locale: served.locale, cache: combineCacheStatus(...cacheStatuses) };
+}
+
+module.exports = {
+  loadPromptTemplate,
+  checkPromptTemplate,
+  parseFrontMatter
+};
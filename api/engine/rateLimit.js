@@ -0,0 +1,151 @@
+// api/engine/rateLimit.js
+// Token-bucket rate limiting for /api/generate
+// - Buckets keyed by client IP, plus X-Api-Key and session id when present
+// - Limits per package (message|email|bundle) and an extra "insight" bucket when include_analysis
+// - "export" bucket for POST /api/export, "explain" for POST /api/engine/explain
+// - Store is pluggable: { take(key, { capacity, refillPerSec, cost, now }) -> { allowed, remaining, retryAfterMs } }
+//   Default MemoryStore is per instance (best-effort on Vercel); back with Redis via setRateLimitStore()
+//
+// RATE_LIMITS (JSON) overrides defaults, e.g. {"bundle":{"capacity":3,"refill_per_minute":1}}
+// RATE_LIMIT=off disables the check entirely.
+// Client IP: on Vercel (VERCEL=1) the edge-set X-Vercel-Forwarded-For / X-Real-IP; elsewhere the X-Forwarded-For
+// entry RATE_LIMIT_TRUSTED_HOPS (default 1) from the right, i.e. the address the last trusted proxy saw.
+// Entries further left are client-supplied and never used.
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+const DEFAULT_LIMITS = {
+  message: { capacity: 10, refill_per_minute: 5 },
+  email:   { capacity: 10, refill_per_minute: 5 },
+  bundle:  { capacity: 6,  refill_per_minute: 3 },
+  insight: { capacity: 4,  refill_per_minute: 1 }, // analysis model is the most expensive
+  export:  { capacity: 20, refill_per_minute: 10 }, // POST /api/export: no model call, only rendering
+  explain: { capacity: 20, refill_per_minute: 10 }  // POST /api/engine/explain: one token per ruleset evaluated
+};
+
+const MAX_MEMORY_KEYS = 10_000;
+
+class MemoryStore {
+  constructor({ maxKeys = MAX_MEMORY_KEYS } = {}) {
+    this.maxKeys = maxKeys;
+    this.buckets = new Map(); // key -> { tokens, at }
+  }
+
+  async take(key, { capacity, refillPerSec, cost = 1, now = Date.now() }) {
+    const prev = this.buckets.get(key);
+    const elapsedSec = prev ? Math.max(0, (now - prev.at) / 1000) : 0;
+    const tokens = prev ? Math.min(capacity, prev.tokens + elapsedSec * refillPerSec) : capacity;
+
+    const allowed = tokens >= cost;
+    const next = allowed ? tokens - cost : tokens;
+
+    // Re-insert so Map order stays least-recently-used first
+    this.buckets.delete(key);
+    this.buckets.set(key, { tokens: next, at: now });
+    if (this.buckets.size > this.maxKeys) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+
+    const retryAfterMs = allowed ? 0 : Math.ceil(((cost - next) / refillPerSec) * 1000);
+    return { allowed, remaining: Math.floor(next), retryAfterMs };
+  }
+}
+
+let STORE = new MemoryStore();
+
+function setRateLimitStore(store) {
+  if (!store || typeof store.take !== "function") throw new Error("RATE_LIMIT_STORE invalid");
+  STORE = store;
+}
+
+function loadLimits() {
+  const raw = env("RATE_LIMITS");
+  if (!raw) return DEFAULT_LIMITS;
+
+  let parsed = null;
+  try { parsed = JSON.parse(raw); } catch { parsed = null; }
+  if (!parsed || typeof parsed !== "object") throw new Error("RATE_LIMITS invalid");
+
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [name, l] of Object.entries(parsed)) {
+    const capacity = Number(l?.capacity);
+    const perMin = Number(l?.refill_per_minute);
+    if (!(capacity > 0) || !(perMin > 0)) throw new Error(`RATE_LIMITS invalid: ${name}`);
+    limits[name] = { capacity, refill_per_minute: perMin };
+  }
+  return limits;
+}
+
+function trustedHops() {
+  const n = Number(env("RATE_LIMIT_TRUSTED_HOPS", "1"));
+  if (!Number.isInteger(n) || n < 0) throw new Error("RATE_LIMIT_TRUSTED_HOPS invalid");
+  return n;
+}
+
+function clientIp(req) {
+  const header = (name) => String(req.headers?.[name] || "").split(",")[0].trim();
+
+  // The Vercel edge overwrites these, a client cannot set them
+  if (env("VERCEL")) {
+    const ip = header("x-vercel-forwarded-for") || header("x-real-ip");
+    if (ip) return ip;
+  }
+
+  // Each trusted proxy appends the address it saw: count from the right, the left part is client-controlled
+  // (0 hops = no proxy, the socket peer is the client)
+  const hops = trustedHops();
+  const xff = String(req.headers?.["x-forwarded-for"] || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (hops > 0 && xff.length) return xff[Math.max(0, xff.length - hops)];
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function clientIdentities(req, sessionId) {
+  const ids = [`ip:${clientIp(req)}`];
+  const apiKey = String(req.headers?.["x-api-key"] || "").trim();
+  if (apiKey) ids.push(`key:${apiKey.slice(0, 64)}`);
+  if (sessionId) ids.push(`session:${sessionId}`);
+  return ids;
+}
+
+/**
+ * checkRateLimit({ req, sessionId, pkg, include_analysis, cost })
+ * -> { allowed: true } | { allowed: false, limit, retryAfterS }
+ * Every identity (ip / api key / session) must have a token in every applicable bucket.
+ * `cost` is charged to the package bucket only (e.g. N draft variants = N tokens).
+ */
+async function checkRateLimit({ req, sessionId = null, pkg, include_analysis = false, cost = 1, now = Date.now() }) {
+  if (String(env("RATE_LIMIT", "on")).toLowerCase() === "off") return { allowed: true };
+
+  const limits = loadLimits();
+  const names = [pkg, ...(include_analysis ? ["insight"] : [])].filter(n => limits[n]);
+
+  let worst = null;
+  for (const id of clientIdentities(req, sessionId)) {
+    for (const name of names) {
+      const l = limits[name];
+      const r = await STORE.take(`rl:${name}:${id}`, {
+        capacity: l.capacity,
+        refillPerSec: l.refill_per_minute / 60,
+        cost: name === pkg ? Math.min(cost, l.capacity) : 1, // never more than a full bucket, or it could never pass
+        now
+      });
+      if (!r.allowed && (!worst || r.retryAfterMs > worst.retryAfterMs)) {
+        worst = { limit: name, retryAfterMs: r.retryAfterMs };
+      }
+    }
+  }
+
+  if (!worst) return { allowed: true };
+  return { allowed: false, limit: worst.limit, retryAfterS: Math.max(1, Math.ceil(worst.retryAfterMs / 1000)) };
+}
+
+module.exports = {
+  checkRateLimit,
+  setRateLimitStore,
+  MemoryStore,
+  clientIp,
+  trustedHops
+};
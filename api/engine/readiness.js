@@ -0,0 +1,190 @@
+// api/engine/readiness.js
+// Deploy checks behind /api/ready and the effective configuration behind /api/config
+// - checkReadiness(): env required by the configured providers / prompt source / paywall, PROMPTS_REF and
+//   experiment refs (assertSafeRef), CONTROL_POLICY, ruleset, and every prompt file (message / email / bundle /
+//   insight) for every prompt variant, loaded through the normal sources + cache (engine/promptPreload.js)
+// - effectiveConfig(): models (pickModel), prompt source / ref / experiment, CORS allowlist, engine version,
+//   feature switches; secrets only ever as "set" / "missing"
+// Neither makes a model call.
+
+const { modelForTier, pickModel } = require("./generation");
+const { providerConfigError, parseModelRef, formatModelRef } = require("./llm");
+const { resolveSourceChain, promptCacheStats, assertSafeRef } = require("./promptLoader");
+const { preloadPrompts } = require("./promptPreload");
+const { loadExperiment } = require("./experiments");
+const { loadRuleset, listRulesetVersions, DEFAULT_RULESET_VERSION } = require("./ruleset");
+const { getAllowedOrigin } = require("./http");
+const { resolvePiiLevel } = require("./pii");
+const { isResponseCacheEnabled } = require("./responseCache");
+const { isInsightRetryEnabled } = require("./insightRetry");
+const { DEFAULT_LOCALE } = require("./locale");
+const { loadControlPolicy } = require("./controlPolicy");
+const { trustedHops } = require("./rateLimit");
+
+// Presence is reported, values never are
+const SECRET_ENV = [
+  "OPENAI_API_KEY", "ANTHROPIC_API_KEY", "AZURE_OPENAI_API_KEY", "LLM_COMPAT_API_KEY",
+  "ENTITLEMENT_SECRET", "RECORD_RECEIPT_SECRET", "INTERNAL_API_KEY", "PROMPTS_WEBHOOK_SECRET"
+];
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function fallbackModels() {
+  return String(env("LLM_FALLBACK_MODELS", "")).split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// Every model a request can be routed to (same picks as /api/generate)
+function effectiveModels() {
+  return {
+    default: pickModel({ risk_level: "low" }, false),
+    high_risk: pickModel({ risk_level: "high" }, false),
+    analysis: pickModel(null, true),
+    insight: formatModelRef(parseModelRef(process.env.MODEL_ANALYSIS || modelForTier("analysis"))),
+    fallbacks: fallbackModels()
+  };
+}
+
+function check(name, fn) {
+  try {
+    return { name, ok: true, ...(fn() || {}) };
+  } catch (e) {
+    return { name, ok: false, error: String(e?.message || e) };
+  }
+}
+
+function envCheck() {
+  const missing = [];
+  const warnings = [];
+
+  let chain = [];
+  try {
+    chain = resolveSourceChain();
+  } catch (e) {
+    missing.push(String(e?.message || e));
+  }
+  if (chain.includes("github") && !env("PROMPTS_REPO")) missing.push("PROMPTS_REPO");
+
+  // "OPENAI_API_KEY missing" for two tiers is one missing variable
+  const models = effectiveModels();
+  const byProblem = new Map();
+  for (const m of new Set([models.default, models.high_risk, models.analysis, models.insight])) {
+    const problem = providerConfigError(m);
+    if (problem) byProblem.set(problem, [...(byProblem.get(problem) || []), m]);
+  }
+  for (const [problem, ms] of byProblem) missing.push(`${problem.replace(/ missing$/, "")} (${ms.join(", ")})`);
+  // A fallback without credentials is skipped at request time, so it only warns
+  for (const m of models.fallbacks) {
+    const problem = providerConfigError(m);
+    if (problem) warnings.push(`${problem.replace(/ missing$/, "")} (fallback ${m})`);
+  }
+
+  if (String(env("ENTITLEMENT_MODE", "enforce")).toLowerCase() !== "off" && !env("ENTITLEMENT_SECRET")) {
+    missing.push("ENTITLEMENT_SECRET");
+  }
+
+  return { name: "env", ok: missing.length === 0, missing, ...(warnings.length ? { warnings } : {}) };
+}
+
+async function promptChecks(variants) {
+  // English files only: a missing localized file falls back, so it never blocks readiness
+  const { ok, files } = await preloadPrompts({ variants, locales: [DEFAULT_LOCALE] });
+  return { name: "prompts", ok, files };
+}
+
+/**
+ * -> { ok, checks: [{ name, ok, ... }], prompt_cache }
+ * Prompt files are only checked once the ref / experiment config is valid.
+ */
+async function checkReadiness() {
+  const checks = [envCheck()];
+
+  const ref = check("prompts_ref", () => ({ ref: assertSafeRef(env("PROMPTS_REF", "main")) }));
+  checks.push(ref);
+
+  let experiment = null;
+  checks.push(check("prompt_experiment", () => {
+    experiment = loadExperiment();
+    return { id: experiment.id, variants: experiment.variants.map(v => `${v.name}: ${v.base_path}@${v.ref}`) };
+  }));
+
+  checks.push(check("control_policy", () => {
+    const policy = loadControlPolicy();
+    return { enforce_floors: policy.enforce_floors, floors: policy.floors.length };
+  }));
+
+  try {
+    const rs = await loadRuleset();
+    checks.push({ name: "ruleset", ok: true, version: rs.version });
+  } catch (e) {
+    checks.push({ name: "ruleset", ok: false, error: String(e?.message || e) });
+  }
+
+  if (ref.ok && experiment) {
+    checks.push(await promptChecks(experiment.variants));
+  } else {
+    checks.push({ name: "prompts", ok: false, error: "skipped: prompt ref / experiment config invalid" });
+  }
+
+  return { ok: checks.every(c => c.ok), checks, prompt_cache: promptCacheStats() };
+}
+
+function effectiveConfig() {
+  let experiment;
+  try {
+    experiment = loadExperiment();
+  } catch (e) {
+    experiment = { error: String(e?.message || e) };
+  }
+  let sources;
+  try {
+    sources = resolveSourceChain();
+  } catch (e) {
+    sources = { error: String(e?.message || e) };
+  }
+
+  const allow = getAllowedOrigin();
+  return {
+    engine: {
+      ruleset_version: env("ENGINE_RULESET", DEFAULT_RULESET_VERSION),
+      rulesets_loaded: listRulesetVersions()
+    },
+    models: { provider: env("LLM_PROVIDER", "openai").toLowerCase(), ...effectiveModels() },
+    prompts: {
+      sources,
+      repo: env("PROMPTS_REPO"),
+      ref: env("PROMPTS_REF", "main"),
+      ...(Array.isArray(sources) && sources.includes("fs") ? { dir: env("PROMPTS_DIR", process.cwd()) } : {}),
+      ...(Array.isArray(sources) && sources.includes("bundle") ? { bundle_path: env("PROMPTS_BUNDLE_PATH", "api/engine/promptBundle.json") } : {}),
+      experiment,
+      cache: promptCacheStats()
+    },
+    cors: { allow_origin: allow === "*" ? "*" : allow.split(",").map(s => s.trim()).filter(Boolean) },
+    features: {
+      entitlement_mode: String(env("ENTITLEMENT_MODE", "enforce")).toLowerCase(),
+      rate_limit: String(env("RATE_LIMIT", "on")).toLowerCase(),
+      rate_limit_trusted_hops: safe(() => trustedHops()),
+      response_cache: isResponseCacheEnabled(),
+      insight_retry: isInsightRetryEnabled(),
+      pii_redaction: safe(() => resolvePiiLevel()),
+      input_validation_mode: String(env("INPUT_VALIDATION_MODE", "strict")).toLowerCase(),
+      control_policy: safe(() => loadControlPolicy())
+    },
+    secrets: Object.fromEntries(SECRET_ENV.map(k => [k, env(k) ? "set" : "missing"]))
+  };
+}
+
+function safe(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    return { error: String(e?.message || e) };
+  }
+}
+
+module.exports = {
+  checkReadiness,
+  effectiveConfig
+};
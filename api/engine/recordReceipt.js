@@ -0,0 +1,80 @@
+// api/engine/recordReceipt.js
+// Server-issued proof that a draft came out of /api/generate as a record-safe result
+// - /api/generate adds `record_receipt` when engine.record_safe_level === 2; /api/export prints the dated
+//   RECORD COPY header only for a receipt that verifies against the exported drafts
+// - Receipt = "<payload>.<sig>" (base64url JSON + HMAC-SHA256), payload { v, iat, rsl, h }:
+//   iat = server generation time, rsl = record_safe_level, h = sha256 of message_text / email_text
+//   (the insight can be regenerated separately, so it is not covered)
+// - Signed with RECORD_RECEIPT_SECRET, else ENTITLEMENT_SECRET; without either no receipt is issued
+
+const crypto = require("crypto");
+
+const RECEIPT_VERSION = 1;
+const RECORD_SAFE_RECEIPT_LEVEL = 2;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function receiptSecret() {
+  return env("RECORD_RECEIPT_SECRET") || env("ENTITLEMENT_SECRET");
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function b64urlDecode(s) {
+  return Buffer.from(String(s).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function sign(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+function draftHash(out) {
+  return crypto.createHash("sha256")
+    .update(JSON.stringify([out?.message_text || null, out?.email_text || null]))
+    .digest("hex");
+}
+
+/**
+ * issueRecordReceipt({ out, engine, now? }) -> receipt string, or null (not record-safe / no secret)
+ */
+function issueRecordReceipt({ out, engine, now = new Date() }) {
+  const secret = receiptSecret();
+  if (!secret || engine?.record_safe_level !== RECORD_SAFE_RECEIPT_LEVEL) return null;
+  const payload = b64url(JSON.stringify({ v: RECEIPT_VERSION, iat: now.toISOString(), rsl: engine.record_safe_level, h: draftHash(out) }));
+  return `${payload}.${b64url(sign(secret, payload))}`;
+}
+
+/**
+ * verifyRecordReceipt(receipt, out) -> { ok: true, issuedAt: Date, recordSafeLevel } | { ok: false, reason }
+ * reason: not_configured | malformed | invalid_signature | mismatch (drafts differ from the generated ones)
+ */
+function verifyRecordReceipt(receipt, out) {
+  const secret = receiptSecret();
+  if (!secret) return { ok: false, reason: "not_configured" };
+
+  const parts = typeof receipt === "string" ? receipt.split(".") : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { ok: false, reason: "malformed" };
+
+  const expected = sign(secret, parts[0]);
+  const got = b64urlDecode(parts[1]);
+  if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) return { ok: false, reason: "invalid_signature" };
+
+  let payload = null;
+  try { payload = JSON.parse(b64urlDecode(parts[0]).toString("utf8")); } catch { payload = null; }
+  const issuedAt = new Date(payload?.iat);
+  if (payload?.v !== RECEIPT_VERSION || Number.isNaN(issuedAt.getTime())) return { ok: false, reason: "malformed" };
+
+  if (payload.h !== draftHash(out)) return { ok: false, reason: "mismatch" };
+  return { ok: true, issuedAt, recordSafeLevel: payload.rsl };
+}
+
+module.exports = {
+  RECORD_SAFE_RECEIPT_LEVEL,
+  issueRecordReceipt,
+  verifyRecordReceipt
+};
@@ -0,0 +1,263 @@
+// api/engine/responseCache.js
+// Idempotency + response cache for /api/generate (double-clicks, refresh after the paywall redirect)
+// - Content key  = sha256 of the canonicalized payload + resolved controls + prompt version/text + model
+// - Idempotency-Key header (scoped to the caller identity) maps to the same entry; reusing a key
+//   with a different payload is refused
+// - Concurrent duplicates wait for the in-flight generation instead of calling the model twice
+// - Entries list the purchase token jtis they were delivered to; only those replay once the token is spent
+// - Store is pluggable: { get(key, { now }) -> entry|null, set(key, entry, { ttlMs, now }) }
+//   Default MemoryResponseStore is per instance (best-effort on Vercel); back with Redis via setResponseCacheStore()
+//
+// RESPONSE_CACHE=off disables; RESPONSE_CACHE_TTL_S (default 600) / RESPONSE_CACHE_MAX_ENTRIES (default 200)
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_S = 600;
+const DEFAULT_MAX_ENTRIES = 200;
+const MAX_ENTRY_BYTES = 256_000; // larger responses are simply not cached
+const MAX_IDEMPOTENCY_KEY_CHARS = 255;
+const IN_FLIGHT_WAIT_MS = 45_000; // longer than a main + insight generation
+const MAX_ENTRY_JTIS = 20; // purchase tokens that may replay one entry (oldest dropped first)
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function positiveInt(name, fallback) {
+  const n = Number(env(name, fallback));
+  return (Number.isInteger(n) && n > 0) ? n : fallback;
+}
+
+function isEnabled() {
+  return String(env("RESPONSE_CACHE", "on")).toLowerCase() !== "off";
+}
+
+function ttlMs() {
+  return positiveInt("RESPONSE_CACHE_TTL_S", DEFAULT_TTL_S) * 1000;
+}
+
+class MemoryResponseStore {
+  constructor({ maxEntries = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.items = new Map(); // key -> { entry, until }
+  }
+
+  async get(key, { now = Date.now() } = {}) {
+    const hit = this.items.get(key);
+    if (!hit) return null;
+    if (hit.until <= now) {
+      this.items.delete(key);
+      return null;
+    }
+    return hit.entry;
+  }
+
+  async set(key, entry, { ttlMs, now = Date.now() }) {
+    this.items.delete(key);
+    this.items.set(key, { entry, until: now + ttlMs });
+    // Insertion order = oldest first (entries are never refreshed on read)
+    const max = this.maxEntries || positiveInt("RESPONSE_CACHE_MAX_ENTRIES", DEFAULT_MAX_ENTRIES);
+    while (this.items.size > max) this.items.delete(this.items.keys().next().value);
+  }
+}
+
+let STORE = new MemoryResponseStore();
+
+function setResponseCacheStore(store) {
+  if (!store || ["get", "set"].some(k => typeof store[k] !== "function")) {
+    throw new Error("RESPONSE_CACHE_STORE invalid");
+  }
+  STORE = store;
+}
+
+// Stable JSON: sorted object keys, so property order never changes the key
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+function normalizeText(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Content fingerprint of everything that shapes the generated response.
+ * key_facts whitespace is collapsed so a re-typed trailing space / newline still hits.
+ */
+function responseCacheKey({ payload, variantCount = 1, controls, prompt, promptVersion, model }) {
+  const canonicalPayload = {
+    ...payload,
+    input: { ...payload.input, key_facts: normalizeText(payload.input?.key_facts) }
+  };
+  return sha256(canonicalJson({
+    v: 1,
+    payload: canonicalPayload,
+    variants: variantCount,
+    controls,
+    prompt_version: promptVersion,
+    prompt_sha: sha256(String(prompt || "")),
+    model
+  }));
+}
+
+/**
+ * Idempotency-Key header -> store key scoped to the caller (session / api key / ip),
+ * null when absent; throws IDEMPOTENCY_KEY_INVALID when malformed.
+ */
+function idempotencyStoreKey(req, identity) {
+  const raw = req.headers?.["idempotency-key"];
+  if (raw === undefined || raw === null || raw === "") return null;
+  const k = String(raw).trim();
+  if (!k || k.length > MAX_IDEMPOTENCY_KEY_CHARS || !/^[\x21-\x7e]+$/.test(k)) {
+    throw new Error("IDEMPOTENCY_KEY_INVALID");
+  }
+  return `idem:${sha256(`${identity}\n${k}`)}`;
+}
+
+// ---------- in-flight dedupe (per instance) ----------
+const IN_FLIGHT = new Map(); // content key -> Promise<void>
+
+/**
+ * Registers a generation for `key`; returns release() (idempotent) or null if one is already running.
+ */
+function claimInFlight(key) {
+  if (IN_FLIGHT.has(key)) return null;
+  let release;
+  const p = new Promise(resolve => { release = resolve; });
+  IN_FLIGHT.set(key, p);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    IN_FLIGHT.delete(key);
+    release();
+  };
+}
+
+async function waitInFlight(key, timeoutMs = IN_FLIGHT_WAIT_MS) {
+  const p = IN_FLIGHT.get(key);
+  if (!p) return;
+  let t;
+  await Promise.race([p, new Promise(resolve => { t = setTimeout(resolve, timeoutMs); })]);
+  clearTimeout(t);
+}
+
+/**
+ * lookupResponse({ contentKey, idemKey }) -> { entry, source: "idempotency" | "content" } | null
+ * Throws IDEMPOTENCY_KEY_REUSED when the Idempotency-Key was used for a different payload.
+ */
+async function lookupResponse({ contentKey, idemKey = null, now = Date.now() }) {
+  if (!isEnabled()) return null;
+  if (idemKey) {
+    const entry = await STORE.get(idemKey, { now });
+    if (entry) {
+      if (entry.content_key !== contentKey) throw new Error("IDEMPOTENCY_KEY_REUSED");
+      return { entry, source: "idempotency" };
+    }
+  }
+  const entry = await STORE.get(contentKey, { now });
+  return entry ? { entry, source: "content" } : null;
+}
+
+// Entries written before jtis existed carry a single `jti`
+function jtisOf(entry) {
+  return Array.isArray(entry?.jtis) ? entry.jtis : entry?.jti ? [entry.jti] : [];
+}
+
+/**
+ * True when the single-use purchase token `jti` paid for (or was served) this entry, so it may replay it.
+ */
+function isPaidBy(entry, jti) {
+  return !!jti && jtisOf(entry).includes(jti);
+}
+
+/**
+ * storeResponse({ contentKey, idemKey, response, jti }) — delivered responses only (a draft whose insight
+ * failed included: it carries its retry token). jti lets the same single-use purchase token replay it.
+ */
+async function storeResponse({ contentKey, idemKey = null, response, jti = null, now = Date.now() }) {
+  if (!isEnabled()) return false;
+  const body = JSON.stringify(response);
+  if (Buffer.byteLength(body, "utf8") > MAX_ENTRY_BYTES) return false;
+
+  const entry = { content_key: contentKey, body, jtis: jti ? [jti] : [], at: now };
+  const opts = { ttlMs: ttlMs(), now };
+  await STORE.set(contentKey, entry, opts);
+  if (idemKey) await STORE.set(idemKey, entry, opts);
+  return true;
+}
+
+/**
+ * aliasResponse({ cached, contentKey, idemKey, jti }) — a fresh purchase token served from the cache is spent
+ * on that entry: record its jti (and this request's Idempotency-Key) so a refresh with it replays too.
+ * Keeps the entry's expiry; false when it is gone or caching is off.
+ */
+async function aliasResponse({ cached, contentKey, idemKey = null, jti, now = Date.now() }) {
+  if (!isEnabled() || !cached?.entry) return false;
+  const remainingMs = cached.entry.at + ttlMs() - now;
+  if (remainingMs <= 0) return false;
+
+  const jtis = jti ? [...jtisOf(cached.entry).filter(j => j !== jti), jti].slice(-MAX_ENTRY_JTIS) : jtisOf(cached.entry);
+  const next = { ...cached.entry, jtis };
+  const opts = { ttlMs: remainingMs, now };
+  await STORE.set(contentKey, next, opts);
+  if (idemKey) await STORE.set(idemKey, next, opts);
+  return true;
+}
+
+/**
+ * updateResponse({ contentKey, idemKey, update }) — rewrites a cached body in place (same jti, same expiry),
+ * e.g. to swap in the insight a retry delivered later. false when the entry is gone or caching is off.
+ */
+async function updateResponse({ contentKey, idemKey = null, update, now = Date.now() }) {
+  if (!isEnabled()) return false;
+  const entry = await STORE.get(contentKey, { now });
+  const remainingMs = entry ? entry.at + ttlMs() - now : 0;
+  if (remainingMs <= 0) return false;
+  const body = JSON.stringify(update(JSON.parse(entry.body)));
+  if (Buffer.byteLength(body, "utf8") > MAX_ENTRY_BYTES) return false;
+
+  const next = { ...entry, body };
+  const opts = { ttlMs: remainingMs, now };
+  await STORE.set(contentKey, next, opts);
+  if (idemKey) await STORE.set(idemKey, next, opts);
+  return true;
+}
+
+/**
+ * Cached response body with a fresh `meta.cache` block.
+ */
+function replayResponse({ entry, source }, now = Date.now()) {
+  const response = JSON.parse(entry.body);
+  response.meta = {
+    ...(response.meta || {}),
+    cache: { hit: true, source, age_s: Math.max(0, Math.round((now - entry.at) / 1000)) }
+  };
+  return response;
+}
+
+module.exports = {
+  MemoryResponseStore,
+  setResponseCacheStore,
+  responseCacheKey,
+  idempotencyStoreKey,
+  claimInFlight,
+  waitInFlight,
+  lookupResponse,
+  storeResponse,
+  aliasResponse,
+  updateResponse,
+  isPaidBy,
+  replayResponse,
+  isResponseCacheEnabled: isEnabled
+};
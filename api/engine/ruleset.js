@@ -0,0 +1,228 @@
+// api/engine/ruleset.js
+// Declarative, versioned engine rulesets (weights + thresholds + ordered rule tables)
+// - Built-in rulesets live in ./rulesets/v<version>.json and are validated at require time
+// - Extra versions load at runtime through the prompt sources (rulesets/v<version>.json),
+//   so product can ship tuning (e.g. v3.1) without a code deploy; an edited file is picked up when the
+//   prompt cache entry expires or is invalidated, built-ins never change
+// - Rule tables are first-match-wins; the last rule must be an unconditional default
+//
+// Rule shape: { id, when?: { fact: value | [values] }, any?: [ { fact: value }, ... ], value }
+//   when -> every listed fact must match (array = "one of"); any -> at least one clause matches
+
+const fs = require("fs");
+const nodePath = require("path");
+const { loadPrompt } = require("./promptLoader");
+
+const DEFAULT_RULESET_VERSION = "3.0";
+
+const FLAG_FACTS = [
+  "continuity_bucket", "ongoing_flag", "repeat_flag", "leverage_flag",
+  "documentation_sensitivity", "reputation_impact", "emotional_fallout", "they_have_leverage",
+  "risk_score", "risk_level"
+];
+
+// Evaluation order: a table may only reference flag facts and decisions computed before it
+const DECISION_ORDER = [
+  "record_safe_level",
+  "tone_recommendation",
+  "detail_recommendation",
+  "insight_candor_level",
+  "direction_suggestion"
+];
+
+const DECISION_VALUES = {
+  record_safe_level: [0, 1, 2],
+  tone_recommendation: ["calm", "neutral", "formal"],
+  detail_recommendation: ["concise", "standard", "detailed"],
+  insight_candor_level: ["low", "moderate", "high"],
+  direction_suggestion: ["maintain", "reset", "disengage"]
+};
+
+const CONSTRAINT_NAMES = ["tone_soften_if_high_risk", "record_safe_mode", "forbidden_patterns_enabled"];
+const RISK_LEVELS = ["low", "moderate", "high"];
+const CONTINUITY_BUCKETS = ["one_time", "short_term", "ongoing"];
+const EXPOSURE_KEYS = ["emotional_fallout", "reputation_impact", "documentation_sensitivity", "they_have_leverage"];
+
+const REGISTRY = new Map(); // version -> frozen ruleset
+const FETCHED = new Map(); // version -> source text, for rulesets loaded through the prompt sources
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function validateTable(name, table, allowedFacts, allowedValues, problems) {
+  if (!Array.isArray(table) || !table.length) {
+    problems.push(`${name}: must be a non-empty rule array`);
+    return;
+  }
+  const ids = new Set();
+  table.forEach((rule, i) => {
+    const where = `${name}[${i}]`;
+    if (!rule || typeof rule !== "object") return problems.push(`${where}: must be an object`);
+    if (!rule.id || typeof rule.id !== "string") problems.push(`${where}: id is required`);
+    else if (ids.has(rule.id)) problems.push(`${where}: duplicate id ${rule.id}`);
+    else ids.add(rule.id);
+
+    if (!allowedValues.some(v => v === rule.value)) {
+      problems.push(`${where}: value ${JSON.stringify(rule.value)} not in ${JSON.stringify(allowedValues)}`);
+    }
+
+    const clauses = [
+      ...(rule.when !== undefined ? [rule.when] : []),
+      ...(rule.any !== undefined ? (Array.isArray(rule.any) ? rule.any : [null]) : [])
+    ];
+    if (rule.any !== undefined && (!Array.isArray(rule.any) || !rule.any.length)) {
+      problems.push(`${where}: any must be a non-empty array`);
+    }
+    for (const clause of clauses) {
+      if (!clause || typeof clause !== "object" || Array.isArray(clause)) {
+        problems.push(`${where}: conditions must be objects`);
+        continue;
+      }
+      for (const fact of Object.keys(clause)) {
+        if (!allowedFacts.includes(fact)) problems.push(`${where}: unknown or not-yet-computed fact "${fact}"`);
+      }
+    }
+
+    const isDefault = rule.when === undefined && rule.any === undefined;
+    if (isDefault && i !== table.length - 1) problems.push(`${where}: unconditional rule must be last`);
+    if (!isDefault && i === table.length - 1) problems.push(`${name}: last rule must be an unconditional default`);
+  });
+}
+
+/**
+ * Throws Error("RULESET_INVALID <problems>") listing every problem found.
+ */
+function validateRuleset(rs) {
+  const problems = [];
+  if (!rs || typeof rs !== "object") throw new Error("RULESET_INVALID not an object");
+
+  if (typeof rs.version !== "string" || !/^[0-9A-Za-z._-]+$/.test(rs.version)) problems.push("version: required string");
+
+  const w = rs.weights || {};
+  for (const b of CONTINUITY_BUCKETS) if (!isNum(w.continuity?.[b])) problems.push(`weights.continuity.${b}: number required`);
+  if (!isNum(w.repeat)) problems.push("weights.repeat: number required");
+  for (const k of EXPOSURE_KEYS) if (!isNum(w.exposure?.[k])) problems.push(`weights.exposure.${k}: number required`);
+
+  const levels = rs.risk_levels;
+  if (!Array.isArray(levels) || levels.length < 2) {
+    problems.push("risk_levels: at least two entries required");
+  } else {
+    levels.forEach((l, i) => {
+      if (!RISK_LEVELS.includes(l?.level)) problems.push(`risk_levels[${i}].level: one of ${RISK_LEVELS.join("|")}`);
+      const last = i === levels.length - 1;
+      if (last && l?.min_score !== undefined) problems.push("risk_levels: last entry is the default and must not have min_score");
+      if (!last && !isNum(l?.min_score)) problems.push(`risk_levels[${i}].min_score: number required`);
+      if (!last && i > 0 && isNum(l?.min_score) && isNum(levels[i - 1]?.min_score) && l.min_score >= levels[i - 1].min_score) {
+        problems.push("risk_levels: min_score must be strictly descending");
+      }
+    });
+  }
+
+  const decisions = rs.decisions || {};
+  DECISION_ORDER.forEach((name, i) => {
+    const facts = [...FLAG_FACTS, ...DECISION_ORDER.slice(0, i)];
+    validateTable(`decisions.${name}`, decisions[name], facts, DECISION_VALUES[name], problems);
+  });
+  for (const k of Object.keys(decisions)) {
+    if (!DECISION_ORDER.includes(k)) problems.push(`decisions.${k}: unknown decision`);
+  }
+
+  const constraints = rs.constraints || {};
+  for (const name of CONSTRAINT_NAMES) {
+    validateTable(`constraints.${name}`, constraints[name], [...FLAG_FACTS, ...DECISION_ORDER], [true, false], problems);
+  }
+
+  if (problems.length) throw new Error(`RULESET_INVALID ${problems.join("; ")}`);
+  return rs;
+}
+
+function deepFreeze(o) {
+  if (o && typeof o === "object" && !Object.isFrozen(o)) {
+    Object.freeze(o);
+    for (const v of Object.values(o)) deepFreeze(v);
+  }
+  return o;
+}
+
+// Built-in and explicitly registered rulesets stay for the life of the instance
+function registerRuleset(rs) {
+  const valid = deepFreeze(validateRuleset(rs));
+  REGISTRY.set(valid.version, valid);
+  FETCHED.delete(valid.version);
+  return valid;
+}
+
+// Built-ins: fail fast at cold start if a shipped ruleset is broken
+for (const file of fs.readdirSync(nodePath.join(__dirname, "rulesets")).filter(f => f.endsWith(".json")).sort()) {
+  registerRuleset(JSON.parse(fs.readFileSync(nodePath.join(__dirname, "rulesets", file), "utf8")));
+}
+
+/**
+ * Sync lookup used by computeEngineDecisions:
+ * - undefined/null -> ENGINE_RULESET env or the default version
+ * - "3.1"          -> a built-in or previously loaded version
+ * - object         -> validated inline ruleset (not registered)
+ */
+function resolveRuleset(ref) {
+  if (ref && typeof ref === "object") return REGISTRY.get(ref.version) === ref ? ref : deepFreeze(validateRuleset(ref));
+  const version = String(ref || process.env.ENGINE_RULESET || DEFAULT_RULESET_VERSION).trim();
+  const rs = REGISTRY.get(version);
+  if (!rs) throw new Error(`RULESET_UNKNOWN ${version}`);
+  return rs;
+}
+
+/**
+ * Async: built-in / registered, or fetched via prompt sources at `rulesets/v<version>.json`
+ * (same ref/path safety and size cap as prompts). Fetched versions go through loadPrompt() on every call,
+ * so they follow its TTL cache and webhook invalidation; the text is re-validated only when it changed.
+ */
+async function loadRuleset(version = process.env.ENGINE_RULESET || DEFAULT_RULESET_VERSION, opts = {}) {
+  const v = String(version || "").trim();
+  if (!/^[0-9A-Za-z._-]+$/.test(v)) throw new Error("RULESET_UNKNOWN invalid version");
+  if (REGISTRY.has(v) && !FETCHED.has(v)) return REGISTRY.get(v);
+
+  const raw = await loadPrompt(`rulesets/v${v}.json`, opts);
+  if (FETCHED.get(v) === raw) return REGISTRY.get(v);
+
+  let parsed = null;
+  try { parsed = JSON.parse(raw); } catch { parsed = null; }
+  if (!parsed) throw new Error("RULESET_INVALID not JSON");
+  if (parsed.version !== v) throw new Error(`RULESET_INVALID version mismatch (${parsed.version} != ${v})`);
+  const rs = registerRuleset(parsed);
+  FETCHED.set(v, raw);
+  return rs;
+}
+
+function listRulesetVersions() {
+  return [...REGISTRY.keys()];
+}
+
+function matchesClause(clause, facts) {
+  return Object.entries(clause).every(([fact, expected]) =>
+    Array.isArray(expected) ? expected.includes(facts[fact]) : facts[fact] === expected
+  );
+}
+
+function ruleMatches(rule, facts) {
+  if (rule.when && !matchesClause(rule.when, facts)) return false;
+  if (rule.any && !rule.any.some(c => matchesClause(c, facts))) return false;
+  return true;
+}
+
+// First matching rule (validated tables always end with a default)
+function evaluateTable(table, facts) {
+  return table.find(rule => ruleMatches(rule, facts));
+}
+
+module.exports = {
+  DEFAULT_RULESET_VERSION,
+  DECISION_ORDER,
+  validateRuleset,
+  registerRuleset,
+  resolveRuleset,
+  loadRuleset,
+  listRulesetVersions,
+  evaluateTable,
+  ruleMatches
+};
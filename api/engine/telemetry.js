@@ -0,0 +1,250 @@
+// api/engine/telemetry.js
+// Structured request logs + Prometheus-style metrics + W3C trace context
+// - One JSON log line per request: stage timings, model, package, risk_level, prompt cache, error code
+//   Only whitelisted fields are logged; free-text (error messages) is scrubbed of the user's key facts
+// - Metrics go to a pluggable sink: { inc(name, labels, value), observe(name, labels, value) }
+//   Default MemoryMetrics keeps counters / histograms per instance and renders the Prometheus text format,
+//   served by GET /api/metrics
+// - Inbound `traceparent` (00-<trace-id>-<parent-id>-<flags>) is continued; otherwise a new trace starts.
+//   traceparentOf(log.trace) is sent on the provider calls (llm.js), with this request's span as their parent
+//
+// LOG_REQUESTS=off silences the log line (metrics still record)
+
+const crypto = require("crypto");
+
+const DURATION_BUCKETS_S = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+const MAX_LOGGED_MESSAGE_CHARS = 300;
+const REDACTED = "[REDACTED]";
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+// ---------- trace context ----------
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function parseTraceparent(header) {
+  const m = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header || "").trim().toLowerCase());
+  if (!m || m[1] === "ff") return null;
+  // All-zero ids are invalid per spec
+  if (/^0+$/.test(m[2]) || /^0+$/.test(m[3])) return null;
+  return { trace_id: m[2], parent_span_id: m[3], flags: m[4] };
+}
+
+function traceContext(req) {
+  const inbound = parseTraceparent(req.headers?.traceparent);
+  const span_id = randomHex(8);
+  return {
+    trace_id: inbound?.trace_id || randomHex(16),
+    parent_span_id: inbound?.parent_span_id || null,
+    span_id,
+    flags: inbound?.flags || "01",
+    continued: !!inbound
+  };
+}
+
+function traceparentOf(trace) {
+  return `00-${trace.trace_id}-${trace.span_id}-${trace.flags}`;
+}
+
+function newRequestId() {
+  return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+// ---------- redaction ----------
+
+/**
+ * Removes the user's key facts (whole text and any long line of it) from a free-text string.
+ */
+function redactText(text, secrets = []) {
+  let out = String(text ?? "");
+  for (const secret of secrets) {
+    const s = String(secret || "").trim();
+    if (!s) continue;
+    const pieces = [s, ...s.split(/\r?\n/).map(x => x.trim()).filter(x => x.length >= 12)];
+    for (const p of pieces) out = out.split(p).join(REDACTED);
+  }
+  return out.length > MAX_LOGGED_MESSAGE_CHARS ? `${out.slice(0, MAX_LOGGED_MESSAGE_CHARS)}…` : out;
+}
+
+// ---------- metrics ----------
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}="${String(labels[k]).replace(/["\\\n]/g, "_")}"`).join(",");
+}
+
+class MemoryMetrics {
+  constructor({ buckets = DURATION_BUCKETS_S } = {}) {
+    this.buckets = buckets;
+    this.counters = new Map();   // name -> Map(labelKey -> value)
+    this.histograms = new Map(); // name -> Map(labelKey -> { counts[], sum, count })
+  }
+
+  inc(name, labels = {}, value = 1) {
+    if (!this.counters.has(name)) this.counters.set(name, new Map());
+    const series = this.counters.get(name);
+    const k = labelKey(labels);
+    series.set(k, (series.get(k) || 0) + value);
+  }
+
+  observe(name, labels = {}, value) {
+    if (!this.histograms.has(name)) this.histograms.set(name, new Map());
+    const series = this.histograms.get(name);
+    const k = labelKey(labels);
+    const h = series.get(k) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((b, i) => { if (value <= b) h.counts[i]++; });
+    h.sum += value;
+    h.count++;
+    series.set(k, h);
+  }
+
+  // Prometheus text exposition format
+  render() {
+    const lines = [];
+    for (const [name, series] of this.counters) {
+      lines.push(`# TYPE ${name} counter`);
+      for (const [k, v] of series) lines.push(`${name}{${k}} ${v}`);
+    }
+    for (const [name, series] of this.histograms) {
+      lines.push(`# TYPE ${name} histogram`);
+      for (const [k, h] of series) {
+        const sep = k ? "," : "";
+        this.buckets.forEach((b, i) => lines.push(`${name}_bucket{${k}${sep}le="${b}"} ${h.counts[i]}`));
+        lines.push(`${name}_bucket{${k}${sep}le="+Inf"} ${h.count}`);
+        lines.push(`${name}_sum{${k}} ${Math.round(h.sum * 1000) / 1000}`);
+        lines.push(`${name}_count{${k}} ${h.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+const DEFAULT_METRICS = new MemoryMetrics();
+let METRICS = DEFAULT_METRICS;
+let LOG_SINK = (line) => console.log(line);
+
+function setMetricsSink(sink) {
+  if (!sink || ["inc", "observe"].some(k => typeof sink[k] !== "function")) throw new Error("METRICS_SINK invalid");
+  METRICS = sink;
+}
+
+function setLogSink(fn) {
+  if (typeof fn !== "function") throw new Error("LOG_SINK invalid");
+  LOG_SINK = fn;
+}
+
+// Counters recorded outside a request log (e.g. prompt cache hits / misses)
+function incMetric(name, labels = {}, value = 1) {
+  METRICS.inc(name, labels, value);
+}
+
+function renderMetrics() {
+  return typeof METRICS.render === "function" ? METRICS.render() : DEFAULT_METRICS.render();
+}
+
+// ---------- per-request log ----------
+
+const LOGGED_FIELDS = [
+  "package", "include_analysis", "locale", "mode", "variants", "model", "risk_level", "ruleset_version", "control_conflict",
+  "control_corrections", "prompt_variant", "prompt_version", "prompt_cache", "response_cache", "stream", "pii_level",
+  "pii_redactions", "insight_status", "format", "error_code", "error_stage"
+];
+
+/**
+ * startRequestLog({ req, route }) -> { requestId, trace, stage(name) -> end(), set(fields), redact(secret),
+ *   error(code, message, stage), finish({ status }) }
+ * Stage timings are wall-clock ms; finish() emits the log line and the metrics exactly once.
+ */
+function startRequestLog({ req, route }) {
+  const t0 = Date.now();
+  const trace = traceContext(req);
+  const requestId = newRequestId();
+  const timings = {};
+  const fields = {};
+  const secrets = [];
+  const open = new Set();
+  let errorMessage = null;
+  let finished = false;
+
+  return {
+    requestId,
+    trace,
+
+    // Returns end(); stages still open at finish() (early returns) are closed there
+    stage(name) {
+      const s = Date.now();
+      const end = () => {
+        if (!open.has(end)) return;
+        open.delete(end);
+        timings[name] = (timings[name] || 0) + (Date.now() - s);
+      };
+      open.add(end);
+      return end;
+    },
+
+    set(values) {
+      for (const [k, v] of Object.entries(values || {})) {
+        if (LOGGED_FIELDS.includes(k) && v !== undefined) fields[k] = v;
+      }
+    },
+
+    // Free text that must never reach the logs (the user's key facts)
+    redact(secret) {
+      if (secret) secrets.push(secret);
+    },
+
+    error(code, message = null, stage = null) {
+      fields.error_code = code;
+      if (stage) fields.error_stage = stage;
+      if (message) errorMessage = message;
+    },
+
+    finish({ status }) {
+      if (finished) return;
+      finished = true;
+      for (const end of [...open]) end();
+      const durationMs = Date.now() - t0;
+      const errorCode = fields.error_code || "none";
+      const model = fields.model || "none";
+
+      METRICS.inc(`clearbound_${route}_requests_total`, { status: String(status), error_code: errorCode, model, package: fields.package || "none" });
+      METRICS.observe(`clearbound_${route}_duration_seconds`, { error_code: errorCode, model }, durationMs / 1000);
+      for (const [stage, ms] of Object.entries(timings)) {
+        METRICS.observe(`clearbound_${route}_stage_duration_seconds`, { stage }, ms / 1000);
+      }
+
+      if (String(env("LOG_REQUESTS", "on")).toLowerCase() === "off") return;
+      LOG_SINK(JSON.stringify({
+        level: status >= 500 ? "error" : status >= 400 ? "warn" : "info",
+        msg: `${route} ${status}`,
+        ts: new Date(t0).toISOString(),
+        route,
+        request_id: requestId,
+        trace_id: trace.trace_id,
+        span_id: trace.span_id,
+        parent_span_id: trace.parent_span_id,
+        status,
+        duration_ms: durationMs,
+        timings_ms: timings,
+        ...fields,
+        ...(errorMessage ? { error_message: redactText(errorMessage, secrets) } : {})
+      }));
+    }
+  };
+}
+
+module.exports = {
+  startRequestLog,
+  parseTraceparent,
+  traceparentOf,
+  redactText,
+  MemoryMetrics,
+  setMetricsSink,
+  setLogSink,
+  incMetric,
+  renderMetrics
+};
@@ -0,0 +1,100 @@
+// api/export/index.js
+// POST /api/export { format, out, engine?, record_receipt?, locale?, time_zone? } — renders a generated draft
+// server-side as a file download (md | txt | docx | pdf)
+// - `out` is the `data` object returned by /api/generate (message_text / email_text / insight); `engine`
+//   is its engine block (risk level, tone, ruleset version), shown as details only
+// - Same layout in every format (engine/exportDocument.js): title, generation timestamp, sections, disclaimer_line;
+//   the dated RECORD COPY header needs the `record_receipt` /api/generate returned for a record-safe result
+//   (422 when it does not verify against `out`); timestamps come from the receipt or the server clock
+// - No model call and no entitlement check: it only re-renders text the client already holds
+// - Rate limited on the "export" bucket; locale from body.locale, else Accept-Language
+
+const { json, setCors, rejectDisallowedOrigin, isJsonRequest, readJsonBody } = require("../engine/http");
+const { DEFAULT_LOCALE, normalizeLocale, localeFromAcceptLanguage, localizeError } = require("../engine/locale");
+const { validateExportRequest, buildExportDocument, renderExport } = require("../engine/exportDocument");
+const { readSessionId } = require("../engine/experiments");
+const { checkRateLimit } = require("../engine/rateLimit");
+const { startRequestLog } = require("../engine/telemetry");
+
+async function handleExport(req, res, { log }) {
+  setCors(req, res, {
+    allowHeaders: ["Content-Type", "Authorization", "X-Session-Id"],
+    exposeHeaders: ["Content-Disposition", "Retry-After", "X-Request-Id"]
+  });
+  if (rejectDisallowedOrigin(req, res)) return;
+
+  let messageLocale = localeFromAcceptLanguage(req) || DEFAULT_LOCALE;
+  const err = (status, errBody) => {
+    log.error(errBody.error, errBody.message, errBody.stage);
+    return json(res, status, localizeError(errBody, messageLocale, status));
+  };
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    return err(405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  if (!isJsonRequest(req)) {
+    return err(415, { ok: false, error: "UNSUPPORTED_MEDIA_TYPE" });
+  }
+
+  const endParse = log.stage("parse");
+  const parsed = await readJsonBody(req);
+  if (parsed.error) return err(parsed.status, parsed.error);
+  const body = parsed.body;
+  messageLocale = normalizeLocale(body.locale) || messageLocale;
+
+  const validation = validateExportRequest({ ...body, locale: messageLocale });
+  log.set({ format: validation.clean.format || undefined, locale: messageLocale });
+  if (!validation.ok) {
+    return err(422, { ok: false, error: "INVALID_INPUT", errors: validation.errors });
+  }
+  endParse();
+
+  let limited;
+  try {
+    limited = await checkRateLimit({ req, sessionId: readSessionId(req, body), pkg: "export" });
+  } catch (e) {
+    return err(500, { ok: false, error: "RATE_LIMIT_CONFIG_INVALID", message: String(e?.message || e) });
+  }
+  if (!limited.allowed) {
+    res.setHeader("Retry-After", String(limited.retryAfterS));
+    return err(429, { ok: false, error: "RATE_LIMITED", limit: limited.limit, retry_after_s: limited.retryAfterS });
+  }
+
+  const { format, ...docInput } = validation.clean;
+  const endRender = log.stage("render");
+  let file;
+  try {
+    file = renderExport(buildExportDocument(docInput), format);
+  } catch (e) {
+    return err(500, { ok: false, error: "EXPORT_RENDER_FAILED", message: String(e?.message || e), stage: "render" });
+  }
+  endRender();
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+  res.setHeader("Content-Length", String(file.body.length));
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Referrer-Policy", "no-referrer");
+  res.end(file.body);
+}
+
+module.exports = async (req, res) => {
+  const log = startRequestLog({ req, route: "export" });
+  res.setHeader("X-Request-Id", log.requestId);
+  try {
+    return await handleExport(req, res, { log });
+  } catch (e) {
+    log.error("UNHANDLED", String(e?.message || e));
+    throw e;
+  } finally {
+    log.finish({ status: res.statusCode || 500 });
+  }
+};
@@ -5,193 +5,239 @@
 // - engine/index.js mismatch no longer relied on
 // - payload now supports v3-native: continuity / happened_before / exposure
 // - user-selected tone/detail/direction respected (engine used as fallback defaults only)
-
+// - opt-in SSE streaming: delta / repair / regenerate / insight_start / insight_done / done / error events
+// - LLM calls go through engine/llm.js (provider:model refs + failover)
+// - model output validated per package (engine/outputSchema.js) with one repair round-trip
+// - forbidden-pattern post-filter (engine/forbiddenPatterns.js): regenerate once or report; constraint_check.skipped
+//   when no pattern covers the draft locale
+// - prompt front-matter (engine/promptTemplate.js) drives model tier / temperature / max tokens / timeout
+// - input validated field-by-field (engine/inputSchema.js): 422 INVALID_INPUT, or warnings in lenient mode;
+//   missing / too-short key_facts stays 400 MISSING_FACTS
+// - engine computes on canonical V3 input (engine/migrateInput.js); legacy V2 fields reported as deprecations
+// - follow-up mode (body.state.conversation): reply signals re-score risk, direction kept unless risk rose
+// - body.variants (1..3): baseline / softer / firmer drafts generated concurrently, scored, one recommended
+// - state.locale (en|ko|ja): localized prompt files (English fallback), formality hints, localized user_message on errors
+// - response cache (engine/responseCache.js): content hash + Idempotency-Key, in-flight dedupe, meta.cache / X-Cache
+// - PII redaction (engine/pii.js): key_facts / constraints / intent and tone hints / conversation turns go to the
+//   model with placeholders, restored in output
+// - record-safe results carry a signed record_receipt (engine/recordReceipt.js) for /api/export record copies
+// - insight failure is partial success: draft returned with insight_status + insight_retry token (POST /api/generate/insight)
+// - telemetry (engine/telemetry.js): one redacted JSON log line per request, metrics (GET /api/metrics), X-Request-Id,
+//   traceparent continued on the provider calls
+// - user tone / detail / direction overrides checked against the engine (engine/controlPolicy.js): control_warnings
+//   with none / minor / major severity; CONTROL_POLICY floors checked for every control (control_corrections
+//   when the engine pick itself is under one) and applied when enforce_floors is set
+// - prompts preloaded on cold start (engine/promptPreload.js, PROMPTS_PRELOAD=off to disable)
+
+const { json, setCors, rejectDisallowedOrigin, isJsonRequest, readJsonBody } = require("../engine/http");
 const { computeEngineDecisions } = require("../engine/compute");
-const { loadPrompt } = require("../engine/promptLoader");
+const { pickRawPayload, coercePayload, toEngineInput } = require("../engine/payload");
+const { validateInput, isMissingFacts, resolveValidationMode } = require("../engine/inputSchema");
+const { migrateInputToV3 } = require("../engine/migrateInput");
+const { detectReplySignals, applyReplySignals, resolveFollowUpDirection } = require("../engine/followUp");
+const { MAX_VARIANTS, parseVariantCount, planVariants } = require("../engine/draftVariants");
+const { scoreDraft, pickRecommended } = require("../engine/draftScore");
+const {
+  responseCacheKey, idempotencyStoreKey, claimInFlight, waitInFlight, lookupResponse, storeResponse, aliasResponse,
+  replayResponse, isPaidBy, isResponseCacheEnabled
+} = require("../engine/responseCache");
+const { DEFAULT_LOCALE, normalizeLocale, localeFromAcceptLanguage, localizeError, localeContext } = require("../engine/locale");
+const { loadRuleset } = require("../engine/ruleset");
+const { loadPromptTemplate } = require("../engine/promptTemplate");
+const { combineCacheStatus } = require("../engine/promptLoader");
+const { startRequestLog, traceparentOf } = require("../engine/telemetry");
+const { redactPii, restorePii, restorePiiPartial } = require("../engine/pii");
+const { assignPromptVariant, readSessionId } = require("../engine/experiments");
+const { checkRateLimit, clientIp } = require("../engine/rateLimit");
+const { verifyEntitlement } = require("../engine/entitlement");
+const {
+  pickModel, isTimeoutError, generateValidated, enforceConstraints, stageSpec, schemaViolation, piiInstructions,
+  runInsightStage
+} = require("../engine/generation");
+const { createInsightRetry } = require("../engine/insightRetry");
+const { analyzeControls } = require("../engine/controlPolicy");
+const { issueRecordReceipt } = require("../engine/recordReceipt");
+const { warmPromptsOnColdStart } = require("../engine/promptPreload");
+
+// Cold start: warm every prompt in the background; the first request joins the in-flight fetches
+warmPromptsOnColdStart();
+
+/**
+ * Best-effort read of a (possibly incomplete) JSON string field from a partial object text.
+ * e.g. '{"message_text":"Hi Sam,\\nThanks' -> "Hi Sam,\nThanks"
+ * Returns null if the field has not started yet. Never throws.
+ */
+function readPartialJsonString(raw, field) {
+  const m = new RegExp(`"${field}"\\s*:\\s*"`).exec(raw);
+  if (!m) return null;
+
+  const ESC = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+  let out = "";
+  let i = m.index + m[0].length;
+
+  while (i < raw.length) {
+    const c = raw[i];
+    if (c === '"') break;
+    if (c !== "\\") {
+      out += c;
+      i++;
+      continue;
+    }
 
-function json(res, status, body) {
-  res.statusCode = status;
-  res.setHeader("Content-Type", "application/json; charset=utf-8");
-  res.setHeader("Cache-Control", "no-store");
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("Referrer-Policy", "no-referrer");
-  res.end(JSON.stringify(body));
-}
+    // Incomplete escape at the end of the buffer: stop and wait for more text
+    const next = raw[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = raw.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+      continue;
+    }
+    out += ESC[next] ?? next;
+    i += 2;
+  }
 
-function getAllowedOrigin() {
-  // e.g. "https://useclearbound.com,https://clearbound.app"
-  return String(process.env.ALLOW_ORIGIN || "*").trim();
+  return out;
 }
 
-function isOriginAllowed(reqOrigin, allow) {
-  if (!reqOrigin) return true; // allow server-to-server
-  if (allow === "*") return true;
-  const allowed = allow.split(",").map(s => s.trim()).filter(Boolean);
-  return allowed.includes(reqOrigin);
+function wantsStream(req, body) {
+  const accept = String(req.headers?.accept || "").toLowerCase();
+  return accept.includes("text/event-stream") || body?.stream === true;
 }
 
-function setCors(req, res) {
-  const allow = getAllowedOrigin();
-  const origin = req.headers?.origin;
-
-  if (allow === "*") {
-    res.setHeader("Access-Control-Allow-Origin", "*");
-  } else if (origin && isOriginAllowed(origin, allow)) {
-    res.setHeader("Access-Control-Allow-Origin", origin);
-    res.setHeader("Vary", "Origin");
-  }
+function sseStart(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Referrer-Policy", "no-referrer");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+}
 
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.setHeader("Access-Control-Max-Age", "86400");
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-function safeParseJson(str) {
-  try { return JSON.parse(str); } catch { return null; }
+// Streams draft text fields as `delta` events while the model is still writing.
+// bundle_message_text is reported as message_text (same as the normalized output).
+// PII placeholders are restored on the fly; a half-written placeholder waits for the next chunk.
+function makeDraftDeltaEmitter(res, vault = null) {
+  const FIELDS = [
+    ["message_text", "message_text"],
+    ["bundle_message_text", "message_text"],
+    ["email_text", "email_text"]
+  ];
+  const sent = {};
+
+  return (accumulated) => {
+    for (const [src, field] of FIELDS) {
+      const partial = readPartialJsonString(accumulated, src);
+      if (partial == null) continue;
+      const value = restorePiiPartial(partial, vault);
+      const prev = sent[src] || 0;
+      if (value.length > prev) {
+        sseSend(res, "delta", { field, text: value.slice(prev) });
+        sent[src] = value.length;
+      }
+    }
+  };
 }
 
-async function readRawBody(req, maxBytes = 200_000) {
-  return await new Promise((resolve, reject) => {
-    let size = 0;
-    let buf = "";
-    req.on("data", (chunk) => {
-      const s = chunk.toString("utf8");
-      size += Buffer.byteLength(s, "utf8");
-      if (size > maxBytes) return reject(new Error("BODY_TOO_LARGE"));
-      buf += s;
-    });
-    req.on("end", () => resolve(buf));
-    req.on("error", (e) => reject(e));
+/**
+ * One draft: schema-validated generation, then the constraint check (optional single regeneration).
+ * Resolves to { ok: true, check } or { ok: false, result } on a schema violation; LLM errors propagate.
+ * emit(event, data) forwards repair / regenerate progress (SSE); `variant` tags events in variant mode.
+ */
+async function generateDraft({ spec, constraints, locale, variant = null, onDelta = null, emit = null }) {
+  const tag = variant ? { stage: "main", variant } : { stage: "main" };
+
+  const result = await generateValidated({
+    ...spec,
+    onDelta,
+    onRepair: emit ? (errors) => emit("repair", { ...tag, fields: errors }) : null
+  });
+  if (!result.ok) return { ok: false, result };
+
+  const check = await enforceConstraints({
+    result,
+    target: "draft",
+    constraints,
+    locale,
+    ...spec,
+    onRegenerate: emit ? (violations) => emit("regenerate", { ...tag, violations }) : null
   });
+  return { ok: true, check };
 }
 
-function pickModel(engine, include_analysis) {
-  const modelDefault = process.env.MODEL_DEFAULT || "gpt-4.1-mini";
-  const modelHighRisk = process.env.MODEL_HIGH_RISK || "gpt-4.1";
-  const modelAnalysis = process.env.MODEL_ANALYSIS || "gpt-4.1";
-
-  if (include_analysis) return modelAnalysis;
-  if (engine?.risk_level === "high") return modelHighRisk;
-  return modelDefault;
+// Variant posture as the prompt template sees it: controls.tone and engine.insight_candor_level
+function variantPromptVars(promptVars, v) {
+  return {
+    ...promptVars,
+    controls: { ...promptVars.controls, tone: v.tone },
+    engine: { ...promptVars.engine, insight_candor_level: v.candor }
+  };
 }
 
-async function openaiChat({ model, system, user, timeoutMs = 22_000, requestId = "" }) {
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error("OPENAI_API_KEY missing");
-
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-
-  try {
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      signal: ac.signal,
-      headers: {
-        "Authorization": `Bearer ${key}`,
-        "Content-Type": "application/json",
-        ...(requestId ? { "X-Request-Id": requestId } : {})
-      },
-      body: JSON.stringify({
-        model,
-        temperature: 0.2,
-        response_format: { type: "json_object" },
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: user }
-        ]
-      })
-    });
-
-    const raw = await r.text();
-    const data = safeParseJson(raw);
-
-    if (!r.ok) {
-      const msg = data?.error?.message || raw.slice(0, 300);
-      throw new Error(`OPENAI_FAILED ${r.status} ${msg}`);
-    }
-
-    const text = data?.choices?.[0]?.message?.content;
-    if (!text) throw new Error("OPENAI_EMPTY");
-    return text;
-  } finally {
-    clearTimeout(t);
-  }
+// Variant posture in the payload too, so the rendered prompt and PAYLOAD_JSON agree
+function variantLlmInput(llmInput, v) {
+  return {
+    ...llmInput,
+    input: { ...llmInput.input, tone: v.tone, candor: v.candor },
+    engine: { ...llmInput.engine, insight_candor_level: v.candor },
+    ...(llmInput.locale ? { locale: localeContext(llmInput.locale.code, v.tone) } : {}),
+    variant: v
+  };
 }
 
-function buildPayload(state) {
-  const s = state || {};
-
-  // UI sends: { state: payloadState } where payloadState has context/paywall + tone/detail/direction top-level
-  const paywall = s?.context?.paywall || s?.paywall || {};
-  const pkg = paywall.package || null;
-
-  const ctx = s?.context || {};
-  const risk_scan = ctx.risk_scan || s?.risk_scan || {};
-  const situation_type = ctx.situation_type || (s?.context_builder?.situation_type) || null;
-
-  const key_facts = ctx.key_facts || (s?.context_builder?.key_facts) || "";
-  const main_concerns = ctx.main_concerns || (s?.context_builder?.main_concerns) || [];
-  const constraints = ctx.constraints || (s?.context_builder?.constraints) || [];
-
-  // ✅ v3-native (optional but preferred when present)
-  const continuity = ctx.continuity ?? s?.continuity ?? null;                // one_time|short_term|ongoing
-  const happened_before = ctx.happened_before ?? s?.happened_before ?? null; // boolean|null
-  const exposure = ctx.exposure ?? s?.exposure ?? null;                      // array|null
-  const leverage_flag = ctx.leverage_flag ?? s?.leverage_flag ?? null;       // optional boolean
-
-  const user_intent = s?.intent?.value || s?.intent || null;
-  const user_tone = s?.user_tone?.value || s?.user_tone || s?.user_tone_hint || null;
-  const user_depth = ctx.depth || s?.depth || null;
-
-  // UI uses addon_insight; legacy uses include_analysis
-  const include_analysis = !!(paywall.addon_insight ?? paywall.include_analysis);
+function normalizeDraft(obj, pkg) {
+  // Bundle prompts answer with bundle_message_text; single-package prompts with message_text
+  return {
+    message_text: (pkg === "bundle" ? obj.bundle_message_text || obj.message_text : obj.message_text || obj.bundle_message_text) || null,
+    email_text: obj.email_text || null
+  };
+}
 
+function draftConstraintCheck(check, variant = null) {
+  const tag = variant ? { stage: "main", variant } : { stage: "main" };
   return {
-    package: pkg, // message|email|bundle
-    include_analysis,
-    input: {
-      situation_type,
-      risk_scan: {
-        impact: risk_scan.impact || null,
-        continuity: risk_scan.continuity || null // high|mid|low (legacy) OR null
-      },
-      // ✅ v3-native passthrough
-      continuity,
-      happened_before,
-      exposure: Array.isArray(exposure) ? exposure : (exposure == null ? null : []),
-      leverage_flag: (typeof leverage_flag === "boolean") ? leverage_flag : null,
-
-      key_facts: String(key_facts || ""),
-      main_concerns: Array.isArray(main_concerns) ? main_concerns : [],
-      constraints: Array.isArray(constraints) ? constraints : [],
-      user_intent,
-      user_tone,
-      user_depth,
-
-      // ✅ top-level controls from UI (authoritative when present)
-      tone: s?.tone?.value || s?.tone || null,
-      detail: s?.detail?.value || s?.detail || null,
-      direction: s?.direction?.value || s?.direction || null
-    }
+    ok: check.violations.length === 0,
+    regenerated: check.regenerated,
+    violations: check.violations.map(v => ({ ...tag, ...v })),
+    // No pattern written for the draft locale: not checked, so ok proves nothing here
+    ...(check.skipped ? { skipped: [{ ...tag, ...check.skipped }] } : {})
   };
 }
 
-function resolveFinalControls(payload, engine) {
+function resolveFinalControls(payload, engine, followUp = null, locale = DEFAULT_LOCALE) {
   // ✅ User selections win; engine provides fallback defaults
+  // (follow-up: the previously sent direction is kept unless the reply raised the risk level)
+  // Overrides are compared with the engine picks (control_warnings); policy floors cover every control
   const inp = payload?.input || {};
-  return {
-    tone: inp.tone || engine.tone_recommendation,
-    detail: inp.detail || engine.detail_recommendation,
-    direction: inp.direction || engine.direction_suggestion || "reset"
-  };
+  return analyzeControls({
+    requested: { tone: inp.tone || null, detail: inp.detail || null, direction: inp.direction || null },
+    recommended: {
+      tone: engine.tone_recommendation,
+      detail: engine.detail_recommendation,
+      direction: followUp?.direction || engine.direction_suggestion || "reset"
+    },
+    engine,
+    locale
+  });
 }
 
-function systemPreamble() {
+function followUpInstructions() {
   return [
-    "You are ClearBound.",
-    "You generate structured communication drafts.",
-    "You do not provide advice, do not predict outcomes, do not use legal framing.",
-    "Return ONE JSON object only. No markdown. No extra text."
+    "",
+    "---",
+    "",
+    "FOLLOW_UP_MODE:",
+    "The user already sent PAYLOAD_JSON.conversation.previous_draft and the other party answered with conversation.counterpart_reply.",
+    "Write the user's next reply to that answer, not a new opening message.",
+    "Stay consistent with the previous draft: do not contradict it, do not repeat it, keep the requested direction.",
+    "Respond only to what the reply actually says; do not mirror its tone."
   ].join("\n");
 }
 
@@ -199,19 +245,20 @@ function shouldReturnEngine() {
   return String(process.env.RETURN_ENGINE || "").trim() === "1";
 }
 
-function isJsonRequest(req) {
-  const ct = String(req.headers?.["content-type"] || "").toLowerCase();
-  return ct.includes("application/json");
-}
-
-module.exports = async (req, res) => {
-  setCors(req, res);
+async function handleGenerate(req, res, ctx) {
+  const { log } = ctx;
+  setCors(req, res, {
+    allowHeaders: ["Content-Type", "Authorization", "X-Session-Id", "X-Api-Key", "Idempotency-Key"],
+    exposeHeaders: ["Retry-After", "X-Cache", "X-Request-Id"]
+  });
+  if (rejectDisallowedOrigin(req, res)) return;
 
-  const allow = getAllowedOrigin();
-  const origin = req.headers?.origin;
-  if (allow !== "*" && origin && !isOriginAllowed(origin, allow)) {
-    return json(res, 403, { ok: false, error: "ORIGIN_NOT_ALLOWED" });
-  }
+  // Error bodies get a localized user_message: request locale once known, Accept-Language until then
+  let messageLocale = localeFromAcceptLanguage(req) || DEFAULT_LOCALE;
+  const err = (status, errBody) => {
+    log.error(errBody.error, errBody.message, errBody.stage);
+    return json(res, status, localizeError(errBody, messageLocale, status));
+  };
 
   if (req.method === "OPTIONS") {
     res.statusCode = 204;
@@ -219,131 +266,422 @@ module.exports = async (req, res) => {
   }
 
   if (req.method !== "POST") {
-    return json(res, 405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+    return err(405, { ok: false, error: "METHOD_NOT_ALLOWED" });
   }
 
   if (!isJsonRequest(req)) {
-    return json(res, 415, { ok: false, error: "UNSUPPORTED_MEDIA_TYPE" });
+    return err(415, { ok: false, error: "UNSUPPORTED_MEDIA_TYPE" });
   }
 
   // Parse body
-  let body = req.body;
-
-  if (!body) {
-    try {
-      const raw = await readRawBody(req);
-      body = safeParseJson(raw);
-    } catch (e) {
-      const msg = String(e?.message || e);
-      if (msg.includes("BODY_TOO_LARGE")) return json(res, 413, { ok: false, error: "BODY_TOO_LARGE" });
-      return json(res, 400, { ok: false, error: "BAD_REQUEST", message: "Invalid body" });
-    }
-  } else if (typeof body === "string") {
-    body = safeParseJson(body);
+  const endParse = log.stage("parse");
+  const parsed = await readJsonBody(req);
+  if (parsed.error) return err(parsed.status, parsed.error);
+  const body = parsed.body;
+
+  const state = body.state || body;
+  const rawPayload = pickRawPayload(state);
+  messageLocale = normalizeLocale(rawPayload.locale) || messageLocale;
+  // Key facts / conversation turns must never reach the logs (error messages can echo model input)
+  for (const secret of [rawPayload.input?.key_facts, rawPayload.conversation?.previous_draft, rawPayload.conversation?.counterpart_reply]) {
+    if (typeof secret === "string") log.redact(secret);
   }
 
-  if (!body || typeof body !== "object") {
-    return json(res, 400, { ok: false, error: "BAD_REQUEST", message: "Invalid JSON body" });
+  if (!rawPayload.package) {
+    return err(400, { ok: false, error: "MISSING_PACKAGE" });
   }
 
-  const state = body.state || body;
-  const payload = buildPayload(state);
+  // Field-level validation (V2 + V3 shapes, controls, facts gate); lenient mode downgrades to warnings
+  const validation = validateInput(rawPayload, { mode: resolveValidationMode(body) });
+  if (!validation.ok) {
+    if (isMissingFacts(validation.errors)) {
+      // Same status / code / message as before field validation; the field errors ride along
+      return err(400, { ok: false, error: "MISSING_FACTS", message: "Facts too short", errors: validation.errors, warnings: validation.warnings });
+    }
+    return err(422, { ok: false, error: "INVALID_INPUT", errors: validation.errors, warnings: validation.warnings });
+  }
+  const payload = coercePayload(validation.clean);
 
-  if (!payload.package) {
-    return json(res, 400, { ok: false, error: "MISSING_PACKAGE" });
+  // Drafts follow the request locale only (never Accept-Language); engine decisions are unaffected
+  const locale = payload.locale || DEFAULT_LOCALE;
+  log.set({
+    package: payload.package,
+    include_analysis: payload.include_analysis,
+    locale,
+    mode: payload.conversation ? "follow_up" : "initial",
+    stream: wantsStream(req, body)
+  });
+
+  const variantCount = parseVariantCount(body.variants);
+  if (variantCount === null) {
+    return err(422, {
+      ok: false,
+      error: "INVALID_INPUT",
+      errors: [{ path: "variants", code: "out_of_range", message: `must be an integer from 1 to ${MAX_VARIANTS}` }],
+      warnings: validation.warnings
+    });
   }
+  log.set({ variants: variantCount });
+  endParse();
+
+  const sessionId = readSessionId(req, body);
 
-  // Facts min gate
-  const facts = (payload.input.key_facts || "").trim();
-  if (facts.length < 20) {
-    return json(res, 400, { ok: false, error: "MISSING_FACTS", message: "Facts too short" });
+  // Client IP as the trusted proxies saw it (RATE_LIMIT_TRUSTED_HOPS)
+  let ip;
+  try {
+    ip = clientIp(req);
+  } catch (e) {
+    return err(500, { ok: false, error: "RATE_LIMIT_CONFIG_INVALID", message: String(e?.message || e) });
   }
 
-  // 1) Engine compute (deterministic)
-  const engine = computeEngineDecisions({
-    risk_scan: payload.input.risk_scan,
-    situation_type: payload.input.situation_type,
-    main_concerns: payload.input.main_concerns,
-    constraints: payload.input.constraints,
-
-    // ✅ v3-native pass-through
-    continuity: payload.input.continuity,
-    happened_before: payload.input.happened_before,
-    exposure: payload.input.exposure,
-    leverage_flag: payload.input.leverage_flag
-  });
+  // Idempotency-Key is scoped to the caller so two users can never collide on the same key
+  let idemKey;
+  try {
+    const apiKey = String(req.headers?.["x-api-key"] || "").trim().slice(0, 64);
+    idemKey = idempotencyStoreKey(req, sessionId ? `session:${sessionId}` : apiKey ? `key:${apiKey}` : `ip:${ip}`);
+  } catch {
+    return err(400, { ok: false, error: "IDEMPOTENCY_KEY_INVALID" });
+  }
 
-  const controls = resolveFinalControls(payload, engine);
-  const model = pickModel(engine, payload.include_analysis);
+  // Paywall: the signed purchase token decides package / insight, not client paywall state.
+  // An already-used token may still replay the cached response it paid for (checked at the cache lookup).
+  let replayJti = null;
+  try {
+    ctx.entitlement = await verifyEntitlement({ req, pkg: payload.package, include_analysis: payload.include_analysis });
+  } catch (e) {
+    if (e?.reason === "already_used" && e.jti && isResponseCacheEnabled()) {
+      replayJti = e.jti;
+    } else {
+      if (e?.code === "ENTITLEMENT_REQUIRED") return err(402, { ok: false, error: e.code, reason: e.reason });
+      if (e?.code === "ENTITLEMENT_MISMATCH") return err(403, { ok: false, error: e.code, reason: e.reason });
+      if (String(e?.message || e) === "ENTITLEMENT_STORE_FULL") return err(503, { ok: false, error: "ENTITLEMENT_STORE_FULL" });
+      return err(500, { ok: false, error: "ENTITLEMENT_NOT_CONFIGURED", message: String(e?.message || e) });
+    }
+  }
 
-  // 2) Load prompts
-  const basePath = "prompts/v1";
-  const promptPath =
-    payload.package === "message" ? `${basePath}/message.prompt.md` :
-    payload.package === "email"   ? `${basePath}/email.prompt.md` :
-    payload.package === "bundle"  ? `${basePath}/bundle.prompt.md` :
-    null;
+  // 1) Engine compute (deterministic, versioned ruleset — ENGINE_RULESET, default built-in v3.0)
+  const endEngine = log.stage("engine");
+  let ruleset;
+  try {
+    ruleset = await loadRuleset();
+  } catch (e) {
+    return err(500, { ok: false, error: "RULESET_LOAD_FAILED", message: String(e?.message || e) });
+  }
+  // Engine always runs on canonical V3; legacy fields consumed along the way are reported back
+  const migrated = migrateInputToV3(toEngineInput(payload));
+  const conversation = payload.conversation;
+
+  // Follow-up mode: re-score with the counterpart's reply folded in (baseline = same input, no reply)
+  let engine;
+  let followUp = null;
+  if (conversation) {
+    const baseline = computeEngineDecisions(migrated.input, { ruleset });
+    const reply = detectReplySignals(conversation.counterpart_reply, locale);
+    engine = computeEngineDecisions(applyReplySignals(migrated.input, reply.signals), { ruleset });
+    followUp = {
+      reply_signals: reply.signals,
+      matches: reply.matches,
+      ...resolveFollowUpDirection({ conversation, baseline, engine })
+    };
+  } else {
+    engine = computeEngineDecisions(migrated.input, { ruleset });
+  }
 
-  if (!promptPath) {
-    return json(res, 400, { ok: false, error: "UNKNOWN_PACKAGE" });
+  let controlCheck;
+  try {
+    controlCheck = resolveFinalControls(payload, engine, followUp, messageLocale);
+  } catch (e) {
+    return err(500, { ok: false, error: "CONTROL_POLICY_INVALID", message: String(e?.message || e) });
   }
+  const controls = controlCheck.controls;
+  const model = pickModel(engine, payload.include_analysis);
+  endEngine();
+  log.set({ risk_level: engine.risk_level, ruleset_version: engine.ruleset_version, control_conflict: controlCheck.severity,
+    control_corrections: controlCheck.corrections.length });
 
-  let mainPrompt;
+  // Names / contacts in free text never reach the model (validation above already saw the real text)
+  let pii;
   try {
-    mainPrompt = await loadPrompt(promptPath);
+    pii = redactPii({
+      key_facts: payload.input.key_facts,
+      constraints: payload.input.constraints,
+      user_intent: payload.input.user_intent,
+      user_tone: payload.input.user_tone,
+      ...(conversation ? { previous_draft: conversation.previous_draft, counterpart_reply: conversation.counterpart_reply } : {})
+    });
   } catch (e) {
-    return json(res, 500, { ok: false, error: "PROMPT_LOAD_FAILED", message: String(e?.message || e) });
+    return err(500, { ok: false, error: "PII_CONFIG_INVALID", message: String(e?.message || e) });
   }
+  log.set({
+    pii_level: pii.summary.level,
+    pii_redactions: Object.values(pii.summary.redacted).reduce((a, n) => a + n, 0)
+  });
 
-  // 3) Build LLM input
+  // 2) Build LLM input
   const llmInput = {
     package: payload.package,
     include_analysis: payload.include_analysis,
     input: {
       ...payload.input,
+      key_facts: pii.texts.key_facts,
+      constraints: pii.texts.constraints,
+      user_intent: pii.texts.user_intent,
+      user_tone: pii.texts.user_tone,
       tone: controls.tone,
       detail: controls.detail,
       direction: controls.direction
     },
-    engine
+    engine,
+    ...(locale !== DEFAULT_LOCALE ? { locale: localeContext(locale, controls.tone) } : {}),
+    ...(conversation ? {
+      mode: "follow_up",
+      conversation: {
+        previous_draft: pii.texts.previous_draft,
+        counterpart_reply: pii.texts.counterpart_reply,
+        reply_signals: followUp.reply_signals
+      }
+    } : {})
   };
 
-  const requestId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  // Variables available to {{...}} in prompt templates
+  const promptVars = {
+    package: payload.package,
+    include_analysis: payload.include_analysis,
+    mode: conversation ? "follow_up" : "initial",
+    locale,
+    engine,
+    controls
+  };
 
-  // 4) Main generation call
-  let mainText;
+  // 3) Prompt variant (A/B by session hash, or pinned by internal callers)
+  const endPromptLoad = log.stage("prompt_load");
+  let variant;
   try {
-    mainText = await openaiChat({
-      model,
-      system: systemPreamble(),
-      user: `${mainPrompt}\n\n---\n\nPAYLOAD_JSON:\n${JSON.stringify(llmInput)}`,
-      timeoutMs: 22_000,
-      requestId
-    });
+    variant = assignPromptVariant({ req, sessionId });
   } catch (e) {
     const msg = String(e?.message || e);
-    const isTimeout = msg.includes("aborted") || msg.includes("AbortError");
-    return json(res, 502, {
-      ok: false,
-      error: isTimeout ? "GENERATION_TIMEOUT" : "GENERATION_FAILED",
-      message: msg
+    if (msg === "PROMPT_PIN_FORBIDDEN") return err(403, { ok: false, error: "PROMPT_PIN_FORBIDDEN" });
+    if (msg === "PROMPT_PIN_INVALID") return err(400, { ok: false, error: "PROMPT_PIN_INVALID" });
+    return err(500, { ok: false, error: "EXPERIMENT_CONFIG_INVALID", message: msg });
+  }
+
+  // 4) Load prompts (front-matter + partials + variables)
+  const basePath = variant.base_path;
+  const promptOpts = { vars: promptVars, ref: variant.ref, locale };
+  const promptPath =
+    payload.package === "message" ? `${basePath}/message.prompt.md` :
+    payload.package === "email"   ? `${basePath}/email.prompt.md` :
+    payload.package === "bundle"  ? `${basePath}/bundle.prompt.md` :
+    null;
+
+  if (!promptPath) {
+    return err(400, { ok: false, error: "UNKNOWN_PACKAGE" });
+  }
+
+  // With variants, each posture renders the template with its own tone / candor (partials read controls.tone)
+  const plan = planVariants({ count: variantCount, controls, engine, floors: controlCheck.floors });
+  const multi = plan.length > 1;
+
+  let mainTemplate;
+  let variantTemplates = null;
+  try {
+    mainTemplate = await loadPromptTemplate(promptPath, promptOpts);
+    if (multi) {
+      variantTemplates = await Promise.all(plan.map(v =>
+        loadPromptTemplate(promptPath, { ...promptOpts, vars: variantPromptVars(promptVars, v) })));
+    }
+  } catch (e) {
+    return err(500, { ok: false, error: "PROMPT_LOAD_FAILED", message: String(e?.message || e) });
+  }
+
+  endPromptLoad();
+  log.set({
+    prompt_variant: variant.variant,
+    prompt_version: mainTemplate.meta.version,
+    prompt_cache: mainTemplate.cache
+  });
+
+  // Same id in logs, X-Request-Id and the provider calls; provider calls also continue this request's trace
+  const requestId = log.requestId;
+  const traceparent = traceparentOf(log.trace);
+
+  const draftSpec = (template, input, id) => {
+    const spec = stageSpec({
+      template,
+      fallbackKind: payload.package,
+      fallbackModel: model,
+      defaultTimeoutMs: 22_000,
+      llmInput: input,
+      requestId: id,
+      traceparent,
+      locale
     });
+    if (followUp) spec.prompt += followUpInstructions();
+    if (pii.vault.size) spec.prompt += piiInstructions();
+    return spec;
+  };
+  const mainSpec = draftSpec(mainTemplate, llmInput, requestId);
+  const specs = multi
+    ? plan.map((v, i) => draftSpec(variantTemplates[i], variantLlmInput(llmInput, v), `${requestId}-${v.name}`))
+    : [mainSpec];
+
+  // ✅ echoed so the frontend can log outcomes per variant
+  const meta = {
+    prompt_variant: variant,
+    prompt_versions: { main: mainTemplate.meta.version },
+    // requested locale + locale of each prompt actually served (English fallback when a file is missing)
+    locale: { requested: locale, prompts: { main: mainTemplate.locale || DEFAULT_LOCALE } }
+  };
+  // Counts per type only, never the values
+  if (pii.summary.level !== "off") meta.pii = pii.summary;
+
+  // Response cache: double-clicks / refreshes / Idempotency-Key retries skip the model entirely
+  const contentKey = responseCacheKey({
+    payload,
+    variantCount,
+    controls,
+    prompt: mainSpec.prompt,
+    promptVersion: mainTemplate.meta.version,
+    model: mainSpec.model
+  });
+
+  let cached = null;
+  try {
+    cached = await lookupResponse({ contentKey, idemKey });
+    if (!cached && isResponseCacheEnabled()) {
+      ctx.releaseInFlight = claimInFlight(contentKey);
+      if (!ctx.releaseInFlight) {
+        // Same request already generating on this instance: wait for it instead of paying twice
+        await waitInFlight(contentKey);
+        cached = await lookupResponse({ contentKey, idemKey });
+        if (!cached) ctx.releaseInFlight = claimInFlight(contentKey);
+      }
+    }
+  } catch (e) {
+    if (String(e?.message || e) === "IDEMPOTENCY_KEY_REUSED") {
+      return err(422, { ok: false, error: "IDEMPOTENCY_KEY_REUSED", message: "Idempotency-Key was used with a different request" });
+    }
+    cached = null; // store trouble is never fatal: generate as if it were a miss
   }
 
-  const mainObj = safeParseJson(mainText);
-  if (!mainObj || typeof mainObj !== "object") {
-    return json(res, 502, {
-      ok: false,
-      error: "MODEL_RETURNED_NON_JSON",
-      message: "Model output was not valid JSON",
-      raw: String(mainText || "").slice(0, 1200)
+  if (replayJti && !isPaidBy(cached?.entry, replayJti)) {
+    return err(402, { ok: false, error: "ENTITLEMENT_REQUIRED", reason: "already_used" });
+  }
+
+  log.set({ model: mainSpec.model, response_cache: cached ? "hit" : "miss" });
+
+  if (cached) {
+    // A fresh token is spent on this entry (committed below): alias it so its own refresh replays too
+    const jti = ctx.entitlement?.jti;
+    if (jti && !isPaidBy(cached.entry, jti)) {
+      await aliasResponse({ cached, contentKey, idemKey, jti }).catch(() => false);
+    }
+    const replay = replayResponse(cached);
+    ctx.succeeded = true;
+    res.setHeader("X-Cache", "HIT");
+    if (wantsStream(req, body)) {
+      sseStart(res);
+      sseSend(res, "done", replay);
+      return res.end();
+    }
+    return json(res, 200, replay);
+  }
+
+  // Abuse control: token buckets per ip / api key / session, per package (+ insight).
+  // Only a miss spends tokens: cache hits never reach the model.
+  let limited;
+  try {
+    limited = await checkRateLimit({
+      req,
+      sessionId,
+      pkg: payload.package,
+      include_analysis: payload.include_analysis,
+      cost: variantCount
+    });
+  } catch (e) {
+    return err(500, { ok: false, error: "RATE_LIMIT_CONFIG_INVALID", message: String(e?.message || e) });
+  }
+  if (!limited.allowed) {
+    res.setHeader("Retry-After", String(limited.retryAfterS));
+    return err(429, { ok: false, error: "RATE_LIMITED", limit: limited.limit, retry_after_s: limited.retryAfterS });
+  }
+  res.setHeader("X-Cache", "MISS");
+
+  // ✅ Opt-in streaming (Accept: text/event-stream or body.stream === true).
+  // Errors before this point stay plain JSON; after it they are sent as an `error` event.
+  const stream = wantsStream(req, body);
+  if (stream) sseStart(res);
+
+  const fail = (status, errBody) => {
+    if (!stream) return err(status, errBody);
+    log.error(errBody.error, errBody.message, errBody.stage);
+    sseSend(res, "error", localizeError(errBody, messageLocale, status));
+    return res.end();
+  };
+
+  // 5) Draft generation (schema-validated, one bounded repair) + 5b) deterministic constraint check
+  // (forbidden patterns / record-safe / high-risk tone). With variants, all postures run concurrently
+  // from their own rendering of the prompt and are ranked by draftScore; deltas are only streamed for a single draft.
+  const endGeneration = log.stage("generation");
+  const emit = stream ? (event, data) => sseSend(res, event, data) : null;
+
+  const settled = await Promise.allSettled(plan.map((v, i) => generateDraft({
+    spec: specs[i],
+    constraints: engine.constraints,
+    locale,
+    variant: multi ? v.name : null,
+    onDelta: (stream && !multi) ? makeDraftDeltaEmitter(res, pii.vault) : null,
+    emit
+  })));
+
+  endGeneration();
+  const drafts = settled.map((r, i) => ({ ...plan[i], settled: r }));
+  const good = drafts.filter(d => d.settled.status === "fulfilled" && d.settled.value.ok);
+
+  if (!good.length) {
+    const first = drafts[0].settled;
+    if (first.status === "rejected") {
+      return fail(502, {
+        ok: false,
+        error: isTimeoutError(first.reason) ? "GENERATION_TIMEOUT" : "GENERATION_FAILED",
+        message: String(first.reason?.message || first.reason)
+      });
+    }
+    return fail(502, schemaViolation("main", first.value.result));
+  }
+
+  for (const d of good) {
+    d.draft = restorePii(normalizeDraft(d.settled.value.check.result.obj, payload.package), pii.vault);
+    if (multi) d.score = scoreDraft({ out: d.draft, engine, pkg: payload.package, locale });
+  }
+  const chosen = multi ? pickRecommended(good) : good[0];
+
+  const constraintCheck = draftConstraintCheck(chosen.settled.value.check, multi ? chosen.name : null);
+
+  let variants = null;
+  if (multi) {
+    variants = drafts.map(d => {
+      const base = { name: d.name, tone: d.tone, candor: d.candor };
+      if (d.draft) {
+        return { ...base, ok: true, data: d.draft, score: d.score, constraint_check: draftConstraintCheck(d.settled.value.check, d.name) };
+      }
+      const r = d.settled;
+      const error = r.status === "rejected"
+        ? (isTimeoutError(r.reason) ? "GENERATION_TIMEOUT" : "GENERATION_FAILED")
+        : "OUTPUT_SCHEMA_VIOLATION";
+      return { ...base, ok: false, error };
     });
+    if (stream) {
+      sseSend(res, "variants", {
+        recommended_variant: chosen.name,
+        scores: variants.map(v => ({ name: v.name, ok: v.ok, total: v.score?.total ?? null }))
+      });
+    }
   }
 
   // Normalize output
   const out = {
-    message_text: mainObj.message_text || mainObj.bundle_message_text || null,
-    email_text: mainObj.email_text || null,
+    ...chosen.draft,
 
     // ✅ insight: object (preferred for UI)
     insight: null,
@@ -352,54 +690,113 @@ module.exports = async (req, res) => {
     analysis_text: null
   };
 
-  // 5) Optional Insight call
+  // 6) Optional Insight call. Partial success: a failed / timed-out insight never discards the draft
+  // (already generated and paid for); the response carries insight_status + a retry token instead.
+  let insightStatus = null;
+  let insightRetry = null;
+  let insightError = null;
   if (payload.include_analysis) {
-    let insightPrompt;
-    try {
-      insightPrompt = await loadPrompt(`${basePath}/insight.prompt.md`);
-    } catch (e) {
-      return json(res, 500, { ok: false, error: "INSIGHT_PROMPT_LOAD_FAILED", message: String(e?.message || e) });
-    }
+    if (stream) sseSend(res, "insight_start", { ok: true });
+
+    const endInsight = log.stage("insight");
+    const insightJob = {
+      promptPath: `${basePath}/insight.prompt.md`,
+      promptOpts,
+      llmInput,
+      constraints: engine.constraints,
+      fallbackModel: process.env.MODEL_ANALYSIS || model,
+      requestId: `${requestId}-insight`,
+      locale,
+      vault: pii.vault
+    };
+    const insight = await runInsightStage({
+      ...insightJob,
+      traceparent,
+      onRepair: stream ? (errors) => sseSend(res, "repair", { stage: "insight", fields: errors }) : null,
+      onRegenerate: stream ? (violations) => sseSend(res, "regenerate", { stage: "insight", violations }) : null
+    });
+    endInsight();
 
-    let insightText;
-    try {
-      insightText = await openaiChat({
-        model: process.env.MODEL_ANALYSIS || model,
-        system: systemPreamble(),
-        user: `${insightPrompt}\n\n---\n\nPAYLOAD_JSON:\n${JSON.stringify(llmInput)}`,
-        timeoutMs: 16_000,
-        requestId: `${requestId}-insight`
-      });
-    } catch (e) {
-      const msg = String(e?.message || e);
-      const isTimeout = msg.includes("aborted") || msg.includes("AbortError");
-      return json(res, 502, {
-        ok: false,
-        error: isTimeout ? "INSIGHT_TIMEOUT" : "INSIGHT_FAILED",
-        message: msg
-      });
+    if (insight.template) {
+      meta.prompt_versions.insight = insight.template.version;
+      meta.locale.prompts.insight = insight.template.locale;
+      log.set({ prompt_cache: combineCacheStatus(mainTemplate.cache, insight.template.cache) });
     }
 
-    const insightObj = safeParseJson(insightText);
-
-    // ✅ Prefer object for UI
-    if (insightObj && typeof insightObj === "object") {
-      out.insight = insightObj;
-      out.analysis_text = JSON.stringify(insightObj, null, 2);
+    if (insight.ok) {
+      insightStatus = "ok";
+      out.insight = insight.insight;
+      out.analysis_text = insight.analysis_text;
+      constraintCheck.violations.push(...insight.violations.map(v => ({ stage: "insight", ...v })));
+      constraintCheck.regenerated = constraintCheck.regenerated || insight.regenerated;
+      if (insight.skipped) constraintCheck.skipped = [...(constraintCheck.skipped || []), { stage: "insight", ...insight.skipped }];
+      constraintCheck.ok = constraintCheck.violations.length === 0;
     } else {
-      out.insight = { insight_title: "Strategic Insight", insight_sections: [], disclaimer_line: String(insightText || "") };
-      out.analysis_text = String(insightText || "");
+      insightStatus = insight.status;
+      insightError = localizeError(insight.error, messageLocale, 502);
+      insightRetry = await createInsightRetry(insightJob, { cache: { contentKey, idemKey } }).catch(() => null);
     }
-  }
+    log.set({ insight_status: insightStatus });
 
-  // Bundle: ensure both exist if provided
-  if (payload.package === "bundle") {
-    out.message_text = mainObj.bundle_message_text || out.message_text || null;
-    out.email_text = mainObj.email_text || out.email_text || null;
+    if (stream) {
+      sseSend(res, "insight_done", insight.ok
+        ? { ok: true, insight: out.insight }
+        : { ok: false, insight_status: insightStatus, error: insightError, insight_retry: insightRetry });
+    }
   }
 
-  const response = { ok: true, data: out };
+  // ✅ constraint_check proves (or flags) that drafts respect engine.constraints
+  const response = { ok: true, data: out, constraint_check: constraintCheck, meta };
+  if (validation.warnings.length) response.warnings = validation.warnings;
+  if (migrated.deprecations.length) response.deprecations = migrated.deprecations;
+  if (controlCheck.warnings.length) response.control_warnings = controlCheck.warnings;
+  if (controlCheck.corrections.length) response.control_corrections = controlCheck.corrections;
+  if (followUp) response.follow_up = followUp;
+  if (variants) {
+    response.variants = variants;
+    response.recommended_variant = chosen.name;
+  }
+  if (insightStatus) response.insight_status = insightStatus;
+  if (insightError) {
+    response.insight_error = insightError;
+    response.insight_retry = insightRetry;
+  }
   if (shouldReturnEngine()) response.engine = engine;
+  // Record-safe drafts: signed generation time + draft hash, the only way /api/export prints a record header
+  const recordReceipt = issueRecordReceipt({ out, engine });
+  if (recordReceipt) response.record_receipt = recordReceipt;
+
+  // Partial responses are cached too: the purchase token is spent on the draft, so a refresh must replay it
+  // (with the same retry token); a successful /api/generate/insight swaps the insight into this entry
+  await storeResponse({ contentKey, idemKey, response, jti: ctx.entitlement?.jti || null }).catch(() => false);
+  response.meta.cache = { hit: false };
+
+  ctx.succeeded = true;
+
+  if (stream) {
+    // Final event carries exactly the same body as the non-streaming JSON response
+    sseSend(res, "done", response);
+    return res.end();
+  }
 
   return json(res, 200, response);
+}
+
+module.exports = async (req, res) => {
+  const log = startRequestLog({ req, route: "generate" });
+  res.setHeader("X-Request-Id", log.requestId);
+
+  const ctx = { log, entitlement: null, succeeded: false, releaseInFlight: null };
+  try {
+    return await handleGenerate(req, res, ctx);
+  } catch (e) {
+    log.error("UNHANDLED", String(e?.message || e));
+    throw e;
+  } finally {
+    log.finish({ status: res.statusCode || 500 });
+    // Waiting duplicates re-check the cache once this resolves (the response is stored before it)
+    if (ctx.releaseInFlight) ctx.releaseInFlight();
+    // Single-use purchase tokens are only burned by a delivered draft
+    if (ctx.entitlement) await ctx.entitlement.settle(ctx.succeeded).catch(() => {});
+  }
 };
@@ -0,0 +1,164 @@
+// api/generate/insight.js
+// POST /api/generate/insight { retry_token } — regenerates only the insight after it failed or timed out
+// in /api/generate. The draft is never regenerated: the stored job (same redacted llmInput, prompt, model,
+// constraints) is replayed through the insight stage alone.
+// - No entitlement check: the token is only issued to a paid request, and is consumed by a delivered insight
+// - Rate limited on the "insight" bucket only
+// - Failed retries answer 502 with the same token while attempts remain (insight_retry.attempts_left)
+// - A delivered insight is swapped into the cached /api/generate response, so a refresh replays the full result
+
+const { json, setCors, rejectDisallowedOrigin, isJsonRequest, readJsonBody } = require("../engine/http");
+const { DEFAULT_LOCALE, localeFromAcceptLanguage, localizeError } = require("../engine/locale");
+const { runInsightStage } = require("../engine/generation");
+const { takeInsightRetry, completeInsightRetry } = require("../engine/insightRetry");
+const { updateResponse } = require("../engine/responseCache");
+const { readSessionId } = require("../engine/experiments");
+const { checkRateLimit } = require("../engine/rateLimit");
+const { startRequestLog, traceparentOf } = require("../engine/telemetry");
+
+// Cached partial /api/generate body -> the body it would have had if the insight succeeded the first time
+function withInsight(response, insight, constraintCheck, meta) {
+  const { insight_error, insight_retry, ...rest } = response;
+  const previous = rest.constraint_check || { violations: [] };
+  const violations = [...(previous.violations || []), ...constraintCheck.violations];
+  const skipped = [...(previous.skipped || []), ...(constraintCheck.skipped || [])];
+  return {
+    ...rest,
+    data: { ...rest.data, insight: insight.insight, analysis_text: insight.analysis_text },
+    insight_status: "ok",
+    constraint_check: {
+      ...previous,
+      ok: violations.length === 0,
+      regenerated: Boolean(previous.regenerated || constraintCheck.regenerated),
+      violations,
+      ...(skipped.length ? { skipped } : {})
+    },
+    meta: {
+      ...rest.meta,
+      prompt_versions: { ...rest.meta?.prompt_versions, ...meta.prompt_versions },
+      locale: { ...rest.meta?.locale, prompts: { ...rest.meta?.locale?.prompts, ...meta.locale.prompts } }
+    }
+  };
+}
+
+async function handleInsightRetry(req, res, { log }) {
+  setCors(req, res, {
+    allowHeaders: ["Content-Type", "Authorization", "X-Session-Id"],
+    exposeHeaders: ["Retry-After", "X-Request-Id"]
+  });
+  if (rejectDisallowedOrigin(req, res)) return;
+
+  let messageLocale = localeFromAcceptLanguage(req) || DEFAULT_LOCALE;
+  const err = (status, errBody) => {
+    log.error(errBody.error, errBody.message, errBody.stage);
+    return json(res, status, localizeError(errBody, messageLocale, status));
+  };
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    return err(405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  if (!isJsonRequest(req)) {
+    return err(415, { ok: false, error: "UNSUPPORTED_MEDIA_TYPE" });
+  }
+
+  const endParse = log.stage("parse");
+  const parsed = await readJsonBody(req);
+  if (parsed.error) return err(parsed.status, parsed.error);
+  const body = parsed.body;
+
+  const token = typeof body.retry_token === "string" ? body.retry_token.trim() : "";
+  if (!token) return err(400, { ok: false, error: "MISSING_RETRY_TOKEN" });
+  endParse();
+
+  let limited;
+  try {
+    limited = await checkRateLimit({ req, sessionId: readSessionId(req, body), pkg: "insight" });
+  } catch (e) {
+    return err(500, { ok: false, error: "RATE_LIMIT_CONFIG_INVALID", message: String(e?.message || e) });
+  }
+  if (!limited.allowed) {
+    res.setHeader("Retry-After", String(limited.retryAfterS));
+    return err(429, { ok: false, error: "RATE_LIMITED", limit: limited.limit, retry_after_s: limited.retryAfterS });
+  }
+
+  let retry;
+  try {
+    retry = await takeInsightRetry(token);
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (msg === "INSIGHT_RETRY_NOT_FOUND") return err(404, { ok: false, error: msg });
+    if (msg === "INSIGHT_RETRY_EXHAUSTED") return err(409, { ok: false, error: msg });
+    return err(500, { ok: false, error: "INSIGHT_RETRY_STORE_FAILED", message: msg });
+  }
+
+  const { job } = retry;
+  for (const value of job.vault.values()) log.redact(value);
+  messageLocale = job.locale || messageLocale;
+  log.set({ package: job.llmInput?.package, locale: job.locale, model: job.fallbackModel });
+
+  const endInsight = log.stage("insight");
+  const insight = await runInsightStage({ ...job, requestId: `${log.requestId}-insight`, traceparent: traceparentOf(log.trace) });
+  endInsight();
+  log.set({ insight_status: insight.ok ? "ok" : insight.status });
+
+  const meta = {
+    prompt_versions: {},
+    locale: { requested: job.locale || DEFAULT_LOCALE, prompts: {} }
+  };
+  if (insight.template) {
+    meta.prompt_versions.insight = insight.template.version;
+    meta.locale.prompts.insight = insight.template.locale;
+    log.set({ prompt_version: insight.template.version, prompt_cache: insight.template.cache });
+  }
+
+  if (!insight.ok) {
+    return err(502, {
+      ...insight.error,
+      insight_status: insight.status,
+      insight_retry: retry.attempts_left > 0
+        ? { token, attempts_left: retry.attempts_left, expires_in_s: retry.expires_in_s }
+        : null,
+      meta
+    });
+  }
+
+  await completeInsightRetry(token).catch(() => {});
+
+  const constraintCheck = {
+    ok: insight.violations.length === 0,
+    regenerated: insight.regenerated,
+    violations: insight.violations.map(v => ({ stage: "insight", ...v })),
+    ...(insight.skipped ? { skipped: [{ stage: "insight", ...insight.skipped }] } : {})
+  };
+  if (retry.cache) {
+    await updateResponse({ ...retry.cache, update: (cached) => withInsight(cached, insight, constraintCheck, meta) })
+      .catch(() => false);
+  }
+
+  return json(res, 200, {
+    ok: true,
+    data: { insight: insight.insight, analysis_text: insight.analysis_text },
+    insight_status: "ok",
+    constraint_check: constraintCheck,
+    meta
+  });
+}
+
+module.exports = async (req, res) => {
+  const log = startRequestLog({ req, route: "generate_insight" });
+  res.setHeader("X-Request-Id", log.requestId);
+  try {
+    return await handleInsightRetry(req, res, { log });
+  } catch (e) {
+    log.error("UNHANDLED", String(e?.message || e));
+    throw e;
+  } finally {
+    log.finish({ status: res.statusCode || 500 });
+  }
+};
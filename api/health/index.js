@@ -0,0 +1,27 @@
+// api/health/index.js
+// GET /api/health — liveness only: the function boots and answers. No env, prompt or provider checks
+// (those are /api/ready), no telemetry line (probes would flood the logs).
+
+const { json, setCors } = require("../engine/http");
+
+const STARTED_AT = Date.now();
+
+module.exports = async (req, res) => {
+  setCors(req, res, { methods: "GET, HEAD, OPTIONS" });
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return json(res, 405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  return json(res, 200, {
+    ok: true,
+    status: "ok",
+    uptime_s: Math.round((Date.now() - STARTED_AT) / 1000),
+    commit: (process.env.VERCEL_GIT_COMMIT_SHA || "").slice(0, 12) || null
+  });
+};
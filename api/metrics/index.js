@@ -0,0 +1,34 @@
+// api/metrics/index.js
+// GET /api/metrics — Prometheus text exposition of this instance's metrics (X-Internal-Key = INTERNAL_API_KEY)
+// Request counters / durations per route, stage durations, prompt cache hits (engine/telemetry.js).
+// Per instance: each instance counts its own requests. A custom sink (setMetricsSink) without render()
+// exports elsewhere and this route serves the in-memory default.
+// No telemetry line (scrapes would flood the logs and count themselves).
+
+const { json, setCors } = require("../engine/http");
+const { isInternalCaller } = require("../engine/experiments");
+const { renderMetrics } = require("../engine/telemetry");
+
+module.exports = async (req, res) => {
+  setCors(req, res, { methods: "GET, OPTIONS", allowHeaders: ["X-Internal-Key"] });
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "GET") {
+    return json(res, 405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  // Also closed when INTERNAL_API_KEY is unset
+  if (!isInternalCaller(req)) {
+    return json(res, 401, { ok: false, error: "INTERNAL_KEY_REQUIRED" });
+  }
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  return res.end(renderMetrics());
+};
@@ -0,0 +1,33 @@
+// api/ready/index.js
+// GET /api/ready — readiness: 200 when this deploy can serve /api/generate, 503 with the failing checks otherwise
+// - required env (provider keys for the effective models, PROMPTS_REPO for the github source, ENTITLEMENT_SECRET)
+// - PROMPTS_REF / experiment refs (assertSafeRef), ruleset
+// - message / email / bundle / insight prompts load for every prompt variant (warms the prompt cache)
+// - prompt cache state
+// Reports env var names only, never values. No telemetry line (probes would flood the logs).
+
+const { json, setCors } = require("../engine/http");
+const { checkReadiness } = require("../engine/readiness");
+
+module.exports = async (req, res) => {
+  setCors(req, res, { methods: "GET, OPTIONS" });
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.method !== "GET") {
+    return json(res, 405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  const t0 = Date.now();
+  const result = await checkReadiness();
+  return json(res, result.ok ? 200 : 503, {
+    ok: result.ok,
+    status: result.ok ? "ready" : "not_ready",
+    checks: result.checks,
+    prompt_cache: result.prompt_cache,
+    ms: Date.now() - t0
+  });
+};
@@ -0,0 +1,130 @@
+// api/webhooks/prompts/index.js
+// POST /api/webhooks/prompts — GitHub push webhook for PROMPTS_REPO: evicts the prompt cache entries of the
+// paths the push changed, on the pushed branch / tag, so a prompt fix is served without waiting for the TTL
+// - X-Hub-Signature-256 (HMAC-SHA256 of the raw body, PROMPTS_WEBHOOK_SECRET) is required; unset secret = 503
+// - "ping" answers 200; other events, other repositories and non-branch/tag refs answer 202 ignored
+// - added / modified / removed paths of every pushed commit; a created / deleted / force push evicts the whole ref
+// - No re-fetch here: raw.githubusercontent.com may still serve the old file briefly, the next load refetches
+// The cache is per instance: only the instance that receives the delivery is cleared.
+
+const crypto = require("crypto");
+const { json, readRawBytes, safeParseJson } = require("../../engine/http");
+const { invalidatePromptCache } = require("../../engine/promptLoader");
+const { startRequestLog } = require("../../engine/telemetry");
+
+const MAX_WEBHOOK_BYTES = 2_000_000;
+
+function env(name, fallback = null) {
+  const v = process.env[name];
+  return (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+}
+
+function verifySignature(raw, header, secret) {
+  const m = /^sha256=([0-9a-f]{64})$/i.exec(String(header || "").trim());
+  if (!m) return false;
+  const expected = crypto.createHmac("sha256", secret).update(raw).digest();
+  const got = Buffer.from(m[1], "hex");
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+// "refs/heads/main" -> "main", "refs/tags/v3" -> "v3"
+function refName(ref) {
+  const m = /^refs\/(?:heads|tags)\/(.+)$/.exec(String(ref || ""));
+  return m ? m[1] : null;
+}
+
+function changedPaths(payload) {
+  const paths = new Set();
+  for (const c of Array.isArray(payload.commits) ? payload.commits : []) {
+    for (const list of [c?.added, c?.modified, c?.removed]) {
+      for (const p of Array.isArray(list) ? list : []) {
+        // Unsafe paths can never be cache keys
+        if (typeof p === "string" && p && !p.includes("..") && !p.startsWith("/")) paths.add(p);
+      }
+    }
+  }
+  return [...paths];
+}
+
+async function handlePromptsWebhook(req, res, { log }) {
+  const err = (status, errBody) => {
+    log.error(errBody.error, errBody.message);
+    return json(res, status, errBody);
+  };
+
+  if (req.method !== "POST") {
+    return err(405, { ok: false, error: "METHOD_NOT_ALLOWED" });
+  }
+
+  const secret = env("PROMPTS_WEBHOOK_SECRET");
+  if (!secret) {
+    return err(503, { ok: false, error: "WEBHOOK_NOT_CONFIGURED" });
+  }
+
+  // The signature covers the exact bytes, so a body the platform already parsed cannot be verified
+  let raw;
+  if (Buffer.isBuffer(req.body) || typeof req.body === "string") {
+    raw = Buffer.from(req.body);
+  } else if (req.body) {
+    return err(400, { ok: false, error: "RAW_BODY_UNAVAILABLE" });
+  } else {
+    try {
+      raw = await readRawBytes(req, MAX_WEBHOOK_BYTES);
+    } catch (e) {
+      if (String(e?.message || e).includes("BODY_TOO_LARGE")) return err(413, { ok: false, error: "BODY_TOO_LARGE" });
+      return err(400, { ok: false, error: "BAD_REQUEST", message: "Invalid body" });
+    }
+  }
+
+  if (!verifySignature(raw, req.headers?.["x-hub-signature-256"], secret)) {
+    return err(401, { ok: false, error: "WEBHOOK_SIGNATURE_INVALID" });
+  }
+
+  const event = String(req.headers?.["x-github-event"] || "");
+  if (event === "ping") return json(res, 200, { ok: true, event });
+  if (event !== "push") return json(res, 202, { ok: true, event, ignored: "event" });
+
+  const payload = safeParseJson(raw.toString("utf8"));
+  if (!payload || typeof payload !== "object") {
+    return err(400, { ok: false, error: "BAD_REQUEST", message: "Invalid JSON body" });
+  }
+
+  const repo = env("PROMPTS_REPO");
+  const pushedRepo = String(payload.repository?.full_name || "");
+  if (repo && pushedRepo.toLowerCase() !== repo.toLowerCase()) {
+    return json(res, 202, { ok: true, event, ignored: "repository" });
+  }
+
+  const ref = refName(payload.ref);
+  if (!ref) return json(res, 202, { ok: true, event, ignored: "ref" });
+
+  let evicted;
+  let paths = null;
+  try {
+    if (payload.created || payload.deleted || payload.forced) {
+      // No usable file list (new ref, removed ref, rewritten history)
+      evicted = invalidatePromptCache({ ref });
+    } else {
+      paths = changedPaths(payload);
+      evicted = paths.length ? invalidatePromptCache({ ref, paths }) : 0;
+    }
+  } catch (e) {
+    // assertSafeRef: such a ref can never be PROMPTS_REF either
+    return json(res, 202, { ok: true, event, ignored: "ref", message: String(e?.message || e) });
+  }
+
+  return json(res, 200, { ok: true, event, ref, scope: paths ? "paths" : "ref", paths: paths ? paths.length : null, evicted });
+}
+
+module.exports = async (req, res) => {
+  const log = startRequestLog({ req, route: "prompts_webhook" });
+  res.setHeader("X-Request-Id", log.requestId);
+  try {
+    return await handlePromptsWebhook(req, res, { log });
+  } catch (e) {
+    log.error("UNHANDLED", String(e?.message || e));
+    throw e;
+  } finally {
+    log.finish({ status: res.statusCode || 500 });
+  }
+};
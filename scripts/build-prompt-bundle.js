@@ -0,0 +1,61 @@
+// scripts/build-prompt-bundle.js
+// Bakes a prompts directory into api/engine/promptBundle.json for the "bundle" prompt source.
+// Usage: node scripts/build-prompt-bundle.js <prompts-root> [--ref main] [--out api/engine/promptBundle.json]
+// <prompts-root> is the directory that CONTAINS "prompts/" (paths are stored as "prompts/v1/...").
+
+const fs = require("fs");
+const path = require("path");
+
+const MAX_PROMPT_BYTES = 200_000; // keep in sync with promptLoader.js
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return (i > -1 && process.argv[i + 1]) ? process.argv[i + 1] : fallback;
+}
+
+function walk(dir, acc = []) {
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, ent.name);
+    if (ent.isDirectory()) walk(p, acc);
+    else if (ent.isFile() && p.endsWith(".md")) acc.push(p);
+  }
+  return acc;
+}
+
+function main() {
+  const root = process.argv[2];
+  if (!root || root.startsWith("--")) {
+    console.error("usage: node scripts/build-prompt-bundle.js <prompts-root> [--ref main] [--out file]");
+    process.exit(2);
+  }
+
+  const absRoot = path.resolve(root);
+  const promptsDir = path.join(absRoot, "prompts");
+  if (!fs.existsSync(promptsDir)) {
+    console.error(`no prompts/ directory under ${absRoot}`);
+    process.exit(2);
+  }
+
+  const files = {};
+  for (const file of walk(promptsDir).sort()) {
+    const rel = path.relative(absRoot, file).split(path.sep).join("/");
+    const text = fs.readFileSync(file, "utf8");
+    if (Buffer.byteLength(text, "utf8") > MAX_PROMPT_BYTES) {
+      console.error(`prompt too large: ${rel}`);
+      process.exit(1);
+    }
+    files[rel] = text;
+  }
+
+  const bundle = {
+    ref: arg("--ref", null),
+    built_at: new Date().toISOString(),
+    files
+  };
+
+  const out = path.resolve(arg("--out", path.join(__dirname, "..", "api", "engine", "promptBundle.json")));
+  fs.writeFileSync(out, JSON.stringify(bundle, null, 2) + "\n");
+  console.log(`wrote ${Object.keys(files).length} prompt(s) to ${out}`);
+}
+
+main();
@@ -0,0 +1,431 @@
+// scripts/eval.js
+// Offline evaluation harness: golden engine decisions + generate pipeline replay. Never touches the network.
+// Usage: node scripts/eval.js [--fixtures eval/fixtures] [--prompts eval/prompts] [--ruleset 3.0 | --ruleset-file rs.json]
+//                             [--only <name>] [--report report.md] [--update] [--verbose]
+//
+// Each fixture (eval/fixtures/*.json) is one scenario, run once per input shape in `shapes` (V2 and / or V3):
+//   {
+//     "name": "...", "description": "...",
+//     "state": { ...generate body state shared by every shape },
+//     "shapes": { "v2": { ...merged into state }, "v3": { ... } },
+//     "responses": { "main": [<object | raw text>, ...], "insight": [...] },   optional: recorded model output,
+//                                                                             one per call, the last one repeats
+//     "budgets": { "message_text": 600 },                                     optional: max chars per field
+//     "variants": 3,                                                          optional: body.variants (draft postures)
+//     "expect": { "v2": { "engine": {...}, "prompts": {...} }, "v3": {...} }  golden values (--update writes them)
+//   }
+// Per case:
+// - engine:   computeEngineDecisions() on the migrated V3 input (same path as /api/generate) must equal expect.engine
+// - pipeline: api/generate runs in-process; model calls are answered from `responses`, else by a local stub.
+//             Checks HTTP 200, response.engine == engine, output schema, forbidden patterns, length budgets,
+//             and the prompt fingerprint (front-matter version + sha256 of the rendered prompt) per stage,
+//             plus one per draft variant (postures must not render the same prompt)
+// Ruleset / prompt changes that move golden values are printed as field-level diffs (--report also writes Markdown);
+// --update accepts them. Exit code: 0 pass, 1 failures or diffs, 2 usage / fixture errors.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+const ROOT = path.join(__dirname, "..");
+const PAYLOAD_MARK = "\n\n---\n\nPAYLOAD_JSON:\n"; // generation.js: prompt + PAYLOAD_MARK + llmInput
+const SHAPES = ["v2", "v3"];
+
+// Max chars per draft field by the final detail control (fixture `budgets` override per field)
+const DEFAULT_BUDGETS = {
+  concise:  { message_text: 700,  email_text: 1_400 },
+  standard: { message_text: 1_400, email_text: 2_600 },
+  detailed: { message_text: 2_400, email_text: 4_500 }
+};
+const INSIGHT_BUDGET = 4_000; // all insight text together
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return (i > -1 && process.argv[i + 1]) ? process.argv[i + 1] : fallback;
+}
+
+function flag(name) {
+  return process.argv.includes(name);
+}
+
+function usage(msg) {
+  console.error(msg);
+  console.error("usage: node scripts/eval.js [--fixtures dir] [--prompts dir] [--ruleset v | --ruleset-file f] [--only name] [--report f] [--update] [--verbose]");
+  process.exit(2);
+}
+
+// Isolated, offline configuration; must be in place before the api modules run
+function configureEnv({ promptsRoot }) {
+  Object.assign(process.env, {
+    PROMPTS_SOURCE: "fs",
+    PROMPTS_DIR: promptsRoot,
+    ENTITLEMENT_MODE: "off",
+    RATE_LIMIT: "off",
+    RESPONSE_CACHE: "off",
+    INSIGHT_RETRY: "off",
+    PROMPTS_PRELOAD: "off",
+    RETURN_ENGINE: "1"
+  });
+  for (const k of ["PROMPT_EXPERIMENT", "LLM_FALLBACK_MODELS", "ENGINE_RULESET", "INPUT_VALIDATION_MODE", "CONTROL_POLICY"]) delete process.env[k];
+  global.fetch = async (url) => {
+    throw new Error(`EVAL_NETWORK_BLOCKED ${url}`);
+  };
+}
+
+// ---------- fixtures ----------
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Objects merge recursively; arrays and scalars replace
+function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? deepMerge(out[k], v) : v;
+  }
+  return out;
+}
+
+function loadFixtures(dir, only) {
+  if (!fs.existsSync(dir)) usage(`no fixtures directory at ${dir}`);
+  const fixtures = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const full = path.join(dir, file);
+    let fx;
+    try {
+      fx = JSON.parse(fs.readFileSync(full, "utf8"));
+    } catch (e) {
+      usage(`fixture ${file}: ${e.message}`);
+    }
+    if (!fx?.name || !isPlainObject(fx.state) || !isPlainObject(fx.shapes)) usage(`fixture ${file}: name, state and shapes are required`);
+    const unknown = Object.keys(fx.shapes).filter(s => !SHAPES.includes(s));
+    if (unknown.length) usage(`fixture ${file}: unknown shape ${unknown.join(", ")}`);
+    if (only && fx.name !== only) continue;
+    fixtures.push({ file: full, fx });
+  }
+  return fixtures;
+}
+
+// ---------- engine ----------
+
+function computeCase(state, ruleset, api) {
+  const validation = api.validateInput(api.pickRawPayload(state));
+  if (!validation.ok) {
+    throw new Error(`invalid input: ${validation.errors.map(e => `${e.path} ${e.code}`).join(", ")}`);
+  }
+  const payload = api.coercePayload(validation.clean);
+  const migrated = api.migrateInputToV3(api.toEngineInput(payload));
+
+  // Follow-up scenarios score the input with the counterpart's reply folded in, like /api/generate
+  const input = payload.conversation
+    ? api.applyReplySignals(migrated.input, api.detectReplySignals(payload.conversation.counterpart_reply, payload.locale || "en").signals)
+    : migrated.input;
+  return { payload, engine: api.computeEngineDecisions(input, { ruleset }) };
+}
+
+// ---------- pipeline ----------
+
+function stubResponse(stage, pkg) {
+  if (stage === "insight") {
+    return {
+      insight_title: "Why this draft is framed this way",
+      insight_sections: [
+        { heading: "Framing", body: "The draft stays with the facts you listed and keeps one clear request.", bullets: ["States the boundary once", "Leaves room for a reply"] }
+      ],
+      disclaimer_line: "General communication support only, not legal or professional advice."
+    };
+  }
+  const message = "Thanks for reaching out. I can't take this on this week, but I can look at it again on Monday.";
+  const email = "Subject: Timeline for the request\n\nHi,\n\nThanks for the note. I can't take this on this week. I can pick it up on Monday if that still works.\n\nBest regards";
+  if (pkg === "message") return { message_text: message };
+  if (pkg === "email") return { email_text: email };
+  return { bundle_message_text: message, email_text: email };
+}
+
+function sha(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+function invoke(handler, body) {
+  const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+  req.method = "POST";
+  req.headers = { "content-type": "application/json" };
+  req.socket = { remoteAddress: "127.0.0.1" };
+
+  const headers = {};
+  let raw = "";
+  const res = {
+    statusCode: 200,
+    setHeader(k, v) { headers[k.toLowerCase()] = v; },
+    getHeader(k) { return headers[k.toLowerCase()]; },
+    write(s) { raw += s; },
+    end(s) { if (s) raw += s; }
+  };
+  return handler(req, res).then(() => ({ status: res.statusCode, body: JSON.parse(raw || "null") }));
+}
+
+async function runPipeline({ state, fx, api }) {
+  const pkg = state?.context?.paywall?.package || state?.paywall?.package;
+  const queues = { main: [...(fx.responses?.main || [])], insight: [...(fx.responses?.insight || [])] };
+  const calls = [];
+
+  api.setChatTransport(async ({ user, system, requestId, onDelta }) => {
+    const stage = /-insight(-|$)/.test(requestId) ? "insight" : "main";
+    calls.push({ stage, requestId, prompt: `${system}\n\n${user.split(PAYLOAD_MARK)[0]}` });
+    const q = queues[stage];
+    const next = q.length > 1 ? q.shift() : q.length ? q[0] : stubResponse(stage, pkg);
+    const text = typeof next === "string" ? next : JSON.stringify(next);
+    if (onDelta) onDelta(text);
+    return text;
+  });
+
+  try {
+    const { status, body } = await invoke(api.generate, { state, ...(fx.variants ? { variants: fx.variants } : {}) });
+    return { status, body, calls };
+  } finally {
+    api.setChatTransport(null);
+  }
+}
+
+// First call of each stage carries the prompt as rendered (later calls are repairs / regenerations).
+// Draft variants each render their own prompt (requestId "<id>-<variant>"): fingerprinted per variant.
+function promptFingerprints(calls, body) {
+  const meta = body?.meta;
+  const out = {};
+  for (const stage of ["main", "insight"]) {
+    const first = calls.find(c => c.stage === stage && !/-(repair|constraints)$/.test(c.requestId));
+    if (first) out[stage] = { version: meta?.prompt_versions?.[stage] ?? null, sha256: sha(first.prompt) };
+  }
+  if (Array.isArray(body?.variants)) {
+    out.variants = {};
+    for (const v of body.variants) {
+      const first = calls.find(c => c.stage === "main" && c.requestId.endsWith(`-${v.name}`));
+      if (first) out.variants[v.name] = { tone: v.tone, candor: v.candor, sha256: sha(first.prompt) };
+    }
+  }
+  return out;
+}
+
+// Variants with different postures must not share a prompt (the template renders controls.tone)
+function checkVariantPrompts(prompts) {
+  const problems = [];
+  const seen = new Map();
+  for (const [name, v] of Object.entries(prompts.variants || {})) {
+    const other = seen.get(v.sha256);
+    if (other) problems.push(`variant ${name} renders the same prompt as ${other}`);
+    else seen.set(v.sha256, name);
+  }
+  return problems;
+}
+
+function checkOutputs({ payload, engine, body, budgets, api }) {
+  const problems = [];
+  const data = body.data || {};
+  const draft = Object.fromEntries(["message_text", "email_text"].filter(k => data[k] != null).map(k => [k, data[k]]));
+
+  const schema = api.validateOutput(payload.package, draft);
+  for (const e of schema.errors) problems.push(`schema ${e.path}: ${e.message}`);
+  for (const v of api.checkForbiddenPatterns(draft, engine.constraints, { target: "draft", locale: payload.locale || "en" })) {
+    problems.push(`forbidden ${v.rule} in ${v.path}: "${v.match}"`);
+  }
+
+  const detail = payload.input.detail || engine.detail_recommendation;
+  const limits = { ...DEFAULT_BUDGETS[detail], ...budgets };
+  for (const [field, text] of Object.entries(draft)) {
+    if (limits[field] && text.length > limits[field]) problems.push(`budget ${field}: ${text.length} > ${limits[field]} chars (${detail})`);
+  }
+
+  if (payload.include_analysis) {
+    if (body.insight_status !== "ok") {
+      problems.push(`insight ${body.insight_status}: ${body.insight_error?.error || "no insight"}`);
+    } else {
+      for (const e of api.validateOutput("insight", data.insight).errors) problems.push(`schema insight${e.path.slice(1)}: ${e.message}`);
+      for (const v of api.checkForbiddenPatterns(data.insight, engine.constraints, { target: "insight", locale: payload.locale || "en" })) {
+        problems.push(`forbidden ${v.rule} in insight${v.path.slice(1)}: "${v.match}"`);
+      }
+      const chars = JSON.stringify(data.insight).length;
+      const limit = budgets.insight || INSIGHT_BUDGET;
+      if (chars > limit) problems.push(`budget insight: ${chars} > ${limit} chars`);
+    }
+  }
+  return problems;
+}
+
+// ---------- golden diff ----------
+
+// Leaf-level differences between two JSON values: [{ path, golden, now }]
+function diffValues(golden, now, at = "") {
+  if (isPlainObject(golden) && isPlainObject(now)) {
+    const keys = [...new Set([...Object.keys(golden), ...Object.keys(now)])].sort();
+    return keys.flatMap(k => diffValues(golden[k], now[k], at ? `${at}.${k}` : k));
+  }
+  return JSON.stringify(golden) === JSON.stringify(now) ? [] : [{ path: at || "$", golden, now }];
+}
+
+async function runCase({ fx, shape, ruleset, candidate, api }) {
+  const id = `${fx.name} [${shape}]`;
+  const state = deepMerge(fx.state, fx.shapes[shape]);
+  const golden = fx.expect?.[shape] || null;
+  const result = { id, fx, shape, golden, engine: null, prompts: null, diffs: [], problems: [], error: null };
+
+  let computed;
+  try {
+    computed = computeCase(state, ruleset, api);
+  } catch (e) {
+    result.error = String(e?.message || e);
+    return result;
+  }
+  result.engine = computed.engine;
+
+  const run = await runPipeline({ state, fx, api });
+  if (run.status !== 200 || !run.body?.ok) {
+    result.problems.push(`pipeline HTTP ${run.status} ${run.body?.error || ""}: ${run.body?.message || ""}`.trim());
+  } else {
+    if (JSON.stringify(run.body.engine) !== JSON.stringify(computed.engine)) {
+      result.problems.push("pipeline engine differs from computeEngineDecisions");
+    }
+    result.problems.push(...checkOutputs({ payload: computed.payload, engine: computed.engine, body: run.body, budgets: fx.budgets || {}, api }));
+  }
+  result.prompts = promptFingerprints(run.calls, run.body);
+  result.problems.push(...checkVariantPrompts(result.prompts));
+
+  if (golden) {
+    result.diffs = [
+      ...diffValues(golden.engine, result.engine).map(d => ({ ...d, path: `engine.${d.path}` })),
+      ...diffValues(golden.prompts || {}, result.prompts).map(d => ({ ...d, path: `prompts.${d.path}` }))
+    ].filter(d => !(candidate && d.path === "engine.ruleset_version")); // a candidate ruleset always renames it
+  }
+  return result;
+}
+
+// ---------- output ----------
+
+function fmt(v) {
+  return v === undefined ? "(none)" : JSON.stringify(v);
+}
+
+function statusOf(r) {
+  if (r.error) return "ERROR";
+  if (r.problems.length) return "FAIL";
+  if (!r.golden) return "NEW";
+  return r.diffs.length ? "DIFF" : "PASS";
+}
+
+function renderReport(results, { rulesetVersion, promptsRoot }) {
+  const lines = [
+    "# Eval report",
+    "",
+    `- ruleset: ${rulesetVersion}`,
+    `- prompts: ${path.relative(ROOT, promptsRoot) || "."}`,
+    `- cases: ${results.length}, ${["PASS", "DIFF", "NEW", "FAIL", "ERROR"].map(s => `${s.toLowerCase()} ${results.filter(r => statusOf(r) === s).length}`).join(", ")}`,
+    "",
+    "| case | status | risk | record-safe | tone | detail | direction |",
+    "| --- | --- | --- | --- | --- | --- | --- |"
+  ];
+  for (const r of results) {
+    const e = r.engine || {};
+    lines.push(`| ${r.id} | ${statusOf(r)} | ${e.risk_level ?? ""} | ${e.record_safe_level ?? ""} | ${e.tone_recommendation ?? ""} | ${e.detail_recommendation ?? ""} | ${e.direction_suggestion ?? ""} |`);
+  }
+
+  const moved = results.filter(r => r.diffs.length);
+  if (moved.length) {
+    lines.push("", "## Moved", "");
+    for (const r of moved) {
+      lines.push(`### ${r.id}`, "", "| field | golden | now |", "| --- | --- | --- |");
+      for (const d of r.diffs) lines.push(`| ${d.path} | \`${fmt(d.golden)}\` | \`${fmt(d.now)}\` |`);
+      lines.push("");
+    }
+  }
+
+  const broken = results.filter(r => r.error || r.problems.length);
+  if (broken.length) {
+    lines.push("", "## Failures", "");
+    for (const r of broken) {
+      for (const p of r.error ? [r.error] : r.problems) lines.push(`- ${r.id}: ${p}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function writeGolden(results) {
+  const byFile = new Map();
+  for (const r of results) {
+    if (r.error) continue;
+    const { fx } = r;
+    fx.expect = { ...(fx.expect || {}), [r.shape]: { engine: r.engine, prompts: r.prompts } };
+    byFile.set(r.file, fx);
+  }
+  for (const [file, fx] of byFile) fs.writeFileSync(file, JSON.stringify(fx, null, 2) + "\n");
+  return byFile.size;
+}
+
+async function main() {
+  const fixturesDir = path.resolve(arg("--fixtures", path.join(ROOT, "eval", "fixtures")));
+  const promptsRoot = path.resolve(arg("--prompts", path.join(ROOT, "eval", "prompts")));
+  if (!fs.existsSync(path.join(promptsRoot, "prompts"))) usage(`no prompts/ directory under ${promptsRoot}`);
+  configureEnv({ promptsRoot });
+
+  const api = {
+    ...require("../api/engine/payload"),
+    ...require("../api/engine/inputSchema"),
+    ...require("../api/engine/migrateInput"),
+    ...require("../api/engine/followUp"),
+    ...require("../api/engine/compute"),
+    ...require("../api/engine/outputSchema"),
+    ...require("../api/engine/forbiddenPatterns"),
+    setChatTransport: require("../api/engine/llm").setChatTransport,
+    generate: require("../api/generate/index")
+  };
+  const { loadRuleset, registerRuleset } = require("../api/engine/ruleset");
+  if (!flag("--verbose")) require("../api/engine/telemetry").setLogSink(() => {});
+
+  // Candidate ruleset: a registered / prompt-source version, or a local file (registered for the pipeline too)
+  let ruleset;
+  try {
+    const file = arg("--ruleset-file");
+    ruleset = file
+      ? registerRuleset(JSON.parse(fs.readFileSync(path.resolve(file), "utf8")))
+      : await loadRuleset(arg("--ruleset") || undefined);
+  } catch (e) {
+    usage(`ruleset: ${e.message}`);
+  }
+  process.env.ENGINE_RULESET = ruleset.version;
+
+  const fixtures = loadFixtures(fixturesDir, arg("--only"));
+  if (!fixtures.length) usage("no fixtures matched");
+
+  const results = [];
+  for (const { file, fx } of fixtures) {
+    for (const shape of SHAPES.filter(s => fx.shapes[s])) {
+      const r = await runCase({ fx, shape, ruleset, candidate: !!(arg("--ruleset") || arg("--ruleset-file")), api });
+      r.file = file;
+      results.push(r);
+
+      const status = statusOf(r);
+      console.log(`${status.padEnd(5)} ${r.id}`);
+      for (const d of r.diffs) console.log(`      ${d.path}: ${fmt(d.golden)} -> ${fmt(d.now)}`);
+      for (const p of r.error ? [r.error] : r.problems) console.log(`      ${p}`);
+    }
+  }
+
+  const report = arg("--report");
+  if (report) fs.writeFileSync(path.resolve(report), renderReport(results, { rulesetVersion: ruleset.version, promptsRoot }));
+
+  if (flag("--update")) {
+    console.log(`updated golden values in ${writeGolden(results)} fixture(s)`);
+  }
+
+  const counts = Object.fromEntries(["PASS", "DIFF", "NEW", "FAIL", "ERROR"].map(s => [s, results.filter(r => statusOf(r) === s).length]));
+  console.log(`\n${results.length} case(s): ${Object.entries(counts).map(([k, n]) => `${n} ${k.toLowerCase()}`).join(", ")} (ruleset ${ruleset.version})`);
+
+  if (counts.ERROR) process.exit(2);
+  const goldenOk = flag("--update") || (!counts.DIFF && !counts.NEW);
+  process.exit(!counts.FAIL && goldenOk ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error(e?.stack || String(e));
+  process.exit(2);
+});
@@ -0,0 +1,394 @@
+// scripts/selfcheck.js
+// Offline self-check of the security paths the eval harness never reaches (eval runs with ENTITLEMENT_MODE=off
+// and never calls the webhook or export routes). Never touches the network: GitHub is a local fetch stub.
+// Usage: node scripts/selfcheck.js [--only <group>] [--verbose]
+//
+// Groups:
+// - entitlement:  HS256 pinning (alg none / HS512 / tampered token), exp / nbf inside and past the clock skew,
+//                 jti reserve -> release -> reserve again, commit -> already_used, a full ledger fails closed
+// - webhook:      X-Hub-Signature-256 (missing / wrong / valid), unset secret, ping / other events / foreign refs,
+//                 changed paths vs created / deleted / forced pushes evicting the whole ref
+// - receipt:      issue + verify, edited drafts -> mismatch, forged / malformed receipts, no secret,
+//                 and the same reasons surfacing from /api/export request validation
+// - prompt-cache: a GitHub 304 revalidates the cached copy instead of reporting it stale
+// Exit code: 0 pass, 1 failures, 2 usage errors.
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+const ENTITLEMENT_SECRET = "selfcheck-entitlement-secret";
+const WEBHOOK_SECRET = "selfcheck-webhook-secret";
+const PROMPTS_REPO = "acme/prompts";
+const CLOCK_SKEW_S = 30; // entitlement.js
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return (i > -1 && process.argv[i + 1]) ? process.argv[i + 1] : fallback;
+}
+
+function flag(name) {
+  return process.argv.includes(name);
+}
+
+// Isolated, offline configuration; must be in place before the api modules run
+function configureEnv() {
+  Object.assign(process.env, {
+    ENTITLEMENT_MODE: "enforce",
+    ENTITLEMENT_SECRET,
+    PROMPTS_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    PROMPTS_SOURCE: "github",
+    PROMPTS_REPO,
+    PROMPTS_REF: "main",
+    PROMPTS_CACHE_TTL_S: "300",
+    PROMPTS_PRELOAD: "off"
+  });
+  delete process.env.RECORD_RECEIPT_SECRET;
+  global.fetch = async (url) => {
+    throw new Error(`SELFCHECK_NETWORK_BLOCKED ${url}`);
+  };
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// ---------- entitlement ----------
+
+// Any header / claims, HMAC-SHA256 signed (or a fixed signature), so broken tokens can be built too
+function craftToken(header, claims, { secret = ENTITLEMENT_SECRET, signature = null } = {}) {
+  const h = b64url(JSON.stringify(header));
+  const c = b64url(JSON.stringify(claims));
+  const sig = signature ?? b64url(crypto.createHmac("sha256", secret).update(`${h}.${c}`).digest());
+  return `${h}.${c}.${sig}`;
+}
+
+function bearerReq(token) {
+  return { headers: token ? { authorization: `Bearer ${token}` } : {} };
+}
+
+// -> "ok" | "<code> <reason>" | thrown message
+async function entitlementOutcome(api, token, { pkg = "message", now = Date.now(), include_analysis = false } = {}) {
+  try {
+    const ent = await api.verifyEntitlement({ req: bearerReq(token), pkg, include_analysis, now });
+    if (ent) await ent.settle(false);
+    return "ok";
+  } catch (e) {
+    return e?.code ? `${e.code} ${e.reason}` : String(e?.message || e);
+  }
+}
+
+function entitlementChecks(api) {
+  const nowS = Math.floor(Date.now() / 1000);
+  const claims = { packages: ["message"], insight: false, exp: nowS + 600 };
+  const hs256 = { alg: "HS256", typ: "JWT" };
+  const outcome = (token, opts) => entitlementOutcome(api, token, opts);
+
+  return [
+    ["valid HS256 token", async () => {
+      assert.strictEqual(await outcome(craftToken(hs256, claims)), "ok");
+    }],
+    ["missing bearer", async () => {
+      assert.strictEqual(await outcome(null), "ENTITLEMENT_REQUIRED missing");
+    }],
+    ["alg none is refused", async () => {
+      assert.strictEqual(await outcome(craftToken({ alg: "none", typ: "JWT" }, claims, { signature: "" })), "ENTITLEMENT_REQUIRED malformed");
+    }],
+    ["alg HS512 is refused even with a valid HS256 signature", async () => {
+      assert.strictEqual(await outcome(craftToken({ alg: "HS512", typ: "JWT" }, claims)), "ENTITLEMENT_REQUIRED malformed");
+    }],
+    ["wrong secret / tampered claims", async () => {
+      assert.strictEqual(await outcome(craftToken(hs256, claims, { secret: "other" })), "ENTITLEMENT_REQUIRED invalid_signature");
+      const [h, , s] = craftToken(hs256, claims).split(".");
+      const forged = `${h}.${b64url(JSON.stringify({ ...claims, packages: ["bundle"] }))}.${s}`;
+      assert.strictEqual(await outcome(forged, { pkg: "email" }), "ENTITLEMENT_REQUIRED invalid_signature");
+    }],
+    ["garbage tokens", async () => {
+      for (const t of ["abc", "a.b", "a.b.c.d", "!!!.???.###"]) {
+        assert.strictEqual(await outcome(t), "ENTITLEMENT_REQUIRED malformed", t);
+      }
+      assert.strictEqual(await outcome(craftToken(hs256, { packages: ["message"] })), "ENTITLEMENT_REQUIRED malformed");
+    }],
+    ["exp inside / past the clock skew", async () => {
+      assert.strictEqual(await outcome(craftToken(hs256, { ...claims, exp: nowS - (CLOCK_SKEW_S - 5) })), "ok");
+      assert.strictEqual(await outcome(craftToken(hs256, { ...claims, exp: nowS - (CLOCK_SKEW_S + 5) })), "ENTITLEMENT_REQUIRED expired");
+    }],
+    ["nbf inside / past the clock skew", async () => {
+      assert.strictEqual(await outcome(craftToken(hs256, { ...claims, nbf: nowS + (CLOCK_SKEW_S - 5) })), "ok");
+      assert.strictEqual(await outcome(craftToken(hs256, { ...claims, nbf: nowS + (CLOCK_SKEW_S + 5) })), "ENTITLEMENT_REQUIRED not_yet_valid");
+    }],
+    ["package / insight mismatch", async () => {
+      assert.strictEqual(await outcome(craftToken(hs256, claims), { pkg: "email" }), "ENTITLEMENT_MISMATCH package");
+      assert.strictEqual(await outcome(craftToken(hs256, claims), { include_analysis: true }), "ENTITLEMENT_MISMATCH insight");
+      assert.strictEqual(await outcome(craftToken(hs256, { ...claims, packages: ["bundle"] }), { pkg: "email" }), "ok");
+    }],
+    ["jti reserve -> release -> commit", async () => {
+      api.setEntitlementStore(new api.MemoryJtiStore());
+      const token = craftToken(hs256, { ...claims, jti: "selfcheck-1" });
+      const verify = () => api.verifyEntitlement({ req: bearerReq(token), pkg: "message" });
+
+      const first = await verify();
+      const pending = await verify().catch(e => e);
+      assert.strictEqual(`${pending.code} ${pending.reason} ${pending.jti}`, "ENTITLEMENT_REQUIRED already_used selfcheck-1");
+
+      await first.settle(false); // failed generation: the token is spendable again
+      const second = await verify();
+      await second.settle(true);
+      await second.settle(false); // settles once: a late release never un-spends it
+      const spent = await verify().catch(e => e);
+      assert.strictEqual(`${spent.code} ${spent.reason}`, "ENTITLEMENT_REQUIRED already_used");
+    }],
+    ["full jti ledger evicts expired entries only, then fails closed", async () => {
+      const store = new api.MemoryJtiStore({ maxKeys: 2 });
+      const now = Date.now();
+      await store.reserve("used", { now });
+      await store.commit("used", { until: now + 3_600_000 });
+      await store.reserve("short", { now });
+      await store.commit("short", { until: now + 1_000 });
+
+      assert.strictEqual(await store.reserve("next", { now: now + 2_000 }), true); // "short" expired
+      await assert.rejects(store.reserve("more", { now: now + 3_000 }), /ENTITLEMENT_STORE_FULL/);
+      assert.strictEqual(await store.reserve("used", { now: now + 3_000 }), false);
+    }]
+  ];
+}
+
+// ---------- webhook ----------
+
+function sign(raw, secret = WEBHOOK_SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(raw).digest("hex")}`;
+}
+
+// req.body as raw bytes, like a platform that hands the handler the unparsed body
+async function deliver(handler, { event = "push", payload = {}, signature, raw = null }) {
+  const body = Buffer.from(raw ?? JSON.stringify(payload));
+  const headers = { "x-github-event": event };
+  const sig = signature === undefined ? sign(body) : signature;
+  if (sig !== null) headers["x-hub-signature-256"] = sig;
+
+  const req = { method: "POST", headers, body, socket: { remoteAddress: "127.0.0.1" } };
+  let out = "";
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    getHeader() {},
+    write(s) { out += s; },
+    end(s) { if (s) out += s; }
+  };
+  await handler(req, res);
+  return { status: res.statusCode, body: JSON.parse(out || "null") };
+}
+
+function push(ref, extra = {}) {
+  return { ref, repository: { full_name: PROMPTS_REPO }, commits: [], ...extra };
+}
+
+// Serves every GitHub raw URL with a fixed body
+function stubGithub() {
+  global.fetch = async () => new Response("prompt text", { status: 200, headers: { etag: "\"v1\"" } });
+}
+
+async function warmCache(api, files) {
+  stubGithub();
+  for (const [ref, path] of files) await api.loadPrompt(path, { ref });
+}
+
+function webhookChecks(api) {
+  const files = [["main", "prompts/a.md"], ["main", "prompts/b.md"], ["main", "prompts/a.ko.md"], ["release", "prompts/a.md"]];
+  const cachedOn = (ref) => api.promptCacheStats().refs[ref] || 0;
+  const reset = async () => {
+    api.invalidatePromptCache({ all: true });
+    await warmCache(api, files);
+  };
+  const modified = (paths) => push("refs/heads/main", { commits: [{ added: [], modified: paths, removed: [] }] });
+
+  return [
+    ["unset secret answers 503", async () => {
+      delete process.env.PROMPTS_WEBHOOK_SECRET;
+      try {
+        assert.strictEqual((await deliver(api.webhook, { payload: push("refs/heads/main") })).status, 503);
+      } finally {
+        process.env.PROMPTS_WEBHOOK_SECRET = WEBHOOK_SECRET;
+      }
+    }],
+    ["missing / wrong / malformed signatures answer 401", async () => {
+      await reset();
+      const payload = push("refs/heads/main", { forced: true });
+      for (const signature of [null, "", sign("{}"), sign(JSON.stringify(payload), "other"), "sha1=abc", "sha256=zz"]) {
+        const r = await deliver(api.webhook, { payload, signature });
+        assert.strictEqual(r.status, 401, String(signature));
+        assert.strictEqual(r.body.error, "WEBHOOK_SIGNATURE_INVALID");
+      }
+      assert.strictEqual(cachedOn("main"), 3, "nothing evicted by unsigned deliveries");
+    }],
+    ["signed body edited after signing answers 401", async () => {
+      const raw = JSON.stringify(push("refs/heads/main"));
+      const r = await deliver(api.webhook, { raw: raw.replace("main", "release"), signature: sign(raw) });
+      assert.strictEqual(r.status, 401);
+    }],
+    ["ping, other events, foreign repositories and refs", async () => {
+      assert.deepStrictEqual((await deliver(api.webhook, { event: "ping", payload: { zen: "x" } })).body, { ok: true, event: "ping" });
+      assert.strictEqual((await deliver(api.webhook, { event: "issues", payload: {} })).body.ignored, "event");
+      const foreign = { ...push("refs/heads/main", { forced: true }), repository: { full_name: "someone/else" } };
+      assert.strictEqual((await deliver(api.webhook, { payload: foreign })).body.ignored, "repository");
+      assert.strictEqual((await deliver(api.webhook, { payload: push("refs/pull/1/head", { forced: true }) })).body.ignored, "ref");
+      assert.strictEqual((await deliver(api.webhook, { raw: "{not json" })).status, 400);
+      assert.strictEqual(cachedOn("main"), 3);
+    }],
+    ["changed paths evict those files (and their locales) on the pushed ref only", async () => {
+      await reset();
+      const r = await deliver(api.webhook, { payload: modified(["prompts/a.md", "../etc/passwd", "/abs.md"]) });
+      assert.deepStrictEqual(r.body, { ok: true, event: "push", ref: "main", scope: "paths", paths: 1, evicted: 2 });
+      assert.strictEqual(cachedOn("main"), 1);
+      assert.strictEqual(cachedOn("release"), 1);
+    }],
+    ["created / deleted / forced pushes evict the whole ref", async () => {
+      for (const kind of ["created", "deleted", "forced"]) {
+        await reset();
+        const r = await deliver(api.webhook, { payload: push("refs/heads/main", { [kind]: true, commits: [{ modified: ["prompts/a.md"] }] }) });
+        assert.strictEqual(r.status, 200, kind);
+        assert.strictEqual(r.body.scope, "ref", kind);
+        assert.strictEqual(r.body.evicted, 3, kind);
+        assert.strictEqual(cachedOn("main"), 0, kind);
+        assert.strictEqual(cachedOn("release"), 1, kind);
+      }
+      const tag = await deliver(api.webhook, { payload: push("refs/tags/release", { created: true }) });
+      assert.strictEqual(tag.body.evicted, 1);
+    }]
+  ];
+}
+
+// ---------- record receipt ----------
+
+function receiptChecks(api) {
+  const engine = { record_safe_level: 2 };
+  const out = { message_text: "Please give notice before visiting.", email_text: "Subject: Notice\n\nPlease give notice." };
+  const withSecret = async (value, fn) => {
+    const prev = process.env.ENTITLEMENT_SECRET;
+    if (value === null) delete process.env.ENTITLEMENT_SECRET;
+    else process.env.ENTITLEMENT_SECRET = value;
+    try {
+      return await fn();
+    } finally {
+      process.env.ENTITLEMENT_SECRET = prev;
+    }
+  };
+  const exportErrors = (body) => api.validateExportRequest({ format: "md", ...body }).errors.map(e => `${e.path} ${e.code}`);
+
+  return [
+    ["issued for record-safe level 2 only", async () => {
+      assert.ok(api.issueRecordReceipt({ out, engine }));
+      assert.strictEqual(api.issueRecordReceipt({ out, engine: { record_safe_level: 1 } }), null);
+      assert.strictEqual(await withSecret(null, () => api.issueRecordReceipt({ out, engine })), null);
+    }],
+    ["verifies against the same drafts", async () => {
+      const at = new Date("2026-03-01T10:00:00Z");
+      const v = api.verifyRecordReceipt(api.issueRecordReceipt({ out, engine, now: at }), { ...out });
+      assert.deepStrictEqual(v, { ok: true, issuedAt: at, recordSafeLevel: 2 });
+    }],
+    ["edited or swapped drafts are a mismatch", async () => {
+      const receipt = api.issueRecordReceipt({ out, engine });
+      assert.strictEqual(api.verifyRecordReceipt(receipt, { ...out, email_text: `${out.email_text} ` }).reason, "mismatch");
+      assert.strictEqual(api.verifyRecordReceipt(receipt, { message_text: out.email_text, email_text: out.message_text }).reason, "mismatch");
+      assert.strictEqual(api.verifyRecordReceipt(receipt, { message_text: out.message_text }).reason, "mismatch");
+    }],
+    ["forged, malformed and unverifiable receipts", async () => {
+      const receipt = api.issueRecordReceipt({ out, engine });
+      const [payload] = receipt.split(".");
+      const forged = JSON.parse(Buffer.from(payload, "base64").toString("utf8"));
+      const reSigned = b64url(JSON.stringify({ ...forged, iat: "2020-01-01T00:00:00.000Z" }));
+      assert.strictEqual(api.verifyRecordReceipt(`${reSigned}.${receipt.split(".")[1]}`, out).reason, "invalid_signature");
+      assert.strictEqual(await withSecret("rotated", () => api.verifyRecordReceipt(receipt, out).reason), "invalid_signature");
+      for (const bad of [null, 42, "", "abc", "a.b.c", `${payload}.`]) {
+        assert.strictEqual(api.verifyRecordReceipt(bad, out).reason, "malformed", String(bad));
+      }
+      assert.strictEqual(await withSecret(null, () => api.verifyRecordReceipt(receipt, out).reason), "not_configured");
+    }],
+    ["/api/export request validation reports the receipt reason", async () => {
+      const receipt = api.issueRecordReceipt({ out, engine });
+      const ok = api.validateExportRequest({ format: "md", out, record_receipt: receipt });
+      assert.ok(ok.ok && ok.clean.record);
+      assert.deepStrictEqual(exportErrors({ out: { ...out, message_text: "Edited." }, record_receipt: receipt }), ["record_receipt mismatch"]);
+      assert.deepStrictEqual(exportErrors({ out, record_receipt: "x.y" }), ["record_receipt invalid_signature"]);
+      assert.strictEqual(api.validateExportRequest({ format: "md", out }).clean.record, null);
+    }]
+  ];
+}
+
+// ---------- prompt cache ----------
+
+function promptCacheChecks(api) {
+  return [
+    ["GitHub 304 revalidates the cached copy", async () => {
+      api.invalidatePromptCache({ all: true });
+      const seen = [];
+      global.fetch = async (url, init) => {
+        seen.push(init?.headers?.["If-None-Match"] || null);
+        return seen.length === 1
+          ? new Response("v1 text", { status: 200, headers: { etag: "\"v1\"" } })
+          : new Response(null, { status: 304, headers: { etag: "\"v1\"" } });
+      };
+      const before = api.promptCacheStats().counters;
+      const first = await api.loadPromptResolved("prompts/revalidate.md", { ttlMs: 0 });
+      const second = await api.loadPromptResolved("prompts/revalidate.md", { ttlMs: 0 });
+      const after = api.promptCacheStats().counters;
+
+      assert.deepStrictEqual([first.cache, second.cache], ["miss", "revalidated"]);
+      assert.strictEqual(second.text, "v1 text");
+      assert.deepStrictEqual(seen, [null, "\"v1\""]);
+      assert.strictEqual(after.stale - before.stale, 0);
+      assert.strictEqual(after.error - before.error, 0);
+    }]
+  ];
+}
+
+// ---------- runner ----------
+
+async function main() {
+  configureEnv();
+  const api = {
+    ...require("../api/engine/entitlement"),
+    ...require("../api/engine/recordReceipt"),
+    ...require("../api/engine/exportDocument"),
+    ...require("../api/engine/promptLoader"),
+    webhook: require("../api/webhooks/prompts/index")
+  };
+  if (!flag("--verbose")) require("../api/engine/telemetry").setLogSink(() => {});
+
+  const groups = {
+    entitlement: entitlementChecks,
+    webhook: webhookChecks,
+    receipt: receiptChecks,
+    "prompt-cache": promptCacheChecks
+  };
+  const only = arg("--only");
+  if (only && !groups[only]) {
+    console.error(`unknown group ${only}`);
+    console.error(`usage: node scripts/selfcheck.js [--only ${Object.keys(groups).join(" | ")}] [--verbose]`);
+    process.exit(2);
+  }
+
+  let failed = 0;
+  let total = 0;
+  for (const [group, build] of Object.entries(groups)) {
+    if (only && group !== only) continue;
+    for (const [name, run] of build(api)) {
+      total++;
+      try {
+        await run();
+        console.log(`PASS  ${group}: ${name}`);
+      } catch (e) {
+        failed++;
+        console.log(`FAIL  ${group}: ${name}`);
+        console.log(`      ${String(e?.message || e).split("\n").join("\n      ")}`);
+      }
+    }
+  }
+
+  console.log(`\n${total} check(s): ${total - failed} pass, ${failed} fail`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(e?.stack || String(e));
+  process.exit(2);
+});